@@ -0,0 +1,278 @@
+// fsStorageServer.js
+// Serves a plain directory for the "fs" storage backend (src/utils/adapters/fsAdapter.js).
+//
+//   MBOGI_DATA_ROOT=/srv/mbogi MBOGI_FS_PORT=8787 node server/fsStorageServer.js
+//
+// Only the data/ tree under MBOGI_DATA_ROOT is served, and only to this
+// machine: it listens on 127.0.0.1 (MBOGI_FS_HOST to change) and refuses
+// browser requests from any origin but MBOGI_ALLOWED_ORIGIN, the Vite dev
+// server by default. There is no other authentication.
+//
+// GET    /files/<path>  -> { type: 'file', content, sha } or { type: 'dir', entries }
+// PUT    /files/<path>  <- { content, sha }  (sha required when replacing a file)
+// DELETE /files/<path>  <- { sha }
+// POST   /commit        <- { changes: [{ path, content, sha? } | { path, delete: true }] }
+//                           (a sha, null for a new file, must match the stored file)
+import http from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, readFile, readdir, rename, rmdir, stat, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+if (!process.env.MBOGI_DATA_ROOT) {
+  console.error('MBOGI_DATA_ROOT is required: the directory that holds (or will hold) data/');
+  process.exit(1);
+}
+
+const ROOT = path.resolve(process.env.MBOGI_DATA_ROOT);
+const DATA_ROOT = path.join(ROOT, 'data');
+const HOST = process.env.MBOGI_FS_HOST || '127.0.0.1';
+const PORT = Number(process.env.MBOGI_FS_PORT || 8787);
+const ALLOWED_ORIGIN = process.env.MBOGI_ALLOWED_ORIGIN || 'http://localhost:5173';
+const MAX_BODY_SIZE = 20 * 1024 * 1024; // attachments are stored inline as base64
+
+// Same hash git uses for blobs, matching gitBlobSha() in storageAdapter.js
+function gitBlobSha(buffer) {
+  return createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+// Writes to the same file are serialised so the sha check and the write cannot interleave
+const pathLocks = new Map();
+function withLock(fullPath, task) {
+  const previous = pathLocks.get(fullPath) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  pathLocks.set(fullPath, current);
+  return current.finally(() => {
+    if (pathLocks.get(fullPath) === current) pathLocks.delete(fullPath);
+  });
+}
+
+function withLocks(fullPaths, task) {
+  return [...new Set(fullPaths)].sort()
+    .reduceRight((next, fullPath) => () => withLock(fullPath, next), task)();
+}
+
+// Storage paths are all under data/; anything else (.env, the source tree) is
+// out of reach
+function resolvePath(relativePath) {
+  const fullPath = path.resolve(ROOT, relativePath);
+  if (fullPath !== DATA_ROOT && !fullPath.startsWith(DATA_ROOT + path.sep)) {
+    return null;
+  }
+  return fullPath;
+}
+
+async function statOrNull(fullPath) {
+  try {
+    return await stat(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : {};
+}
+
+// Write to a temp file first so readers never see a half written file
+async function writeAtomically(fullPath, buffer) {
+  await mkdir(path.dirname(fullPath), { recursive: true });
+  const tempPath = `${fullPath}.${randomUUID()}.tmp`;
+  await writeFile(tempPath, buffer);
+  await rename(tempPath, fullPath);
+}
+
+// Git has no empty directories, so drop the ones a delete leaves behind
+async function pruneEmptyDirectories(fullPath) {
+  let dir = path.dirname(fullPath);
+  while (dir !== DATA_ROOT && dir.startsWith(DATA_ROOT + path.sep)) {
+    const entries = await readdir(dir).catch(() => null);
+    if (!entries || entries.length > 0) return;
+    await rmdir(dir).catch(() => {});
+    dir = path.dirname(dir);
+  }
+}
+
+async function handleGet(res, relativePath, fullPath) {
+  const info = await statOrNull(fullPath);
+  if (!info) {
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  if (info.isDirectory()) {
+    const names = await readdir(fullPath, { withFileTypes: true });
+    const entries = await Promise.all(names.map(async entry => {
+      const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        return { name: entry.name, path: entryPath, type: 'dir', sha: null };
+      }
+      const buffer = await readFile(path.join(fullPath, entry.name));
+      return { name: entry.name, path: entryPath, type: 'file', sha: gitBlobSha(buffer) };
+    }));
+    return send(res, 200, { type: 'dir', entries });
+  }
+
+  const buffer = await readFile(fullPath);
+  return send(res, 200, { type: 'file', content: buffer.toString('utf8'), sha: gitBlobSha(buffer) });
+}
+
+async function handlePut(req, res, fullPath) {
+  const { content, sha } = await readBody(req);
+  if (typeof content !== 'string') {
+    return send(res, 400, { error: 'content must be a string' });
+  }
+
+  const existing = await statOrNull(fullPath);
+  if (existing?.isDirectory()) {
+    return send(res, 409, { error: 'Path is a directory' });
+  }
+  const currentSha = existing ? gitBlobSha(await readFile(fullPath)) : null;
+  if (currentSha !== (sha || null)) {
+    return send(res, 409, { error: 'sha does not match the stored file' });
+  }
+
+  const buffer = Buffer.from(content, 'utf8');
+  await writeAtomically(fullPath, buffer);
+
+  return send(res, existing ? 200 : 201, { sha: gitBlobSha(buffer) });
+}
+
+async function handleDelete(req, res, fullPath) {
+  const { sha } = await readBody(req);
+  const existing = await statOrNull(fullPath);
+  if (!existing || existing.isDirectory()) {
+    return send(res, 404, { error: 'Not found' });
+  }
+  if (sha && gitBlobSha(await readFile(fullPath)) !== sha) {
+    return send(res, 409, { error: 'sha does not match the stored file' });
+  }
+
+  await unlink(fullPath);
+  await pruneEmptyDirectories(fullPath);
+  return send(res, 200, { deleted: true });
+}
+
+// Applies every change or, if one fails, puts back what was there before
+async function handleCommit(req, res) {
+  const { changes } = await readBody(req);
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return send(res, 400, { error: 'changes must be a non-empty array' });
+  }
+
+  const targets = changes.map(change => resolvePath(String(change.path || '')));
+  if (targets.some(fullPath => !fullPath || fullPath === DATA_ROOT)) {
+    return send(res, 400, { error: 'Invalid path' });
+  }
+
+  return withLocks(targets, async () => {
+    const originals = await Promise.all(targets.map(async fullPath => {
+      const info = await statOrNull(fullPath);
+      return info?.isFile() ? readFile(fullPath) : null;
+    }));
+    const stale = changes.some((change, index) =>
+      change.sha !== undefined && (originals[index] ? gitBlobSha(originals[index]) : null) !== change.sha
+    );
+    if (stale) {
+      return send(res, 409, { error: 'sha does not match the stored file' });
+    }
+    const applied = [];
+
+    try {
+      for (const [index, change] of changes.entries()) {
+        if (change.delete) {
+          if (originals[index]) await unlink(targets[index]);
+        } else {
+          await writeAtomically(targets[index], Buffer.from(change.content, 'utf8'));
+        }
+        applied.push(index);
+      }
+    } catch (error) {
+      for (const index of applied.reverse()) {
+        if (originals[index]) {
+          await writeAtomically(targets[index], originals[index]);
+        } else {
+          await unlink(targets[index]).catch(() => {});
+        }
+      }
+      throw error;
+    }
+
+    for (const [index, change] of changes.entries()) {
+      if (change.delete) await pruneEmptyDirectories(targets[index]);
+    }
+    return send(res, 200, { committed: changes.length });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    // Browsers send Origin on cross-site requests, including the simple POSTs
+    // CORS doesn't preflight, so another site can't write through this server
+    if (req.headers.origin && req.headers.origin !== ALLOWED_ORIGIN) {
+      return send(res, 403, { error: 'Origin not allowed' });
+    }
+    if (req.method === 'OPTIONS') {
+      return send(res, 204);
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname === '/commit' && req.method === 'POST') {
+      return await handleCommit(req, res);
+    }
+    if (!url.pathname.startsWith('/files')) {
+      return send(res, 404, { error: 'Not found' });
+    }
+
+    let relativePath;
+    try {
+      relativePath = decodeURIComponent(url.pathname.slice('/files'.length)).replace(/^\/+|\/+$/g, '');
+    } catch {
+      return send(res, 400, { error: 'Invalid path' });
+    }
+    const fullPath = resolvePath(relativePath);
+    if (!fullPath) {
+      return send(res, 400, { error: 'Invalid path' });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(res, relativePath, fullPath);
+      case 'PUT':
+        return await withLock(fullPath, () => handlePut(req, res, fullPath));
+      case 'DELETE':
+        return await withLock(fullPath, () => handleDelete(req, res, fullPath));
+      default:
+        return send(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Storage server error:', error);
+    return send(res, error.status || 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.warn(`Serving ${DATA_ROOT} for fs storage on http://${HOST}:${PORT}`);
+});
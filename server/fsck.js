@@ -0,0 +1,45 @@
+// fsck.js
+// Checks every record under data/ (src/utils/fsck.js): checksums, orphaned
+// emails, attachments, share links and versions, and stale index entries.
+// Reads the same VITE_* variables as the web app to find the storage backend.
+//
+//   node --env-file=.env server/fsck.js            report and repair plan
+//   node --env-file=.env server/fsck.js --repair   also carries out the plan
+//   node --env-file=.env server/fsck.js --json     report as JSON
+import { GitHubStorage } from '../src/utils/githubStorage.js';
+import { createStorageAdapter } from '../src/utils/adapters/index.js';
+import { parseSourceList } from '../src/utils/forkSources.js';
+import { RepositoryAudit, formatAuditReport } from '../src/utils/fsck.js';
+
+const args = new Set(process.argv.slice(2));
+
+try {
+  // With the forks connected, emails kept here for a folder only a fork holds
+  // are not reported as orphans
+  const storage = new GitHubStorage(createStorageAdapter(process.env), { mirrorToken: process.env.VITE_GITHUB_TOKEN });
+  storage.connectMirrors(parseSourceList(process.env.VITE_FORK_SOURCES));
+  const audit = new RepositoryAudit(storage);
+  const report = await audit.run();
+  const result = args.has('--repair') && report.repairs.length > 0
+    ? await audit.repair(report)
+    : null;
+
+  if (args.has('--json')) {
+    process.stdout.write(`${JSON.stringify({ ...report, result }, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatAuditReport(report)}\n`);
+    if (result) {
+      process.stdout.write(`\nRepaired ${result.applied.length} records in ${result.commits.length} commits, ${result.failed.length} failed\n`);
+      result.failed.forEach(({ action, path, error }) => process.stdout.write(`  FAILED ${action} ${path}: ${error}\n`));
+    }
+  }
+
+  // Non-zero while problems remain, so scheduled runs can alert on it
+  const fixed = result && result.failed.length === 0;
+  if (report.repairs.length > 0 && !fixed) {
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('Repository check failed:', error.message);
+  process.exitCode = 1;
+}
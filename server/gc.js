@@ -0,0 +1,28 @@
+// gc.js
+// Removes the share links and attachments that deleted folders and emails
+// left behind (src/utils/gc.js). Reads the same VITE_* variables as the
+// web app to find the storage backend; suitable for a cron job.
+//
+//   node --env-file=.env server/gc.js                  dry run, lists what would go
+//   node --env-file=.env server/gc.js --apply          deletes it in batched commits
+//   node --env-file=.env server/gc.js --apply --deep   also opens share links no reverse index claims
+//   node --env-file=.env server/gc.js --json           report as JSON
+import { GitHubStorage } from '../src/utils/githubStorage.js';
+import { createStorageAdapter } from '../src/utils/adapters/index.js';
+import { parseSourceList } from '../src/utils/forkSources.js';
+import { GarbageCollector, formatGcReport } from '../src/utils/gc.js';
+
+const args = new Set(process.argv.slice(2));
+
+try {
+  // Emails of folders only a fork holds are stored here too, so the forks the
+  // web app reads from (VITE_FORK_SOURCES) must be known
+  const storage = new GitHubStorage(createStorageAdapter(process.env), { mirrorToken: process.env.VITE_GITHUB_TOKEN });
+  storage.connectMirrors(parseSourceList(process.env.VITE_FORK_SOURCES));
+  const collector = new GarbageCollector(storage);
+  const report = await collector.run({ dryRun: !args.has('--apply'), deep: args.has('--deep') });
+  process.stdout.write(`${args.has('--json') ? JSON.stringify(report, null, 2) : formatGcReport(report)}\n`);
+} catch (error) {
+  console.error('Garbage collection failed:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+// mbogi.js
+// Repository administration without the web app, on the same GitHubStorage
+// code. Reads the VITE_* variables of the web app (from .env in the working
+// directory when present) to find the storage backend.
+//
+//   mbogi init                                        create the data/ layout
+//   mbogi folders list [--all] [--json]               active (and with --all, silent) folders
+//   mbogi folder create --name <name> --target-email <address>
+//   mbogi email add <folderId> --file <email.json|email.txt> [--attach <file>]...
+//   mbogi approve <folderId>                          make a silent folder active now
+//   mbogi blacklist show [--json]                     blacklisted and reported address hashes
+//   mbogi export <folderId> [--out <file>]            write a folder bundle
+//   mbogi import <bundle> [--preserve-ids]            read a folder bundle
+//
+// An email file is JSON ({ subject, body } or a list of them, for seeding) or
+// plain text with the subject on the first line and the body below it.
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { GitHubStorage } from '../src/utils/githubStorage.js';
+import { createStorageAdapter } from '../src/utils/adapters/index.js';
+import { FolderBundles, bundleFileName } from '../src/utils/bundle.js';
+
+const ATTACHMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.txt': 'text/plain'
+};
+
+// Who the records say created them; only ever stored hashed
+const CLI_CLIENT = 'mbogi-cli';
+
+const USAGE = `Usage:
+  mbogi init
+  mbogi folders list [--all] [--json]
+  mbogi folder create --name <name> --target-email <address>
+  mbogi email add <folderId> --file <file> [--attach <file>]...
+  mbogi approve <folderId>
+  mbogi blacklist show [--json]
+  mbogi export <folderId> [--out <file>]
+  mbogi import <bundle> [--preserve-ids]`;
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+function usageError(message) {
+  return new Error(`${message}\n\n${USAGE}`);
+}
+
+function createStorage() {
+  try {
+    process.loadEnvFile();
+  } catch {
+    // No .env here; the variables come from the environment
+  }
+  return new GitHubStorage(createStorageAdapter(process.env), {
+    publicUrl: (process.env.MBOGI_PUBLIC_URL || '').replace(/\/+$/, ''),
+    rateLimited: false
+  });
+}
+
+async function readEmails(file) {
+  const text = await readFile(file, 'utf8');
+  if (file.endsWith('.json')) {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+
+  const [firstLine, ...rest] = text.split(/\r?\n/);
+  return [{
+    subject: firstLine.replace(/^subject:\s*/i, '').trim(),
+    body: rest.join('\n').trim()
+  }];
+}
+
+async function readAttachment(file) {
+  const type = ATTACHMENT_TYPES[path.extname(file).toLowerCase()];
+  if (!type) {
+    throw new Error(`Unsupported attachment type: ${file}`);
+  }
+  const content = await readFile(file);
+  return { name: path.basename(file), type, size: content.length, content: content.toString('base64') };
+}
+
+const commands = {
+  async init(storage) {
+    await storage.initializeRepository();
+    print('Repository layout is in place');
+  },
+
+  async 'folders list'(storage, { values }) {
+    const folders = await storage.loadFolders(values.all);
+    if (values.json) {
+      return print(JSON.stringify(folders, null, 2));
+    }
+    if (folders.length === 0) {
+      return print('No folders');
+    }
+    folders.forEach(folder =>
+      print(`${folder.id}  ${folder.status.padEnd(6)}  ${folder.name}  <${folder.targetEmail}>`)
+    );
+  },
+
+  async 'folder create'(storage, { values }) {
+    if (!values.name || !values['target-email']) {
+      throw usageError('folder create needs --name and --target-email');
+    }
+    const { folder, changes } = await storage.prepareFolder(
+      { name: values.name, targetEmail: values['target-email'] },
+      CLI_CLIENT
+    );
+    await storage.commitFolder(changes);
+    print(`Created folder ${folder.id} (silent until approved)`);
+    print(`Admin password: ${folder.adminPassword}`);
+    print(`Share link: ${folder.shareableLink}`);
+  },
+
+  async 'email add'(storage, { values, positionals: [folderId] }) {
+    if (!folderId || !values.file) {
+      throw usageError('email add needs a folder id and --file');
+    }
+    const attachments = await Promise.all((values.attach || []).map(readAttachment));
+    const emails = await readEmails(values.file);
+
+    for (const email of emails) {
+      const saved = await storage.saveEmail(
+        folderId,
+        { subject: email.subject, body: email.body, attachments: [...(email.attachments || []), ...attachments] },
+        CLI_CLIENT
+      );
+      print(`Added email ${saved.id} "${saved.subject}", password: ${saved.password}`);
+    }
+  },
+
+  async approve(storage, { positionals: [folderId] }) {
+    if (!folderId) {
+      throw usageError('approve needs a folder id');
+    }
+    const folder = await storage.loadData(`data/silent/folders/${folderId}.json`);
+    if (!folder) {
+      const active = await storage.loadData(`data/folders/${folderId}.json`);
+      throw new Error(active ? `Folder ${folderId} is already active` : `Folder not found: ${folderId}`);
+    }
+    await storage.approveFolder(folder);
+    print(`Approved folder ${folderId} "${folder.name}"`);
+  },
+
+  async 'blacklist show'(storage, { values }) {
+    const [blacklist, suspicious] = await Promise.all([
+      storage.loadData('data/blacklist/ips.json'),
+      storage.getSuspiciousIPs()
+    ]);
+    const { ips = [], entries = {}, pendingReports = {} } = blacklist || {};
+
+    if (values.json) {
+      return print(JSON.stringify({ ips, entries, pendingReports, suspicious }, null, 2));
+    }
+
+    print(`Blacklisted address hashes: ${ips.length}`);
+    ips.forEach(hash => {
+      const entry = entries[hash];
+      print(`  ${hash}  since ${entry?.timestamp || '?'}  ${entry?.reports?.length || 0} reports`);
+    });
+    print(`Pending reports: ${Object.keys(pendingReports).length}`);
+    Object.entries(pendingReports).forEach(([hash, { reports, firstReportedAt }]) =>
+      print(`  ${hash}  ${reports.length} reports since ${firstReportedAt}`)
+    );
+
+    const byAction = suspicious.reduce((counts, { action }) => ({ ...counts, [action]: (counts[action] || 0) + 1 }), {});
+    print(`Rate limit hits: ${suspicious.length}`);
+    Object.entries(byAction).forEach(([action, count]) => print(`  ${action}: ${count}`));
+  },
+
+  async export(storage, { values, positionals: [folderId] }) {
+    if (!folderId) {
+      throw usageError('export needs a folder id');
+    }
+    const bundle = await new FolderBundles(storage).export(folderId);
+    const out = values.out || bundleFileName(bundle);
+    await writeFile(out, JSON.stringify(bundle));
+    print(`Wrote ${bundle.manifest.files.length} files of "${bundle.manifest.name}" to ${out}`);
+  },
+
+  async import(storage, { values, positionals: [file] }) {
+    if (!file) {
+      throw usageError('import needs a bundle file');
+    }
+    const bundle = JSON.parse(await readFile(file, 'utf8'));
+    const result = await new FolderBundles(storage).import(bundle, { preserveIds: values['preserve-ids'] });
+    print(`Imported "${result.name}" as ${result.folderId}: ${result.emails} emails, ` +
+      `${result.versions} versions, ${result.attachments} attachments`);
+    if (result.shareableLink) {
+      print(`Share link: ${result.shareableLink}`);
+    }
+  }
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean' },
+      json: { type: 'boolean' },
+      name: { type: 'string' },
+      'target-email': { type: 'string' },
+      file: { type: 'string' },
+      attach: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      'preserve-ids': { type: 'boolean' },
+      verbose: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  // Two word commands first ("folders list"), then one word ones ("approve")
+  const twoWords = positionals.slice(0, 2).join(' ');
+  const [name, args] = commands[twoWords]
+    ? [twoWords, positionals.slice(2)]
+    : [positionals[0], positionals.slice(1)];
+
+  if (values.help || !name || name === 'help') {
+    return print(USAGE);
+  }
+  if (!commands[name]) {
+    throw usageError(`Unknown command: ${positionals.join(' ')}`);
+  }
+
+  // The storage code narrates its steps on console.log; stdout is for results
+  if (!values.verbose) {
+    const quiet = () => {};
+    Object.assign(console, { log: quiet, group: quiet, groupEnd: quiet });
+  }
+
+  await commands[name](createStorage(), { values, positionals: args });
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
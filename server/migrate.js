@@ -0,0 +1,25 @@
+// migrate.js
+// Upgrades stored records to the current schema (src/utils/schema.js). Reads the
+// same VITE_* variables as the web app to find the storage backend.
+//
+//   node --env-file=.env server/migrate.js           dry run, prints what would change
+//   node --env-file=.env server/migrate.js --apply   commits the upgrades
+//   node --env-file=.env server/migrate.js --json    report as JSON
+import { GitHubStorage } from '../src/utils/githubStorage.js';
+import { createStorageAdapter } from '../src/utils/adapters/index.js';
+import { formatMigrationReport } from '../src/utils/schema.js';
+
+const args = new Set(process.argv.slice(2));
+
+try {
+  const storage = new GitHubStorage(createStorageAdapter(process.env));
+  const report = await storage.migrateRepository({ dryRun: !args.has('--apply') });
+
+  process.stdout.write(`${args.has('--json') ? JSON.stringify(report, null, 2) : formatMigrationReport(report)}\n`);
+  if (report.failed.length > 0) {
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,418 @@
+// proxyServer.js
+// Holds the GitHub token for the "proxy" storage backend (src/utils/proxyStorage.js)
+// so it never ships to browsers. Rate limits and content checks run here, where
+// a visitor cannot switch them off.
+//
+//   MBOGI_GITHUB_TOKEN=... MBOGI_GITHUB_OWNER=... MBOGI_GITHUB_REPO=... node server/proxyServer.js
+//
+// GET    /api/folders[?all=1]                              -> folder summaries
+// POST   /api/folders                                      <- { id, name, targetEmail, adminHash, adminSalt }
+// DELETE /api/folders/<id>                                 <- { password }
+// GET    /api/folders/<id>/emails                          -> email summaries
+// POST   /api/folders/<id>/emails                          <- { id, subject, body, attachments, passwordHash, passwordSalt }
+// DELETE /api/folders/<id>/emails/<eid>                    <- { password }
+// POST   /api/folders/<id>/emails/<eid>/likes              <- { action: 'increment' | 'decrement', likeId? }
+// GET    /api/folders/<id>/emails/<eid>/attachments/<name> -> { name, type, size, content }
+// GET    /api/folders/<id>/versions                        -> community versions of the folder's emails
+// POST   /api/folders/<id>/versions/<vid>/likes            -> the liked version
+// POST   /api/folders/<id>/emails/<eid>/versions           <- { subject, body }
+// POST   /api/folders/<id>/emails/<eid>/versions/<vid>/adopt <- { password }
+// GET    /api/share/<token>                                -> folder
+// GET    /api/countries?q=<query>                          -> matching countries
+// GET    /api/countries/<cc>/divisions                     -> counties, constituencies, ...
+// GET    /api/countries/<cc>/folders[/<id>]                -> country folder summaries, or one folder
+// POST   /api/countries/<cc>/folders                       <- { name, contacts }
+// POST   /api/countries/<cc>/folders/<id>/contacts         <- { contacts }
+// POST   /api/countries/<cc>/folders/<id>/uses             <- { versionId } (optional)
+// GET    /api/countries/<cc>/folders/<id>/versions         -> proposed versions of the list
+// POST   /api/countries/<cc>/folders/<id>/versions         <- { contacts, note }
+// POST   /api/countries/<cc>/folders/<id>/versions/<vid>/stats <- { action: 'like' | 'dislike' | 'use' }
+import http from 'node:http';
+import { GitHubStorage } from '../src/utils/githubStorage.js';
+import { GitHubAdapter } from '../src/utils/adapters/githubAdapter.js';
+import { parseSourceList } from '../src/utils/forkSources.js';
+import { GarbageCollector, formatGcReport } from '../src/utils/gc.js';
+
+const PORT = Number(process.env.MBOGI_PROXY_PORT || 8788);
+const ALLOWED_ORIGIN = process.env.MBOGI_ALLOWED_ORIGIN || '*';
+// Origin of the web app, used in the share links handed out
+const PUBLIC_URL = (process.env.MBOGI_PUBLIC_URL || '').replace(/\/+$/, '');
+// Forks read alongside the home repository: "owner/repo, owner/repo#branch"
+const FORK_SOURCES = parseSourceList(process.env.MBOGI_FORK_SOURCES);
+// Behind a reverse proxy the client address comes from X-Forwarded-For
+const TRUST_PROXY = process.env.MBOGI_TRUST_PROXY === '1';
+// Hours between garbage collection passes (src/utils/gc.js); unset or 0 turns them off
+const GC_INTERVAL_HOURS = Number(process.env.MBOGI_GC_INTERVAL_HOURS || 0);
+const MAX_BODY_SIZE = 20 * 1024 * 1024; // attachments are sent inline as base64
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TOKEN_PATTERN = /^[0-9a-f]{32}$/i;
+const COUNTRY_PATTERN = /^[a-z]{2,3}$/i;
+
+// Never leaves the server: password hashes, hashed creator addresses and checksums
+const PRIVATE_FIELDS = ['adminHash', 'adminSalt', 'passwordHash', 'passwordSalt', 'creatorIP', 'checksum'];
+
+function createStorage() {
+  const missing = ['MBOGI_GITHUB_TOKEN', 'MBOGI_GITHUB_OWNER', 'MBOGI_GITHUB_REPO']
+    .filter(key => !process.env[key]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+
+  const storage = new GitHubStorage(
+    new GitHubAdapter({
+      token: process.env.MBOGI_GITHUB_TOKEN,
+      owner: process.env.MBOGI_GITHUB_OWNER,
+      repo: process.env.MBOGI_GITHUB_REPO,
+      branch: process.env.MBOGI_GITHUB_BRANCH || null
+    }),
+    { publicUrl: PUBLIC_URL, mirrorToken: process.env.MBOGI_GITHUB_TOKEN }
+  );
+  storage.connectMirrors(FORK_SOURCES);
+  return storage;
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Storage errors only carry a message; map the ones a client can act on
+function statusFor(error) {
+  const message = error.message || '';
+  if (error.status) return error.status;
+  if (/rate limit exceeded/i.test(message)) return 429;
+  if (/\(409\)/.test(message)) return 409;
+  if (/invalid (admin )?password/i.test(message)) return 403;
+  if (/not found/i.test(message)) return 404;
+  if (/required|invalid|exceeds|not allowed/i.test(message)) return 400;
+  return 500;
+}
+
+function publicView(record) {
+  if (Array.isArray(record)) {
+    return record.map(publicView);
+  }
+  if (!record || typeof record !== 'object') {
+    return record;
+  }
+  const view = { ...record };
+  PRIVATE_FIELDS.forEach(field => delete view[field]);
+  if (Array.isArray(view.emails)) {
+    view.emails = view.emails.map(publicView);
+  }
+  return view;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw httpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    throw httpError(400, 'Request body is not valid JSON');
+  }
+}
+
+function clientIp(req) {
+  const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress || 'unknown';
+}
+
+function assertPattern(value, pattern, name) {
+  if (!pattern.test(value || '')) {
+    throw httpError(400, `Invalid ${name}`);
+  }
+}
+
+async function assertRateLimit(storage, ip, action) {
+  if (!await storage.security.checkRateLimit(ip, action)) {
+    throw httpError(429, 'Rate limit exceeded');
+  }
+}
+
+// The stored size is what the content decodes to, not what the client claims
+function normalizeAttachments(attachments) {
+  if (!Array.isArray(attachments)) {
+    return [];
+  }
+  return attachments.map(({ name, type, content }) => {
+    if (typeof content !== 'string') {
+      throw httpError(400, 'Invalid attachment content');
+    }
+    return { name, type, content, size: Buffer.from(content, 'base64').length };
+  });
+}
+
+async function createFolder(storage, req, res, ip) {
+  const { id, name, targetEmail, adminHash, adminSalt } = await readBody(req);
+  const { folder, changes } = await storage.prepareFolder(
+    { name, targetEmail },
+    ip,
+    { id, adminHash, adminSalt }
+  );
+  const written = await storage.commitFolder(changes);
+
+  // A replay of a write that already landed: its share link went out the first time
+  if (written !== changes.folder) {
+    return send(res, 200, { folder: publicView(written) });
+  }
+  return send(res, 201, {
+    folder: publicView(changes.folder),
+    shareToken: folder.shareToken,
+    shareableLink: folder.shareableLink
+  });
+}
+
+async function addEmail(storage, req, res, ip, folderId) {
+  const { id, subject, body, attachments, passwordHash, passwordSalt } = await readBody(req);
+  const { changes } = await storage.prepareEmail(
+    folderId,
+    { subject, body, attachments: normalizeAttachments(attachments) },
+    ip,
+    { id, passwordHash, passwordSalt }
+  );
+  const written = await storage.commitEmail(changes);
+  return send(res, written === changes.email ? 201 : 200, publicView(written));
+}
+
+// Path segments, decoded. A segment can't name a parent or a subdirectory
+// once decoded: ids are checked by pattern, but attachment names are not
+function pathSegments(pathname) {
+  return pathname.split('/').filter(Boolean).map(segment => {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch {
+      throw httpError(400, 'Invalid path encoding');
+    }
+    if (decoded.includes('/') || decoded.includes('\\') || decoded.includes('..')) {
+      throw httpError(400, 'Invalid path segment');
+    }
+    return decoded;
+  });
+}
+
+async function route(storage, req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parts = pathSegments(url.pathname);
+  const ip = clientIp(req);
+  const { method } = req;
+
+  if (parts[0] !== 'api') {
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  // /api/folders...
+  if (parts[1] === 'folders') {
+    const [, , folderId, sub, emailId, action, name, versionAction] = parts;
+
+    if (!folderId) {
+      if (method === 'GET') {
+        return send(res, 200, publicView(await storage.loadFolders(url.searchParams.get('all') === '1')));
+      }
+      if (method === 'POST') {
+        return createFolder(storage, req, res, ip);
+      }
+    }
+    assertPattern(folderId, ID_PATTERN, 'folder id');
+
+    if (!sub && method === 'DELETE') {
+      const { password } = await readBody(req);
+      await storage.deleteFolder(folderId, password);
+      return send(res, 200, { deleted: true });
+    }
+
+    if (sub === 'emails' && !emailId) {
+      if (method === 'GET') {
+        return send(res, 200, publicView(await storage.loadEmails(folderId)));
+      }
+      if (method === 'POST') {
+        return addEmail(storage, req, res, ip, folderId);
+      }
+    }
+
+    if (sub === 'versions' && !emailId && method === 'GET') {
+      return send(res, 200, publicView(await storage.loadFolderEmailVersions(folderId)));
+    }
+    if (sub === 'versions' && emailId && action === 'likes' && method === 'POST') {
+      assertPattern(emailId, ID_PATTERN, 'version id');
+      await assertRateLimit(storage, ip, 'LIKE_ACTION');
+      return send(res, 200, publicView(await storage.likeEmailVersion(folderId, emailId)));
+    }
+
+    if (sub === 'emails' && emailId) {
+      assertPattern(emailId, ID_PATTERN, 'email id');
+
+      if (action === 'versions' && !name && method === 'POST') {
+        const { subject, body } = await readBody(req);
+        await assertRateLimit(storage, ip, 'CREATE_VERSION');
+        return send(res, 201, publicView(await storage.createEmailVersion(folderId, emailId, { subject, body })));
+      }
+      if (action === 'versions' && name && versionAction === 'adopt' && method === 'POST') {
+        assertPattern(name, ID_PATTERN, 'version id');
+        const { password } = await readBody(req);
+        return send(res, 200, publicView(await storage.adoptEmailVersion(folderId, emailId, name, password)));
+      }
+
+      if (!action && method === 'DELETE') {
+        const { password } = await readBody(req);
+        await storage.deleteContent(`data/emails/${folderId}/${emailId}.json`, password);
+        return send(res, 200, { deleted: true });
+      }
+      if (action === 'likes' && method === 'POST') {
+        const body = await readBody(req);
+        await assertRateLimit(storage, ip, 'LIKE_ACTION');
+        const email = await storage.updateEmailLikes(
+          folderId,
+          emailId,
+          body.action === 'decrement' ? 'decrement' : 'increment',
+          body.likeId || null
+        );
+        return send(res, 200, publicView(email));
+      }
+      if (action === 'attachments' && name && method === 'GET') {
+        await assertRateLimit(storage, ip, 'DOWNLOAD_ATTACHMENT');
+        const attachment = await storage.loadAttachment(folderId, emailId, name);
+        return attachment
+          ? send(res, 200, publicView(attachment))
+          : send(res, 404, { error: 'Attachment not found' });
+      }
+    }
+  }
+
+  if (parts[1] === 'share' && parts[2] && method === 'GET') {
+    assertPattern(parts[2], TOKEN_PATTERN, 'share token');
+    return send(res, 200, publicView(await storage.loadFolderByShareToken(parts[2])));
+  }
+
+  // /api/countries...
+  if (parts[1] === 'countries') {
+    const [, , countryCode, sub, folderId, action, versionId, versionAction] = parts;
+
+    if (!countryCode && method === 'GET') {
+      return send(res, 200, await storage.searchCountries(url.searchParams.get('q') || ''));
+    }
+    assertPattern(countryCode, COUNTRY_PATTERN, 'country code');
+
+    if (sub === 'divisions' && method === 'GET') {
+      const divisions = await storage.loadDivisions(countryCode);
+      return divisions
+        ? send(res, 200, divisions)
+        : send(res, 404, { error: 'No divisions recorded for this country' });
+    }
+
+    if (sub === 'folders' && !folderId) {
+      if (method === 'GET') {
+        return send(res, 200, publicView(await storage.loadCountryFolders(countryCode)));
+      }
+      if (method === 'POST') {
+        // `emails` is what clients from before contact records send
+        const { name, contacts, emails } = await readBody(req);
+        await assertRateLimit(storage, ip, 'CREATE_FOLDER');
+        return send(res, 201, publicView(await storage.createCountryFolder(countryCode, name, contacts || emails)));
+      }
+    }
+    if (sub === 'folders' && folderId && action === 'contacts' && method === 'POST') {
+      assertPattern(folderId, ID_PATTERN, 'folder id');
+      const { contacts } = await readBody(req);
+      await assertRateLimit(storage, ip, 'CREATE_VERSION');
+      const { folder, added } = await storage.extendCountryFolder(countryCode, folderId, contacts || []);
+      return send(res, 200, { folder: publicView(folder), added });
+    }
+    if (sub === 'folders' && folderId && action === 'uses' && method === 'POST') {
+      assertPattern(folderId, ID_PATTERN, 'folder id');
+      const body = await readBody(req);
+      if (body.versionId) {
+        assertPattern(body.versionId, ID_PATTERN, 'version id');
+      }
+      await assertRateLimit(storage, ip, 'LIKE_ACTION');
+      await storage.recordCountryFolderUse(countryCode, folderId, body.versionId || null);
+      return send(res, 200, { recorded: true });
+    }
+    if (sub === 'folders' && folderId && action === 'versions' && !versionId) {
+      assertPattern(folderId, ID_PATTERN, 'folder id');
+      if (method === 'GET') {
+        return send(res, 200, publicView(await storage.loadCountryFolderVersions(countryCode, folderId)));
+      }
+      if (method === 'POST') {
+        const { contacts, note } = await readBody(req);
+        await assertRateLimit(storage, ip, 'CREATE_VERSION');
+        return send(res, 201, publicView(
+          await storage.createCountryFolderVersion(countryCode, folderId, contacts || [], note)
+        ));
+      }
+    }
+    if (sub === 'folders' && folderId && action === 'versions' && versionAction === 'stats' && method === 'POST') {
+      assertPattern(folderId, ID_PATTERN, 'folder id');
+      assertPattern(versionId, ID_PATTERN, 'version id');
+      const body = await readBody(req);
+      await assertRateLimit(storage, ip, 'LIKE_ACTION');
+      return send(res, 200, publicView(
+        await storage.updateVersionStats(countryCode, folderId, versionId, body.action)
+      ));
+    }
+    if (sub === 'folders' && folderId && method === 'GET') {
+      assertPattern(folderId, ID_PATTERN, 'folder id');
+      const folder = await storage.loadCountryFolder(countryCode, folderId);
+      return folder
+        ? send(res, 200, publicView(folder))
+        : send(res, 404, { error: 'Folder not found' });
+    }
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+const storage = createStorage();
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === 'OPTIONS') {
+      return send(res, 204);
+    }
+    return await route(storage, req, res);
+  } catch (error) {
+    const status = statusFor(error);
+    if (status >= 500) {
+      console.error('Proxy server error:', error);
+    }
+    return send(res, status, { error: status >= 500 ? 'Storage request failed' : error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.warn(`Storage proxy for ${process.env.MBOGI_GITHUB_OWNER}/${process.env.MBOGI_GITHUB_REPO} on http://localhost:${PORT}`);
+});
+
+if (GC_INTERVAL_HOURS > 0) {
+  const collector = new GarbageCollector(storage);
+  const collect = async () => {
+    try {
+      const report = await collector.run({ dryRun: false });
+      if (report.garbage.length > 0) {
+        console.warn(formatGcReport(report));
+      }
+    } catch (error) {
+      console.error('Garbage collection failed:', error);
+    }
+  };
+  setInterval(collect, GC_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
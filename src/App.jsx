@@ -2,6 +2,8 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { EmailTemplateApp } from './components/EmailTemplateApp';
 import { ShareFolderPage } from './components/ShareFolderPage';
+import { ForkSourcesPage } from './components/ForkSourcesPage';
+import { RepositoryCheckPage } from './components/RepositoryCheckPage';
 import { useFolders, FolderProvider } from './context/FolderContext';
 import { Alert, AlertDescription } from './components/ui/alert';
 
@@ -18,6 +20,8 @@ function App() {
           <Routes>
             <Route path="/" element={<EmailTemplateApp />} />
             <Route path="/share/:token" element={<ShareFolderPage />} />
+            <Route path="/settings/sources" element={<ForkSourcesPage />} />
+            <Route path="/admin/check" element={<RepositoryCheckPage />} />
           </Routes>
         </div>
       </FolderProvider>
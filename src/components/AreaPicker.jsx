@@ -0,0 +1,54 @@
+// AreaPicker.jsx
+import React from 'react';
+import { MapPin, X } from 'lucide-react';
+
+const keyOf = (node) => node.code || node.name;
+
+// One select per level of a country's divisions (see utils/divisions.js): a
+// county, then one of its constituencies, and so on while there are areas below
+export const AreaPicker = ({ divisions, areaPath, onChange }) => {
+  const selects = [];
+  let options = divisions.roots;
+  for (let depth = 0; options.length > 0; depth++) {
+    const level = divisions.levels[depth];
+    const selected = areaPath[depth];
+    selects.push({ depth, level, options, selected });
+    if (!selected) break;
+    options = selected.children;
+  }
+
+  const handleSelect = (depth, key) => {
+    const node = selects[depth].options.find(option => keyOf(option) === key);
+    onChange(node ? node.path : areaPath.slice(0, depth));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <MapPin className="h-4 w-4 text-gray-500" />
+      {selects.map(({ depth, level, options: choices, selected }) => (
+        <select
+          key={level.key}
+          value={selected ? keyOf(selected) : ''}
+          onChange={(e) => handleSelect(depth, e.target.value)}
+          className="p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+          aria-label={level.label}
+        >
+          <option value="">Any {level.label.toLowerCase()}</option>
+          {choices.map(option => (
+            <option key={keyOf(option)} value={keyOf(option)}>{option.name}</option>
+          ))}
+        </select>
+      ))}
+      {areaPath.length > 0 && (
+        <button
+          type="button"
+          onClick={() => onChange([])}
+          className="flex items-center gap-1 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+        >
+          <X className="h-3 w-3" />
+          Clear
+        </button>
+      )}
+    </div>
+  );
+};
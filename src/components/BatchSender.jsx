@@ -0,0 +1,195 @@
+// BatchSender.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { Check, Copy, RotateCcw, Send } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { describeContact } from '../utils/contacts';
+import { renderEmail, sharedRecipient, usesPlaceholder } from '../utils/mailMerge';
+import { DEFAULT_PLACEMENT, PLACEMENTS, planBatches } from '../utils/mailtoBatches';
+import { DEFAULT_PROVIDER, MAIL_PROVIDERS, loadMailProvider, openLink, providerFor, saveMailProvider } from '../utils/mailProviders';
+import { clearSendProgress, loadSendProgress, markBatchOpened, sendId } from '../utils/sendProgress';
+import { loadSenderProfile, saveSenderProfile } from '../utils/senderProfile';
+
+// Walks someone through a send to many recipients one mail-app window at a
+// time: "Open batch 3 of 9", remembering which batches were opened so the send
+// can be resumed after the page is closed
+export const BatchSender = ({ email, recipients, onFirstOpen }) => {
+  const [placement, setPlacement] = useState(DEFAULT_PLACEMENT);
+  const [provider, setProvider] = useState(() => loadMailProvider() || DEFAULT_PROVIDER);
+  const [sender, setSender] = useState(loadSenderProfile);
+  const [copied, setCopied] = useState(false);
+
+  const plan = useMemo(() => planBatches(
+    recipients,
+    contacts => renderEmail(email, { recipient: sharedRecipient(contacts), sender }),
+    { placement, compose: providerFor(provider).compose, maxLength: providerFor(provider).maxLength }
+  ), [recipients, email, sender, placement, provider]);
+
+  // Providers with the same length limit cut the same batches, so a send can
+  // be carried on in another one
+  const id = useMemo(
+    () => sendId(email.id, recipients, placement, providerFor(provider).maxLength),
+    [email.id, recipients, placement, provider]
+  );
+  const [saved, setSaved] = useState(() => loadSendProgress(id));
+  useEffect(() => setSaved(loadSendProgress(id)), [id]);
+
+  // Progress from a plan with other batch boundaries (the letter changed) does not apply
+  const total = plan.batches.length;
+  const progress = saved?.total === total ? saved : null;
+  const opened = new Set(progress?.opened || []);
+  const next = plan.batches.findIndex((_, index) => !opened.has(index));
+  const needsName = !sender.name && usesPlaceholder(`${email.subject}\n${email.body}`, 'sender.name');
+
+  const handleOpen = (index) => {
+    if (opened.size === 0) onFirstOpen?.();
+    if (!progress) clearSendProgress(id);
+    setSaved(markBatchOpened(id, index, total));
+    openLink(provider, plan.batches[index].href);
+  };
+
+  const handleStartOver = () => {
+    clearSendProgress(id);
+    setSaved(null);
+  };
+
+  const handleCopy = async () => {
+    const letter = renderEmail(email, { recipient: sharedRecipient(recipients), sender });
+    try {
+      await navigator.clipboard.writeText(letter.body);
+      setCopied(true);
+    } catch (err) {
+      console.warn('Failed to copy the letter:', err);
+    }
+  };
+
+  const handleProvider = (key) => {
+    setProvider(saveMailProvider(key));
+  };
+
+  const handleSenderName = (name) => {
+    setSender({ ...sender, name });
+    saveSenderProfile({ ...sender, name });
+  };
+
+  return (
+    <div className="space-y-3 p-3 border rounded-lg dark:border-gray-700">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="text-gray-500">Put the addresses in</span>
+        {Object.entries(PLACEMENTS).map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1 cursor-pointer">
+            <input type="radio" name="placement" checked={placement === key} onChange={() => setPlacement(key)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <label className="flex items-center gap-2 text-sm">
+        <span className="text-gray-500">Send with</span>
+        <select
+          value={provider}
+          onChange={(e) => handleProvider(e.target.value)}
+          className="p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+        >
+          {Object.entries(MAIL_PROVIDERS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {placement !== 'bcc' && (
+        <p className="text-xs text-amber-600">
+          Everyone in a batch will see the other addresses. BCC keeps the list private.
+        </p>
+      )}
+
+      {needsName && (
+        <input
+          value={sender.name}
+          onChange={(e) => handleSenderName(e.target.value)}
+          placeholder="Your name, to sign the letter with"
+          className="w-full p-2 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+        />
+      )}
+
+      {!plan.bodyIncluded && (
+        <Alert>
+          <AlertDescription className="flex flex-wrap items-center gap-2">
+            This letter is too long to fit in a link, so each batch opens without it. Copy it once and paste it
+            into every email.
+            <button
+              onClick={handleCopy}
+              className="flex items-center gap-1 px-2 py-1 border rounded hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-700"
+            >
+              {copied ? <Check size={14} /> : <Copy size={14} />}
+              {copied ? 'Copied' : 'Copy letter'}
+            </button>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <div className="space-y-1">
+        <div className="flex justify-between text-sm">
+          <span>{recipients.length} addresses in {total} {total === 1 ? 'batch' : 'batches'}</span>
+          <span className="text-gray-500">{opened.size} of {total} opened</span>
+        </div>
+        <div className="h-2 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+          <div className="h-full bg-blue-500" style={{ width: `${total > 0 ? (opened.size / total) * 100 : 0}%` }} />
+        </div>
+        {progress && opened.size > 0 && next !== -1 && (
+          <p className="text-xs text-gray-500">
+            Picking up where you left off on {new Date(progress.updatedAt).toLocaleString()}.
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {next !== -1 ? (
+          <button
+            onClick={() => handleOpen(next)}
+            disabled={needsName}
+            className="flex items-center gap-1 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            <Send size={14} />
+            Open batch {next + 1} of {total}
+          </button>
+        ) : (
+          <span className="flex items-center gap-1 text-sm text-green-600">
+            <Check size={14} />
+            All {total} batches opened
+          </span>
+        )}
+        {opened.size > 0 && (
+          <button
+            onClick={handleStartOver}
+            className="flex items-center gap-1 px-3 py-2 border rounded text-sm hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-700"
+          >
+            <RotateCcw size={14} />
+            Start over
+          </button>
+        )}
+      </div>
+
+      {total > 1 && (
+        <details className="text-sm">
+          <summary className="cursor-pointer text-gray-500">All batches</summary>
+          <ol className="mt-2 divide-y dark:divide-gray-700">
+            {plan.batches.map((batch, index) => (
+              <li key={index} className="py-1 flex items-center gap-2">
+                <span className="w-20">Batch {index + 1}</span>
+                <span className="flex-1 min-w-0 truncate text-gray-500">
+                  {batch.recipients.length} · {describeContact(batch.recipients[0])}
+                  {batch.recipients.length > 1 && ` … ${describeContact(batch.recipients[batch.recipients.length - 1])}`}
+                </span>
+                <button
+                  onClick={() => handleOpen(index)}
+                  disabled={needsName}
+                  className="text-blue-500 hover:text-blue-600 disabled:opacity-50"
+                >
+                  {opened.has(index) ? 'Open again' : 'Open'}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,261 @@
+// ContactImportDialog.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { X, Loader, Upload, AlertTriangle } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { MAX_LIST_SIZE, readContactFile, guessMapping, buildImport } from '../utils/contactImport';
+import { CONTACT_FIELDS, CONTACT_LABELS, contactEmails, contactsOf } from '../utils/contacts';
+import { githubStorage } from '../utils/githubStorage';
+
+const PREVIEW_ROWS = 100;
+
+// A published contact list (CSV, vCard or XLSX) mapped onto contact fields,
+// checked against the list it goes into, and saved as a new or extended list
+export const ContactImportDialog = ({ country, folders, onImported, onClose }) => {
+  const [table, setTable] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [targetId, setTargetId] = useState('');
+  const [listName, setListName] = useState('');
+  const [sourceUrl, setSourceUrl] = useState('');
+  const [existingEmails, setExistingEmails] = useState([]);
+  const [reading, setReading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Adding to a list checks against its addresses, which the listing lacks
+  useEffect(() => {
+    if (!targetId) {
+      setExistingEmails([]);
+      return;
+    }
+    let cancelled = false;
+    githubStorage.loadCountryFolder(country.code, targetId)
+      .then(folder => !cancelled && setExistingEmails(contactEmails(contactsOf(folder))))
+      .catch(err => !cancelled && setError(err.message));
+    return () => { cancelled = true; };
+  }, [country.code, targetId]);
+
+  const preview = useMemo(() => {
+    if (!table || mapping.email === undefined) return null;
+    return buildImport(table, mapping, existingEmails, sourceUrl.trim() ? { sourceUrl: sourceUrl.trim() } : {});
+  }, [table, mapping, existingEmails, sourceUrl]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setReading(true);
+      setError(null);
+      const parsed = await readContactFile(file);
+      if (parsed.rows.length === 0) {
+        throw new Error(`No rows found in ${file.name}`);
+      }
+      setTable(parsed);
+      setFileName(file.name);
+      setMapping(guessMapping(parsed));
+      setListName(prev => prev || file.name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' '));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const setField = (field, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[field];
+      } else {
+        next[field] = Number(value);
+      }
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    const { contacts } = preview;
+    try {
+      setSaving(true);
+      setError(null);
+      if (targetId) {
+        const { folder, added } = await githubStorage.extendCountryFolder(country.code, targetId, contacts);
+        onImported(folder, added);
+      } else {
+        if (!listName.trim()) {
+          throw new Error('List name is required');
+        }
+        const folder = await githubStorage.createCountryFolder(country.code, listName.trim(), contacts);
+        onImported(folder, contacts.length);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const shownFields = CONTACT_FIELDS.filter(field => mapping[field] !== undefined);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Import contacts for {country.name}</h2>
+          <button onClick={onClose} className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1 space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <label className="flex items-center gap-2 px-4 py-2 border rounded cursor-pointer hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-700 w-fit">
+            {reading ? <Loader size={16} className="animate-spin" /> : <Upload size={16} />}
+            {fileName || 'Choose a CSV, vCard or XLSX file'}
+            <input type="file" accept=".csv,.tsv,.txt,.vcf,.vcard,.xlsx" onChange={handleFile} className="hidden" />
+          </label>
+
+          {table && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {CONTACT_FIELDS.map(field => (
+                  <label key={field} className="text-sm">
+                    <span className="block mb-1 font-medium">{CONTACT_LABELS[field]}</span>
+                    <select
+                      value={mapping[field] ?? ''}
+                      onChange={(e) => setField(field, e.target.value)}
+                      className="w-full p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+                    >
+                      <option value="">Not in file</option>
+                      {table.headers.map((header, i) => (
+                        <option key={i} value={i}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-end gap-4 text-sm">
+                <label>
+                  <span className="block mb-1 font-medium">Import into</span>
+                  <select
+                    value={targetId}
+                    onChange={(e) => setTargetId(e.target.value)}
+                    className="p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+                  >
+                    <option value="">A new list</option>
+                    {folders.map(folder => (
+                      <option key={folder.id} value={folder.id}>{folder.name}</option>
+                    ))}
+                  </select>
+                </label>
+                {!targetId && (
+                  <label className="flex-1">
+                    <span className="block mb-1 font-medium">List name</span>
+                    <input
+                      value={listName}
+                      onChange={(e) => setListName(e.target.value)}
+                      className="w-full p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+                    />
+                  </label>
+                )}
+                {mapping.sourceUrl === undefined && (
+                  <label className="flex-1">
+                    <span className="block mb-1 font-medium">Where the list was published</span>
+                    <input
+                      type="url"
+                      value={sourceUrl}
+                      onChange={(e) => setSourceUrl(e.target.value)}
+                      placeholder="https://www.parliament.go.ke/..."
+                      className="w-full p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+                    />
+                  </label>
+                )}
+              </div>
+
+              {!preview ? (
+                <p className="text-sm text-gray-500">Choose the column that holds the email addresses.</p>
+              ) : (
+                <>
+                  <p className="text-sm">
+                    {preview.contacts.length} new contacts from {table.rows.length} rows
+                    {preview.duplicates.length > 0 && `, ${preview.duplicates.length} duplicates skipped`}
+                    {preview.invalid.length > 0 && `, ${preview.invalid.length} invalid`}.
+                  </p>
+                  {preview.overLimit > 0 && (
+                    <p className="text-sm text-red-500 flex items-center gap-1">
+                      <AlertTriangle size={14} />
+                      {preview.overLimit} contacts do not fit; a list holds at most {MAX_LIST_SIZE} addresses.
+                    </p>
+                  )}
+
+                  <div className="overflow-auto border rounded dark:border-gray-700 max-h-72">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                        <tr>
+                          {shownFields.map(field => (
+                            <th key={field} className="p-2 text-left font-medium">{CONTACT_LABELS[field]}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y dark:divide-gray-700">
+                        {preview.contacts.slice(0, PREVIEW_ROWS).map(contact => (
+                          <tr key={contact.email}>
+                            {shownFields.map(field => (
+                              <td key={field} className="p-2 break-all">{contact[field] || ''}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {preview.contacts.length > PREVIEW_ROWS && (
+                    <p className="text-xs text-gray-500">
+                      Showing the first {PREVIEW_ROWS} of {preview.contacts.length}.
+                    </p>
+                  )}
+
+                  {(preview.duplicates.length > 0 || preview.invalid.length > 0) && (
+                    <details className="text-xs text-gray-500">
+                      <summary className="cursor-pointer">Skipped rows</summary>
+                      <ul className="mt-2 space-y-1">
+                        {preview.duplicates.map(({ row, email, existing }, i) => (
+                          <li key={`d-${i}`}>
+                            Row {row}: {email} {existing ? 'is already in the list' : 'appears earlier in the file'}
+                          </li>
+                        ))}
+                        {preview.invalid.map(({ row, value, reason }, i) => (
+                          <li key={`i-${i}`}>Row {row}: {reason} (&quot;{value}&quot;)</li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t dark:border-gray-700 flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 border rounded hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-700">
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={saving || !preview || preview.contacts.length === 0}
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 flex items-center gap-1"
+          >
+            {saving && <Loader size={14} className="animate-spin" />}
+            {targetId ? 'Add' : 'Create list with'} {preview?.contacts.length || 0} contacts
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
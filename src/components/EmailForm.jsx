@@ -1,19 +1,58 @@
 //email form
-import React, { useState, useCallback } from 'react';
-import { X, Paperclip, Image as ImageIcon, AlertTriangle } from 'lucide-react';
+import React, { useState, useCallback, useMemo, useRef } from 'react';
+import { X, Paperclip, Image as ImageIcon, AlertTriangle, Eye, EyeOff } from 'lucide-react';
 import { Alert, AlertDescription } from '../components/ui/alert';
+import { PLACEHOLDERS, SAMPLE_RECIPIENT, checkTemplate, renderEmail } from '../utils/mailMerge';
+import { loadSenderProfile, saveSenderProfile } from '../utils/senderProfile';
 
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const ALLOWED_FILE_TYPES = ['image/jpeg', 'image/png', 'application/pdf', 'text/plain'];
 
-export const EmailForm = ({ onSubmit, onCancel, initialData }) => {
-  const [formData, setFormData] = useState(initialData || {
+// textOnly hides attachments, for community versions which only change the text
+export const EmailForm = ({ onSubmit, onCancel, initialData, textOnly = false, submitLabel = 'Save' }) => {
+  const [formData, setFormData] = useState({
     subject: '',
     body: '',
-    attachments: []
+    attachments: [],
+    ...initialData
   });
   const [isUploading, setIsUploading] = useState(false);
   const [error, setError] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  const [sender, setSender] = useState(loadSenderProfile);
+  const bodyRef = useRef(null);
+
+  // Placeholder mistakes, with the line they are on
+  const problems = useMemo(() => [
+    ...checkTemplate(formData.subject).map(problem => ({ ...problem, where: 'Subject' })),
+    ...checkTemplate(formData.body).map(problem => ({
+      ...problem,
+      where: `Body line ${formData.body.slice(0, problem.index).split('\n').length}`
+    }))
+  ], [formData.subject, formData.body]);
+
+  const preview = useMemo(
+    () => (showPreview ? renderEmail(formData, { recipient: SAMPLE_RECIPIENT, sender }) : null),
+    [showPreview, formData, sender]
+  );
+
+  // Puts {{key}} where the cursor is in the body
+  const insertPlaceholder = (key) => {
+    const textarea = bodyRef.current;
+    const start = textarea ? textarea.selectionStart : formData.body.length;
+    const end = textarea ? textarea.selectionEnd : formData.body.length;
+    const token = `{{${key}}}`;
+    setFormData(prev => ({ ...prev, body: prev.body.slice(0, start) + token + prev.body.slice(end) }));
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  const handleSenderName = (name) => {
+    setSender({ ...sender, name });
+    saveSenderProfile({ ...sender, name });
+  };
 
   const validateFile = useCallback((file) => {
     if (file.size > MAX_FILE_SIZE) {
@@ -82,6 +121,10 @@ export const EmailForm = ({ onSubmit, onCancel, initialData }) => {
       setError('Body is required');
       return;
     }
+    if (problems.length > 0) {
+      setError(`Fix the placeholders first: ${problems[0].message}`);
+      return;
+    }
     onSubmit(formData);
   };
 
@@ -112,68 +155,124 @@ export const EmailForm = ({ onSubmit, onCancel, initialData }) => {
           setError(null);
           setFormData(prev => ({ ...prev, body: e.target.value }));
         }}
+        ref={bodyRef}
         className="w-full p-2 border rounded h-32 dark:bg-gray-700 dark:border-gray-600"
       />
 
       <div className="space-y-2">
-        <div className="flex items-center gap-2">
-          <label className="flex items-center gap-2 cursor-pointer bg-gray-100 dark:bg-gray-700 px-4 py-2 rounded hover:bg-gray-200 dark:hover:bg-gray-600">
-            <Paperclip size={20} />
-            <span>Add Attachment</span>
-            <input
-              type="file"
-              multiple
-              onChange={handleAttachment}
-              className="hidden"
-              disabled={isUploading}
-              accept={ALLOWED_FILE_TYPES.join(',')}
-            />
-          </label>
-          {isUploading && (
-            <span className="text-sm text-gray-500 animate-pulse">
-              Uploading...
-            </span>
-          )}
+        <div className="flex flex-wrap items-center gap-1 text-xs">
+          <span className="text-gray-500 mr-1">Insert:</span>
+          {PLACEHOLDERS.map(placeholder => (
+            <button
+              key={placeholder.key}
+              type="button"
+              onClick={() => insertPlaceholder(placeholder.key)}
+              title={placeholder.label}
+              className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 font-mono"
+            >
+              {`{{${placeholder.key}}}`}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => setShowPreview(!showPreview)}
+            className="ml-auto flex items-center gap-1 text-blue-500 hover:text-blue-600"
+          >
+            {showPreview ? <EyeOff size={14} /> : <Eye size={14} />}
+            {showPreview ? 'Hide preview' : 'Preview'}
+          </button>
         </div>
+        <p className="text-xs text-gray-500">
+          Each official gets their own copy with the placeholders filled in. Add a fallback for
+          contacts without the detail: {'{{recipient.name|Honourable Member}}'}.
+        </p>
 
-        {formData.attachments.length > 0 && (
-          <div className="space-y-2">
-            {formData.attachments.map((file, index) => (
-              <div
-                key={index}
-                className="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-800 rounded"
-              >
-                <div className="flex items-center gap-2">
-                  {file.type.startsWith('image/') ? (
-                    <ImageIcon size={20} />
-                  ) : (
-                    <Paperclip size={20} />
-                  )}
-                  <span className="text-sm">{file.name}</span>
-                  <span className="text-xs text-gray-500">
-                    ({Math.round(file.size / 1024)}KB)
-                  </span>
-                </div>
-                <button
-                  type="button"
-                  onClick={() => removeAttachment(index)}
-                  className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded"
-                >
-                  <X size={16} />
-                </button>
-              </div>
+        {problems.length > 0 && (
+          <ul className="text-sm text-red-600 dark:text-red-400 space-y-1">
+            {problems.map((problem, index) => (
+              <li key={index}>{problem.where}: {problem.message}</li>
             ))}
+          </ul>
+        )}
+
+        {preview && (
+          <div className="p-3 border rounded bg-gray-50 dark:bg-gray-800 dark:border-gray-700 space-y-2 text-sm">
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+              <span>To {SAMPLE_RECIPIENT.fullName}, {SAMPLE_RECIPIENT.title} for {SAMPLE_RECIPIENT.constituency}, from</span>
+              <input
+                value={sender.name}
+                onChange={(e) => handleSenderName(e.target.value)}
+                placeholder="Your name"
+                className="p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+              />
+            </div>
+            <div className="font-semibold">{preview.subject}</div>
+            <div className="whitespace-pre-wrap">{preview.body}</div>
           </div>
         )}
       </div>
 
+      {!textOnly && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <label className="flex items-center gap-2 cursor-pointer bg-gray-100 dark:bg-gray-700 px-4 py-2 rounded hover:bg-gray-200 dark:hover:bg-gray-600">
+              <Paperclip size={20} />
+              <span>Add Attachment</span>
+              <input
+                type="file"
+                multiple
+                onChange={handleAttachment}
+                className="hidden"
+                disabled={isUploading}
+                accept={ALLOWED_FILE_TYPES.join(',')}
+              />
+            </label>
+            {isUploading && (
+              <span className="text-sm text-gray-500 animate-pulse">
+                Uploading...
+              </span>
+            )}
+          </div>
+
+          {formData.attachments.length > 0 && (
+            <div className="space-y-2">
+              {formData.attachments.map((file, index) => (
+                <div
+                  key={index}
+                  className="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-800 rounded"
+                >
+                  <div className="flex items-center gap-2">
+                    {file.type.startsWith('image/') ? (
+                      <ImageIcon size={20} />
+                    ) : (
+                      <Paperclip size={20} />
+                    )}
+                    <span className="text-sm">{file.name}</span>
+                    <span className="text-xs text-gray-500">
+                      ({Math.round(file.size / 1024)}KB)
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeAttachment(index)}
+                    className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="flex gap-2">
         <button
           type="submit"
           className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 disabled:opacity-50"
           disabled={isUploading}
         >
-          Save
+          {submitLabel}
         </button>
         <button
           type="button"
@@ -1,17 +1,29 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Heart, Send, Trash2, Paperclip, AlertTriangle, Lock } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Heart, Send, Trash2, Paperclip, AlertTriangle, Lock, GitBranch, Users, Download } from 'lucide-react';
 import { Alert, AlertDescription } from '../components/ui/alert';
 import { useFolders } from '../context/FolderContext';
 import { EmailForm } from './EmailForm';
-import { PasswordManager } from '../utils/githubStorage';
+import { EmailVersions } from './EmailVersions';
+import { SendToListDialog } from './SendToListDialog';
+import { PasswordManager, githubStorage } from '../utils/githubStorage';
+import { renderEmail } from '../utils/mailMerge';
+import { senderForTemplate } from '../utils/senderProfile';
+import { buildEml, emlFileName } from '../utils/emlExport';
+import { openCompose } from '../utils/mailProviders';
+import { SendButton } from './SendButton';
 
-export const EmailList = ({ folder }) => {
-  const { addEmail, likeEmail, deleteEmail, loadFolderEmails } = useFolders();
+export const EmailList = ({ folder: selectedFolder }) => {
+  const { folders, addEmail, likeEmail, deleteEmail, loadFolderEmails } = useFolders();
+  // Follow the context copy so loaded and pending emails show up
+  const folder = folders.find(f => f.id === selectedFolder?.id) || selectedFolder;
   const [isCreating, setIsCreating] = useState(false);
   const [error, setError] = useState(null);
   const [emailPassword, setEmailPassword] = useState('');
   const [showEmailPassword, setShowEmailPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [openVersions, setOpenVersions] = useState(null);
+  const [sendingToList, setSendingToList] = useState(null);
 
   // Load emails only once when folder changes
   useEffect(() => {
@@ -39,18 +51,38 @@ export const EmailList = ({ folder }) => {
     return () => { mounted = false; };
   }, [folder?.id, loadFolderEmails]);
 
+  // Community versions of every email in the folder, for the counts on the cards
+  const loadVersions = useCallback(async () => {
+    if (!folder?.id) return;
+    try {
+      setVersions(await githubStorage.loadFolderEmailVersions(folder.id));
+    } catch (err) {
+      console.warn('Failed to load email versions:', err);
+    }
+  }, [folder?.id]);
+
+  useEffect(() => {
+    setVersions([]);
+    setOpenVersions(null);
+    loadVersions();
+  }, [loadVersions]);
+
+  const versionsByEmail = useMemo(() => versions.reduce((groups, version) => ({
+    ...groups,
+    [version.originalEmailId]: [...(groups[version.originalEmailId] || []), version]
+  }), {}), [versions]);
+
   const handleCreateEmail = useCallback(async (emailData) => {
     try {
       setError(null);
       setLoading(true);
 
       // Get IP address
+      // Offline the lookup fails too; the email is then queued for sync
       const ip = await fetch('https://api.ipify.org?format=json')
         .then(res => res.json())
         .then(data => data.ip)
-        .catch(() => {
-          throw new Error('Failed to get IP address. Please try again.');
-        });
+        .catch(() => 'unknown');
 
       const result = await addEmail(folder.id, emailData, ip);
       
@@ -106,26 +138,77 @@ export const EmailList = ({ folder }) => {
     }
   }, [folder?.id, likeEmail]);
 
-  const handleSendEmail = useCallback((email) => {
-    const mailtoLink = `mailto:${folder.targetEmail}?subject=${encodeURIComponent(
-      email.subject
-    )}&body=${encodeURIComponent(email.body)}`;
-    window.location.href = mailtoLink;
+  // Placeholders are filled in for the folder's recipient at send time
+  const handleSendEmail = useCallback((email, provider) => {
+    const letter = renderEmail(email, { recipient: { email: folder.targetEmail }, sender: senderForTemplate(email) });
+    return openCompose(provider, { addresses: [folder.targetEmail], placement: 'to', ...letter });
   }, [folder?.targetEmail]);
 
+  // A .eml file carries the attachments a mail link can't; listings leave out
+  // attachment contents, so they are fetched first
+  const handleDownloadEml = useCallback(async (email) => {
+    try {
+      setError(null);
+      const attachments = await Promise.all((email.attachments || []).map(async attachment => {
+        const loaded = attachment.content ? attachment : await githubStorage.loadAttachment(folder.id, email.id, attachment.name);
+        if (!loaded?.content) {
+          throw new Error(`Attachment ${attachment.name} not found`);
+        }
+        return loaded;
+      }));
+      const sender = senderForTemplate(email);
+      const letter = renderEmail(email, { recipient: { email: folder.targetEmail }, sender });
+      const eml = buildEml({
+        addresses: [folder.targetEmail].filter(Boolean),
+        from: sender.email ? sender : null,
+        subject: letter.subject,
+        body: letter.body,
+        attachments
+      });
+
+      const url = URL.createObjectURL(new Blob([eml], { type: 'message/rfc822' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = emlFileName(letter.subject);
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [folder?.id, folder?.targetEmail]);
+
   const handlePasswordClose = useCallback(() => {
     setShowEmailPassword(false);
     setEmailPassword('');
   }, []);
 
-  const renderAttachments = useCallback((attachments) => {
+  // Email listings come from the index without attachment contents, fetch on click
+  const handleDownloadAttachment = useCallback(async (email, attachmentName) => {
+    try {
+      setError(null);
+      const attachment = await githubStorage.loadAttachment(folder.id, email.id, attachmentName);
+      if (!attachment?.content) {
+        throw new Error(`Attachment ${attachmentName} not found`);
+      }
+
+      const link = document.createElement('a');
+      link.href = `data:${attachment.type};base64,${attachment.content}`;
+      link.download = attachment.name;
+      link.click();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [folder?.id]);
+
+  const renderAttachments = useCallback((email) => {
+    const attachments = email.attachments;
     if (!attachments?.length) return null;
 
     return (
       <div className="mt-2 space-y-1">
         <div className="text-sm text-gray-500">Attachments:</div>
         <div className="flex flex-wrap gap-2">
-          {attachments.map((attachment, index) => (
+          {attachments.map((attachment, index) => attachment.content ? (
             <a
               key={index}
               href={`data:${attachment.type};base64,${attachment.content}`}
@@ -135,11 +218,21 @@ export const EmailList = ({ folder }) => {
               <Paperclip size={16} />
               <span>{attachment.name}</span>
             </a>
+          ) : (
+            <button
+              key={index}
+              type="button"
+              onClick={() => handleDownloadAttachment(email, attachment.name)}
+              className="flex items-center gap-1 text-sm text-blue-500 hover:text-blue-600"
+            >
+              <Paperclip size={16} />
+              <span>{attachment.name}</span>
+            </button>
           ))}
         </div>
       </div>
     );
-  }, []);
+  }, [handleDownloadAttachment]);
 
   if (!folder) {
     return (
@@ -195,6 +288,10 @@ export const EmailList = ({ folder }) => {
         </Alert>
       )}
 
+      {sendingToList && (
+        <SendToListDialog email={sendingToList} onClose={() => setSendingToList(null)} />
+      )}
+
       {isCreating && (
         <div className="mb-6">
           <EmailForm
@@ -229,6 +326,13 @@ export const EmailList = ({ folder }) => {
                 <h3 className="text-lg font-semibold">{email.subject}</h3>
                 <div className="text-sm text-gray-500">
                   {new Date(email.createdAt).toLocaleString()}
+                  {email.pendingSync && (
+                    <span className={`ml-2 text-xs px-1 rounded ${
+                      email.syncFailed ? 'bg-red-200 text-red-800' : 'bg-yellow-200 text-yellow-800'
+                    }`}>
+                      {email.syncFailed ? 'Sync failed' : 'Pending sync'}
+                    </span>
+                  )}
                 </div>
               </div>
               <div className="flex items-center gap-2">
@@ -240,17 +344,34 @@ export const EmailList = ({ folder }) => {
                   <Heart size={20} className={email.userHasLiked ? "fill-current" : ""} />
                   <span>{email.likes}</span>
                 </button>
-                <button
-                  onClick={() => handleSendEmail(email)}
+                <SendButton
+                  onSend={(provider) => handleSendEmail(email, provider)}
                   className="text-blue-500 hover:text-blue-600"
                   disabled={loading}
                 >
                   <Send size={20} />
+                </SendButton>
+                <button
+                  onClick={() => setSendingToList(email)}
+                  className="text-blue-500 hover:text-blue-600"
+                  disabled={loading}
+                  title="Send to a country contact list"
+                >
+                  <Users size={20} />
                 </button>
                 <button
-                  onClick={() => handleDeleteEmail(email.id)}
-                  className="text-red-500 hover:text-red-600"
+                  onClick={() => handleDownloadEml(email)}
+                  className="text-blue-500 hover:text-blue-600"
                   disabled={loading}
+                  title="Download as .eml, with attachments, to send from any mail app"
+                >
+                  <Download size={20} />
+                </button>
+                <button
+                  onClick={() => handleDeleteEmail(email.id)}
+                  className="text-red-500 hover:text-red-600 disabled:opacity-50"
+                  disabled={loading || email.pendingSync}
+                  title={email.pendingSync ? 'Not synced yet, cancel it from the sync queue instead' : undefined}
                 >
                   <Trash2 size={20} />
                 </button>
@@ -259,7 +380,24 @@ export const EmailList = ({ folder }) => {
             <p className="text-gray-600 dark:text-gray-300 whitespace-pre-wrap">
               {email.body}
             </p>
-            {renderAttachments(email.attachments)}
+            {renderAttachments(email)}
+            <button
+              onClick={() => setOpenVersions(openVersions === email.id ? null : email.id)}
+              className="mt-2 flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+            >
+              <GitBranch size={16} />
+              {(versionsByEmail[email.id] || []).length === 1
+                ? '1 community version'
+                : `${(versionsByEmail[email.id] || []).length} community versions`}
+            </button>
+            {openVersions === email.id && (
+              <EmailVersions
+                folderId={folder.id}
+                email={email}
+                versions={versionsByEmail[email.id] || []}
+                onChanged={loadVersions}
+              />
+            )}
           </div>
         ))}
       </div>
@@ -1,10 +1,18 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Moon, Sun, Loader, Search, Globe, ThumbsUp, ThumbsDown, Mail, Plus, X } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Moon, Sun, Loader, Search, Globe, ThumbsUp, ThumbsDown, Mail, Plus, X, GitFork, ShieldCheck, Upload, Users } from 'lucide-react';
+import { Link } from 'react-router-dom';
 import { FolderList } from './FolderList';
 import { EmailList } from './EmailList';
+import { QuotaStatus } from './QuotaStatus';
+import { OutboxPanel } from './OutboxPanel';
+import { ContactImportDialog } from './ContactImportDialog';
+import { AreaPicker } from './AreaPicker';
+import { RepresentativeFinder } from './RepresentativeFinder';
 import { useFolders, FolderProvider } from '../context/FolderContext';
 import { Alert, AlertDescription } from './ui/alert';
 import { githubStorage } from '../utils/githubStorage';
+import { CONTACT_FIELDS, CONTACT_LABELS, contactsOf, describeContact, diffContacts, normalizeContact, validateContact } from '../utils/contacts';
+import { describeArea, filterContactsByArea, indexDivisions } from '../utils/divisions';
 
 // Custom debounce hook
 const useDebounce = (callback, delay) => {
@@ -53,85 +61,368 @@ const Button = ({ children, variant = 'default', className = '', ...props }) =>
   );
 };
 
-// Email Input Component
-const EmailInput = ({ emails, setEmails }) => {
-  const [email, setEmail] = useState('');
+// One contact of a country list: who, then how to reach them
+const ContactRow = ({ contact, onRemove }) => (
+  <div className="flex items-start gap-2 p-2 bg-gray-50 dark:bg-gray-800 rounded">
+    <Mail className="h-4 w-4 mt-1 text-gray-500" />
+    <div className="flex-1 min-w-0 text-sm">
+      <div className="font-medium">
+        {describeContact(contact)}
+        {contact.party && <span className="ml-2 text-xs text-gray-500">{contact.party}</span>}
+      </div>
+      <div className="text-gray-500 break-all">
+        {contact.email}
+        {contact.phone && ` · ${contact.phone}`}
+        {contact.county && (contact.ward || contact.constituency) && ` · ${contact.county} County`}
+      </div>
+      {(contact.sourceUrl || contact.lastVerified) && (
+        <div className="text-xs text-gray-400">
+          {contact.sourceUrl && (
+            <a href={contact.sourceUrl} target="_blank" rel="noopener noreferrer" className="underline">source</a>
+          )}
+          {contact.lastVerified && ` verified ${contact.lastVerified}`}
+        </div>
+      )}
+    </div>
+    {onRemove && (
+      <button
+        type="button"
+        onClick={onRemove}
+        className="text-red-500 hover:text-red-600"
+        aria-label="Remove contact"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    )}
+  </div>
+);
+
+const DETAIL_FIELDS = CONTACT_FIELDS.filter(field => field !== 'email' && field !== 'fullName');
+
+// Contact Input Component
+const ContactInput = ({ contacts, setContacts }) => {
+  const [draft, setDraft] = useState({});
+  const [showDetails, setShowDetails] = useState(false);
   const [error, setError] = useState('');
 
-  const validateEmail = (email) => {
-    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return re.test(email.toLowerCase());
+  const setField = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setError('');
   };
 
-  const handleAddEmail = () => {
-    if (!email) {
+  const handleAddContact = () => {
+    const contact = normalizeContact(draft);
+    if (!contact.email) {
       setError('Email is required');
       return;
     }
-    if (!validateEmail(email)) {
-      setError('Invalid email format');
+    try {
+      validateContact(contact);
+    } catch (err) {
+      setError(err.message);
       return;
     }
-    if (emails.includes(email)) {
+    if (contacts.some(c => c.email.toLowerCase() === contact.email.toLowerCase())) {
       setError('Email already exists in the list');
       return;
     }
 
-    setEmails([...emails, email]);
-    setEmail('');
+    setContacts([...contacts, contact]);
+    setDraft({});
     setError('');
   };
 
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
-      handleAddEmail();
+      handleAddContact();
     }
   };
 
   return (
     <div className="space-y-2">
       <div className="flex gap-2">
-        <div className="flex-1">
+        <div className="flex-1 grid grid-cols-2 gap-2">
           <Input
             type="email"
-            value={email}
-            onChange={(e) => {
-              setEmail(e.target.value);
-              setError('');
-            }}
+            value={draft.email || ''}
+            onChange={(e) => setField('email', e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder="Add email address"
+            placeholder="Email address"
             className={error ? 'border-red-500' : ''}
           />
-          {error && (
-            <p className="text-sm text-red-500 mt-1">{error}</p>
-          )}
+          <Input
+            value={draft.fullName || ''}
+            onChange={(e) => setField('fullName', e.target.value)}
+            onKeyPress={handleKeyPress}
+            placeholder="Full name (optional)"
+          />
         </div>
-        <Button onClick={handleAddEmail} className="flex items-center gap-2">
+        <Button type="button" onClick={handleAddContact} className="flex items-center gap-2">
           <Plus className="h-4 w-4" />
           Add
         </Button>
       </div>
+      <button
+        type="button"
+        onClick={() => setShowDetails(!showDetails)}
+        className="text-sm text-blue-500 hover:underline"
+      >
+        {showDetails ? 'Fewer details' : 'Office, constituency, party and more'}
+      </button>
+      {showDetails && (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {DETAIL_FIELDS.map(field => (
+            <Input
+              key={field}
+              type={field === 'lastVerified' ? 'date' : field === 'sourceUrl' ? 'url' : 'text'}
+              value={draft[field] || ''}
+              onChange={(e) => setField(field, e.target.value)}
+              onKeyPress={handleKeyPress}
+              placeholder={CONTACT_LABELS[field]}
+              title={CONTACT_LABELS[field]}
+            />
+          ))}
+        </div>
+      )}
+      {error && (
+        <p className="text-sm text-red-500">{error}</p>
+      )}
       <div className="space-y-2">
-        {emails.map((email, index) => (
-          <div key={index} className="flex items-center gap-2 p-2 bg-gray-50 dark:bg-gray-800 rounded">
-            <Mail className="h-4 w-4 text-gray-500" />
-            <span className="flex-1">{email}</span>
-            <button
-              onClick={() => setEmails(emails.filter((_, i) => i !== index))}
-              className="text-red-500 hover:text-red-600"
-              aria-label="Remove email"
-            >
-              <X className="h-4 w-4" />
-            </button>
-          </div>
+        {contacts.map((contact, index) => (
+          <ContactRow
+            key={contact.email}
+            contact={contact}
+            onRemove={() => setContacts(contacts.filter((_, i) => i !== index))}
+          />
         ))}
       </div>
     </div>
   );
 };
 
+// Versions this device has voted on, so a list gets one vote per visitor
+const VOTES_KEY = 'countryVersionVotes';
+
+const loadVotes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(VOTES_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// What a version changed compared with the one before it
+const VersionDiff = ({ diff }) => (
+  <div className="space-y-1 text-sm">
+    {diff.added.map(contact => (
+      <div key={`added-${contact.email}`} className="text-green-700 dark:text-green-400">
+        + {describeContact(contact)} &lt;{contact.email}&gt;
+      </div>
+    ))}
+    {diff.removed.map(contact => (
+      <div key={`removed-${contact.email}`} className="text-red-600 dark:text-red-400 line-through">
+        − {describeContact(contact)} &lt;{contact.email}&gt;
+      </div>
+    ))}
+    {diff.changed.map(({ before, after }) => (
+      <div key={`changed-${after.email}`} className="text-amber-700 dark:text-amber-400">
+        ~ {after.email}:{' '}
+        {CONTACT_FIELDS
+          .filter(field => (before[field] || '') !== (after[field] || ''))
+          .map(field => `${CONTACT_LABELS[field]} "${before[field] || ''}" → "${after[field] || ''}"`)
+          .join(', ')}
+      </div>
+    ))}
+    {diff.added.length + diff.removed.length + diff.changed.length === 0 && (
+      <div className="text-gray-500">Same contacts as the version before</div>
+    )}
+  </div>
+);
+
+// Timeline of community corrections to a country list. Anyone can propose an
+// edited list; likes, dislikes and uses decide which version is the default
+// (see utils/versionRanking.js), and the folder always shows that one
+const CountryFolderVersions = ({ country, folder, onFolderChanged }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [proposing, setProposing] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [note, setNote] = useState('');
+  const [openDiffs, setOpenDiffs] = useState({});
+  const [votes, setVotes] = useState(loadVotes);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    const [loaded, fullFolder] = await Promise.all([
+      githubStorage.loadCountryFolderVersions(country.code, folder.id),
+      githubStorage.loadCountryFolder(country.code, folder.id)
+    ]);
+    setVersions([...loaded].sort((a, b) => a.version - b.version));
+    if (fullFolder) onFolderChanged(fullFolder);
+  }, [country.code, folder.id, onFolderChanged]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    githubStorage.loadCountryFolderVersions(country.code, folder.id)
+      .then(loaded => !cancelled && setVersions([...loaded].sort((a, b) => a.version - b.version)))
+      .catch(err => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [country.code, folder.id]);
+
+  const diffs = useMemo(() => Object.fromEntries(versions.map((version, index) => [
+    version.id,
+    index > 0 ? diffContacts(contactsOf(versions[index - 1]), contactsOf(version)) : null
+  ])), [versions]);
+
+  const handleStartProposal = () => {
+    setDraft(contactsOf(folder));
+    setNote('');
+    setProposing(true);
+  };
+
+  const handlePropose = async (e) => {
+    e.preventDefault();
+    if (draft.length === 0) {
+      setError('A version needs at least one contact');
+      return;
+    }
+    const diff = diffContacts(contactsOf(folder), draft);
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+      setError('Change at least one contact before proposing a version');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError(null);
+      await githubStorage.createCountryFolderVersion(country.code, folder.id, draft, note);
+      setProposing(false);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVote = async (versionId, action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await githubStorage.updateVersionStats(country.code, folder.id, versionId, action);
+      const updatedVotes = { ...loadVotes(), [versionId]: action };
+      localStorage.setItem(VOTES_KEY, JSON.stringify(updatedVotes));
+      setVotes(updatedVotes);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return <Loader className="animate-spin h-4 w-4" />;
+  }
+
+  return (
+    <div className="space-y-3" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-sm">
+          {versions.length > 0 ? `${versions.length} versions` : 'No corrections proposed yet'}
+        </h4>
+        {!proposing && (
+          <Button variant="outline" onClick={handleStartProposal} className="text-sm flex items-center gap-2">
+            <GitFork className="h-4 w-4" />
+            Propose changes
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {proposing && (
+        <form onSubmit={handlePropose} className="space-y-3 p-3 border rounded-lg">
+          <Input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={500}
+            placeholder="What did you change? (e.g. new MP for Kisumu Central)"
+          />
+          <ContactInput contacts={draft} setContacts={setDraft} />
+          <div className="flex gap-2">
+            <Button type="submit" disabled={busy}>Propose version</Button>
+            <Button type="button" variant="outline" onClick={() => setProposing(false)}>Cancel</Button>
+          </div>
+        </form>
+      )}
+
+      <ol className="space-y-2">
+        {[...versions].reverse().map(version => {
+          const diff = diffs[version.id];
+          const voted = votes[version.id];
+          return (
+            <li key={version.id} className="p-3 border rounded-lg text-sm space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium">Version {version.version}</span>
+                {version.id === folder.defaultVersionId && (
+                  <span className="px-2 py-0.5 text-xs rounded bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                    Default
+                  </span>
+                )}
+                <span className="text-gray-500">
+                  {new Date(version.createdAt).toLocaleDateString()} · {contactsOf(version).length} contacts
+                  · used {version.usageCount || 0} times
+                </span>
+                <div className="ml-auto flex items-center gap-3">
+                  <button
+                    onClick={() => handleVote(version.id, 'like')}
+                    disabled={busy || Boolean(voted)}
+                    className={`flex items-center gap-1 disabled:opacity-50 ${voted === 'like' ? 'text-green-600' : 'text-gray-500 hover:text-green-600'}`}
+                    aria-label="Like this version"
+                  >
+                    <ThumbsUp className="h-4 w-4" />
+                    {version.likes || 0}
+                  </button>
+                  <button
+                    onClick={() => handleVote(version.id, 'dislike')}
+                    disabled={busy || Boolean(voted)}
+                    className={`flex items-center gap-1 disabled:opacity-50 ${voted === 'dislike' ? 'text-red-600' : 'text-gray-500 hover:text-red-600'}`}
+                    aria-label="Dislike this version"
+                  >
+                    <ThumbsDown className="h-4 w-4" />
+                    {version.dislikes || 0}
+                  </button>
+                </div>
+              </div>
+              {version.note && <p className="text-gray-600 dark:text-gray-300">{version.note}</p>}
+              {diff && (
+                <>
+                  <button
+                    onClick={() => setOpenDiffs(prev => ({ ...prev, [version.id]: !prev[version.id] }))}
+                    className="text-blue-500 hover:underline"
+                  >
+                    +{diff.added.length} −{diff.removed.length} ~{diff.changed.length} compared with version {version.version - 1}
+                  </button>
+                  {openDiffs[version.id] && <VersionDiff diff={diff} />}
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
 // Country Search Component
 const CountrySearch = ({ onSelectCountry }) => {
   const [searchQuery, setSearchQuery] = useState('');
@@ -206,8 +497,54 @@ const CountryFolder = ({ country }) => {
   const [loading, setLoading] = useState(true);
   const [isCreating, setIsCreating] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
-  const [emails, setEmails] = useState([]);
+  const [contacts, setContacts] = useState([]);
   const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [findingRepresentatives, setFindingRepresentatives] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [divisions, setDivisions] = useState(null);
+  const [areaPath, setAreaPath] = useState([]);
+
+  // Counties, constituencies and so on, for countries that have them recorded
+  useEffect(() => {
+    setDivisions(null);
+    setAreaPath([]);
+    if (!country?.code) return;
+
+    let cancelled = false;
+    githubStorage.loadDivisions(country.code)
+      .then(data => !cancelled && data && setDivisions(indexDivisions(data)))
+      .catch(err => console.error('Error loading divisions:', err));
+    return () => { cancelled = true; };
+  }, [country?.code]);
+
+  const visibleContacts = useMemo(() => {
+    const folder = folders.find(f => f.id === selectedFolderId);
+    const all = contactsOf(folder);
+    return divisions && areaPath.length > 0 ? filterContactsByArea(divisions, all, areaPath) : all;
+  }, [folders, selectedFolderId, divisions, areaPath]);
+
+  // A vote can promote another version, which replaces the folder's contacts
+  const handleFolderChanged = useCallback((fullFolder) => {
+    setFolders(prev => prev.map(f => f.id === fullFolder.id ? { ...f, ...fullFolder } : f));
+  }, []);
+
+  // The listing only has summaries; fetch a folder's addresses when it is opened
+  const handleSelectFolder = async (folderId) => {
+    setSelectedFolderId(folderId);
+    const folder = folders.find(f => f.id === folderId);
+    if (!folder || folder.contacts) return;
+
+    try {
+      const fullFolder = await githubStorage.loadCountryFolder(country.code, folderId);
+      if (fullFolder) {
+        setFolders(prev => prev.map(f => f.id === folderId ? { ...f, ...fullFolder } : f));
+      }
+    } catch (error) {
+      console.error('Error loading folder:', error);
+      setError('Failed to load folder');
+    }
+  };
 
   useEffect(() => {
     const loadFolders = async () => {
@@ -236,20 +573,20 @@ const CountryFolder = ({ country }) => {
         setError('Folder name is required');
         return;
       }
-      if (emails.length === 0) {
-        setError('At least one email address is required');
+      if (contacts.length === 0) {
+        setError('At least one contact is required');
         return;
       }
 
       const newFolder = await githubStorage.createCountryFolder(
         country.code,
         newFolderName.trim(),
-        emails
+        contacts
       );
 
       setFolders(prev => [...prev, newFolder]);
       setNewFolderName('');
-      setEmails([]);
+      setContacts([]);
       setIsCreating(false);
       setSelectedFolderId(newFolder.id);
     } catch (error) {
@@ -258,6 +595,16 @@ const CountryFolder = ({ country }) => {
     }
   };
 
+  // An imported list is new or replaces the listing entry of the one it extended
+  const handleImported = (folder, added) => {
+    setFolders(prev => prev.some(f => f.id === folder.id)
+      ? prev.map(f => f.id === folder.id ? { ...f, ...folder } : f)
+      : [...prev, folder]);
+    setSelectedFolderId(folder.id);
+    setImporting(false);
+    setNotice(`Imported ${added} addresses into "${folder.name}"`);
+  };
+
   if (!country) {
     return (
       <div className="flex items-center justify-center h-full text-gray-500">
@@ -278,11 +625,46 @@ const CountryFolder = ({ country }) => {
     <div className="p-4 space-y-4">
       <div className="flex items-center justify-between">
         <h2 className="text-xl font-semibold">{country.name} Email Lists</h2>
-        <Button onClick={() => setIsCreating(true)}>
-          Create New List
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            onClick={() => setFindingRepresentatives(prev => !prev)}
+            className="flex items-center gap-2"
+          >
+            <Users className="h-4 w-4" />
+            Find my representatives
+          </Button>
+          <Button variant="outline" onClick={() => setImporting(true)} className="flex items-center gap-2">
+            <Upload className="h-4 w-4" />
+            Import List
+          </Button>
+          <Button onClick={() => setIsCreating(true)}>
+            Create New List
+          </Button>
+        </div>
       </div>
 
+      {findingRepresentatives && <RepresentativeFinder country={country} />}
+
+      {divisions && (
+        <AreaPicker divisions={divisions} areaPath={areaPath} onChange={setAreaPath} />
+      )}
+
+      {importing && (
+        <ContactImportDialog
+          country={country}
+          folders={folders}
+          onImported={handleImported}
+          onClose={() => setImporting(false)}
+        />
+      )}
+
+      {notice && (
+        <Alert className="my-2">
+          <AlertDescription>{notice}</AlertDescription>
+        </Alert>
+      )}
+
       {error && (
         <Alert variant="destructive" className="my-2">
           <AlertDescription>{error}</AlertDescription>
@@ -301,8 +683,8 @@ const CountryFolder = ({ country }) => {
           </div>
           
           <div>
-            <label className="block text-sm font-medium mb-1">Email Addresses</label>
-            <EmailInput emails={emails} setEmails={setEmails} />
+            <label className="block text-sm font-medium mb-1">Contacts</label>
+            <ContactInput contacts={contacts} setContacts={setContacts} />
           </div>
 
           <div className="flex gap-2">
@@ -313,7 +695,7 @@ const CountryFolder = ({ country }) => {
               onClick={() => {
                 setIsCreating(false);
                 setNewFolderName('');
-                setEmails([]);
+                setContacts([]);
                 setError(null);
               }}
             >
@@ -337,30 +719,41 @@ const CountryFolder = ({ country }) => {
                   ? 'bg-blue-50 border-blue-200 dark:bg-blue-900/20 dark:border-blue-800'
                   : 'hover:bg-gray-50 dark:hover:bg-gray-800'
                 }`}
-              onClick={() => setSelectedFolderId(folder.id)}
+              onClick={() => handleSelectFolder(folder.id)}
             >
               <div className="flex justify-between items-center">
                 <h3 className="font-medium">{folder.name}</h3>
                 <div className="flex items-center gap-4">
                   <span className="text-sm text-gray-500">
-                    {folder.emails?.length || 0} emails
+                    {folder.emailCount ?? folder.contacts?.length ?? 0} contacts
                   </span>
+                  {folder.usageCount > 0 && (
+                    <span className="text-sm text-gray-500">Used {folder.usageCount} times</span>
+                  )}
                   <span className="text-sm text-gray-500">
                     Created {new Date(folder.createdAt).toLocaleDateString()}
                   </span>
                 </div>
               </div>
               
-              {selectedFolderId === folder.id && folder.emails?.length > 0 && (
+              {selectedFolderId === folder.id && contactsOf(folder).length > 0 && (
                 <div className="mt-4 space-y-2">
-                  {folder.emails.map((email, index) => (
-                    <div key={index} className="flex items-center gap-2 p-2 bg-gray-50 dark:bg-gray-800 rounded">
-                      <Mail className="h-4 w-4 text-gray-500" />
-                      <span>{email}</span>
-                    </div>
+                  {areaPath.length > 0 && (
+                    <p className="text-sm text-gray-500">
+                      {visibleContacts.length} of {contactsOf(folder).length} contacts represent {describeArea(divisions, areaPath)}
+                    </p>
+                  )}
+                  {visibleContacts.map((contact, index) => (
+                    <ContactRow key={index} contact={contact} />
                   ))}
                 </div>
               )}
+
+              {selectedFolderId === folder.id && folder.contacts && (
+                <div className="mt-4 pt-4 border-t dark:border-gray-700">
+                  <CountryFolderVersions country={country} folder={folder} onFolderChanged={handleFolderChanged} />
+                </div>
+              )}
             </div>
           ))
         )}
@@ -417,13 +810,31 @@ const AppContent = () => {
               </Button>
             </div>
           </div>
-          <Button
-            variant="ghost"
-            onClick={() => setDarkMode(!darkMode)}
-            className="p-2 rounded-full"
-          >
-            {darkMode ? <Sun size={24} /> : <Moon size={24} />}
-          </Button>
+          <div className="flex items-center gap-4">
+            <OutboxPanel />
+            <QuotaStatus />
+            <Link
+              to="/settings/sources"
+              className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+              title="Fork sources"
+            >
+              <GitFork size={24} />
+            </Link>
+            <Link
+              to="/admin/check"
+              className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+              title="Repository check"
+            >
+              <ShieldCheck size={24} />
+            </Link>
+            <Button
+              variant="ghost"
+              onClick={() => setDarkMode(!darkMode)}
+              className="p-2 rounded-full"
+            >
+              {darkMode ? <Sun size={24} /> : <Moon size={24} />}
+            </Button>
+          </div>
         </div>
       </header>
 
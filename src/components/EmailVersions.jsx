@@ -0,0 +1,203 @@
+// EmailVersions.jsx
+import React, { useMemo, useState } from 'react';
+import { Check, Columns, Heart, Pencil } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { EmailForm } from './EmailForm';
+import { useFolders } from '../context/FolderContext';
+import { PasswordManager, githubStorage } from '../utils/githubStorage';
+import { diffWords, splitDiff } from '../utils/wordDiff';
+
+// Versions this device has liked, so each gets one like per visitor
+const LIKES_KEY = 'emailVersionLikes';
+
+const loadLikes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LIKES_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const PART_CLASSES = {
+  same: '',
+  removed: 'bg-red-100 text-red-800 line-through dark:bg-red-900/40 dark:text-red-200',
+  added: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200'
+};
+
+const DiffText = ({ parts }) => (
+  <span className="whitespace-pre-wrap">
+    {parts.map((part, index) => (
+      <span key={index} className={PART_CLASSES[part.type]}>{part.text}</span>
+    ))}
+  </span>
+);
+
+// The email as it is on the left, the version on the right, word by word
+const SideBySide = ({ email, version }) => {
+  const subject = useMemo(() => splitDiff(diffWords(email.subject, version.subject)), [email.subject, version.subject]);
+  const body = useMemo(() => splitDiff(diffWords(email.body, version.body)), [email.body, version.body]);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+      {[['Current text', 'original'], [`Version ${version.version}`, 'changed']].map(([title, side]) => (
+        <div key={side} className="p-2 border rounded dark:border-gray-700 space-y-2">
+          <div className="text-xs uppercase text-gray-500">{title}</div>
+          <div className="font-semibold"><DiffText parts={subject[side]} /></div>
+          <div className="text-gray-700 dark:text-gray-300"><DiffText parts={body[side]} /></div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Community versions of one email: anyone can propose a new text without the
+// email's password, like the versions they prefer, and the creator can adopt one
+export const EmailVersions = ({ folderId, email, versions, onChanged }) => {
+  const { adoptEmailVersion } = useFolders();
+  const [editing, setEditing] = useState(null);
+  const [comparing, setComparing] = useState(null);
+  const [likes, setLikes] = useState(loadLikes);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const ranked = useMemo(() => [...versions].sort((a, b) =>
+    (b.likes || 0) - (a.likes || 0) || b.version - a.version
+  ), [versions]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await action();
+      await onChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePropose = (data) => run(async () => {
+    await githubStorage.createEmailVersion(folderId, email.id, { subject: data.subject, body: data.body });
+    setEditing(null);
+  });
+
+  const handleLike = (versionId) => run(async () => {
+    await githubStorage.likeEmailVersion(folderId, versionId);
+    const updated = { ...loadLikes(), [versionId]: true };
+    localStorage.setItem(LIKES_KEY, JSON.stringify(updated));
+    setLikes(updated);
+  });
+
+  // Same as deleting: a saved email password first, then ask
+  const handleAdopt = (version) => run(async () => {
+    const savedPassword = PasswordManager.getPassword('email', email.id);
+    if (savedPassword) {
+      try {
+        await adoptEmailVersion(folderId, email.id, version.id, savedPassword);
+        return;
+      } catch (err) {
+        console.warn('Failed to adopt with saved password:', err);
+      }
+    }
+
+    const password = prompt(`Enter the email password to adopt version ${version.version}:`);
+    if (!password) return;
+    await adoptEmailVersion(folderId, email.id, version.id, password);
+  });
+
+  return (
+    <div className="mt-3 space-y-3">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {editing ? (
+        <div className="p-3 border rounded-lg dark:border-gray-700">
+          <div className="text-sm text-gray-500 mb-2">
+            New version based on {editing.id === email.id ? 'the current text' : `version ${editing.version}`}
+          </div>
+          <EmailForm
+            initialData={{ subject: editing.subject, body: editing.body }}
+            onSubmit={handlePropose}
+            onCancel={() => setEditing(null)}
+            textOnly
+            submitLabel="Propose version"
+          />
+        </div>
+      ) : (
+        <button
+          onClick={() => setEditing(email)}
+          className="flex items-center gap-1 text-sm text-blue-500 hover:text-blue-600"
+          disabled={busy || email.pendingSync}
+        >
+          <Pencil size={16} />
+          Edit as new version
+        </button>
+      )}
+
+      <ul className="space-y-2">
+        {ranked.map(version => (
+          <li key={version.id} className="p-3 border rounded-lg dark:border-gray-700 space-y-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-medium">Version {version.version}</span>
+              {version.id === email.adoptedVersionId && (
+                <span className="px-2 py-0.5 text-xs rounded bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                  Adopted
+                </span>
+              )}
+              {version.replacedAt && (
+                <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200">
+                  Earlier text
+                </span>
+              )}
+              <span className="text-gray-500">{new Date(version.createdAt).toLocaleString()}</span>
+              <div className="ml-auto flex items-center gap-3">
+                <button
+                  onClick={() => handleLike(version.id)}
+                  className="flex items-center gap-1 text-pink-500 hover:text-pink-600 disabled:opacity-50"
+                  disabled={busy || likes[version.id]}
+                  aria-label="Like this version"
+                >
+                  <Heart size={16} className={likes[version.id] ? 'fill-current' : ''} />
+                  <span>{version.likes || 0}</span>
+                </button>
+                <button
+                  onClick={() => setComparing(comparing === version.id ? null : version.id)}
+                  className="flex items-center gap-1 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                >
+                  <Columns size={16} />
+                  Compare
+                </button>
+                <button
+                  onClick={() => setEditing(version)}
+                  className="flex items-center gap-1 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                  disabled={busy}
+                >
+                  <Pencil size={16} />
+                  Edit
+                </button>
+                {version.id !== email.adoptedVersionId && (
+                  <button
+                    onClick={() => handleAdopt(version)}
+                    className="flex items-center gap-1 text-green-600 hover:text-green-700 disabled:opacity-50"
+                    disabled={busy}
+                    title="For the email's creator: make this the email's text"
+                  >
+                    <Check size={16} />
+                    Adopt
+                  </button>
+                )}
+              </div>
+            </div>
+            {comparing === version.id
+              ? <SideBySide email={email} version={version} />
+              : <div className="text-sm font-medium">{version.subject}</div>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
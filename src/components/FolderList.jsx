@@ -1,14 +1,16 @@
 //folderlist component
-import React, { useState, useEffect } from 'react';
-import { Folder, Plus, X, AlertTriangle, Lock, Share2 } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Folder, Plus, X, AlertTriangle, Lock, Share2, Download, Upload } from 'lucide-react';
 import { Alert, AlertDescription } from './ui/alert';
 import { useFolders, FolderProvider } from '../context/FolderContext';
 import { ShareUrl } from './ShareUrl';
 import { githubStorage } from '../utils/githubStorage';
+import { HOME_ORIGIN } from '../utils/forkSources';
+import { FolderBundles, bundleFileName } from '../utils/bundle';
 import CryptoJS from 'crypto-js';
 
 export const FolderList = ({ selectedFolder, onSelectFolder }) => {
-  const { folders, addFolder, deleteFolder } = useFolders();
+  const { folders, addFolder, deleteFolder, refreshFolders } = useFolders();
   const [isCreating, setIsCreating] = useState(false);
   const [newFolderData, setNewFolderData] = useState({ name: '', targetEmail: '' });
   const [error, setError] = useState(null);
@@ -17,6 +19,8 @@ export const FolderList = ({ selectedFolder, onSelectFolder }) => {
   const [showShare, setShowShare] = useState(false);
   const [selectedFolderForShare, setSelectedFolderForShare] = useState(null);
   const [savedPasswords, setSavedPasswords] = useState({});
+  const [notice, setNotice] = useState(null);
+  const bundleInputRef = useRef(null);
 
   // Load saved passwords from localStorage
   useEffect(() => {
@@ -103,9 +107,11 @@ export const FolderList = ({ selectedFolder, onSelectFolder }) => {
       }
 
       try {
+        // Offline the lookup fails too; the folder is then queued for sync
         const ip = await fetch('https://api.ipify.org?format=json')
           .then(res => res.json())
-          .then(data => data.ip);
+          .then(data => data.ip)
+          .catch(() => 'unknown');
 
         const result = await addFolder(newFolderData, ip);
         
@@ -157,6 +163,48 @@ export const FolderList = ({ selectedFolder, onSelectFolder }) => {
     }
   };
 
+  // Folders only a fork holds are exported from that fork
+  const handleExport = async (e, folder) => {
+    e.stopPropagation();
+    try {
+      setError(null);
+      const mirror = githubStorage.mirrors.find(entry => entry.source.id === folder.origin);
+      const storage = mirror ? githubStorage.readingFrom(mirror.adapter) : githubStorage;
+      const bundle = await new FolderBundles(storage).export(folder.id);
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(bundle)], { type: 'application/json' }));
+      link.download = bundleFileName(bundle);
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      setError(`Export failed: ${error.message}`);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setError(null);
+      setNotice(null);
+      const bundle = JSON.parse(await file.text());
+      const preserveIds = window.confirm(
+        'Keep the original folder id and share links?\n\n' +
+        'OK: moving the campaign here, old links keep working on this deployment.\n' +
+        'Cancel: import as a copy with a new id and new share links.'
+      );
+      const result = await new FolderBundles(githubStorage).import(bundle, { preserveIds });
+      await refreshFolders();
+      setNotice(`Imported "${result.name}": ${result.emails} emails, ${result.versions} versions, ` +
+        `${result.attachments} attachments. The folder and email passwords are unchanged.`);
+    } catch (error) {
+      setError(`Import failed: ${error.message}`);
+    }
+  };
+
   const handlePasswordClose = () => {
     setShowAdminPassword(false);
     setAdminPassword('');
@@ -172,15 +220,44 @@ export const FolderList = ({ selectedFolder, onSelectFolder }) => {
     <div className="w-64 bg-gray-50 dark:bg-gray-800 p-4 border-r dark:border-gray-700 h-full">
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-lg font-semibold">Folders</h2>
-        <button
-          onClick={() => setIsCreating(true)}
-          className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full"
-          title="Create new folder"
-        >
-          <Plus size={20} />
-        </button>
+        <div className="flex items-center">
+          {githubStorage.adapter && (
+            <>
+              <button
+                onClick={() => bundleInputRef.current?.click()}
+                className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full"
+                title="Import a folder bundle"
+              >
+                <Upload size={20} />
+              </button>
+              <input
+                ref={bundleInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleImport}
+                className="hidden"
+              />
+            </>
+          )}
+          <button
+            onClick={() => setIsCreating(true)}
+            className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full"
+            title="Create new folder"
+          >
+            <Plus size={20} />
+          </button>
+        </div>
       </div>
 
+      {notice && (
+        <Alert className="mb-4">
+          <AlertDescription>
+            {notice}
+            <button onClick={() => setNotice(null)} className="block mt-1 text-xs underline">Dismiss</button>
+          </AlertDescription>
+        </Alert>
+      )}
+
       {error && (
         <Alert variant="destructive" className="mb-4">
           <AlertTriangle className="h-4 w-4" />
@@ -277,6 +354,21 @@ export const FolderList = ({ selectedFolder, onSelectFolder }) => {
                   Pending
                 </span>
               )}
+              {folder.pendingSync && (
+                <span className={`text-xs px-1 rounded ${
+                  folder.syncFailed ? 'bg-red-200 text-red-800' : 'bg-gray-200 text-gray-700'
+                }`}>
+                  {folder.syncFailed ? 'Sync failed' : 'Pending sync'}
+                </span>
+              )}
+              {folder.origin && folder.origin !== HOME_ORIGIN && (
+                <span
+                  className="text-xs px-1 rounded bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300"
+                  title={`Not in this repository, read from ${folder.origins.join(', ')}`}
+                >
+                  {folder.origin}
+                </span>
+              )}
             </div>
             <div className="flex items-center gap-1">
               <button
@@ -286,6 +378,15 @@ export const FolderList = ({ selectedFolder, onSelectFolder }) => {
               >
                 <Share2 size={16} />
               </button>
+              {githubStorage.adapter && !folder.pendingSync && (
+                <button
+                  onClick={(e) => handleExport(e, folder)}
+                  className="p-1 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-full"
+                  title="Export folder"
+                >
+                  <Download size={16} />
+                </button>
+              )}
               <button
                 onClick={(e) => {
                   e.stopPropagation();
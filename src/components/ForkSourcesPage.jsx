@@ -0,0 +1,276 @@
+// ForkSourcesPage.jsx
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Home, GitFork, Plus, Trash2, RotateCcw, CheckCircle, AlertTriangle, Loader, Search, RefreshCw } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { ForkSyncPanel } from './ForkSyncPanel';
+import { forkSources } from '../utils/forkSources';
+import { ForkSync } from '../utils/forkSync';
+import { githubStorage } from '../utils/githubStorage';
+
+// Can this device read the fork's data right now?
+const checkSource = async (source) => {
+  const mirror = githubStorage.mirrors?.find(entry => entry.source.id === source.id);
+  if (!mirror) {
+    return { ok: false, message: 'Not connected' };
+  }
+  try {
+    const listing = await mirror.adapter.list('data/folders');
+    return listing
+      ? { ok: true, message: `${listing.filter(entry => entry.type === 'file').length} files in data/folders` }
+      : { ok: false, message: 'No data/folders directory' };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+};
+
+export const ForkSourcesPage = () => {
+  const [sources, setSources] = useState(() => forkSources.list());
+  const [input, setInput] = useState('');
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState({});
+  const [discovered, setDiscovered] = useState(null);
+  const [discovering, setDiscovering] = useState(false);
+  const [syncSource, setSyncSource] = useState(null);
+
+  useEffect(() => forkSources.subscribe(setSources), []);
+
+  // Re-check every source whenever the list changes
+  useEffect(() => {
+    let cancelled = false;
+    setStatus({});
+    sources.forEach(async (source) => {
+      const result = await checkSource(source);
+      if (!cancelled) {
+        setStatus(prev => ({ ...prev, [source.id]: result }));
+      }
+    });
+    return () => { cancelled = true; };
+  }, [sources]);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      forkSources.add(input);
+      setInput('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDiscover = async () => {
+    try {
+      setDiscovering(true);
+      setError(null);
+      const forks = await new ForkSync(githubStorage).discover();
+      // Forks with data first
+      setDiscovered(forks.sort((a, b) => Number(b.compatible) - Number(a.compatible)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDiscovering(false);
+    }
+  };
+
+  const handleAddDiscovered = (fork) => {
+    try {
+      setError(null);
+      forkSources.add(`${fork.owner}/${fork.repo}#${fork.branch}`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (source) => {
+    if (window.confirm(`Stop reading folders from ${source.owner}/${source.repo}?`)) {
+      forkSources.remove(source.id);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <header className="bg-white dark:bg-gray-800 shadow">
+        <div className="max-w-3xl mx-auto px-4 py-6 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Fork sources</h1>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+              Folders and emails are read from every fork listed here and merged with this
+              repository. New content is only ever written to this repository.
+            </p>
+          </div>
+          <Link
+            to="/"
+            className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            <Home size={18} />
+            <span>Home</span>
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-6 space-y-4">
+        {!githubStorage.mirrors && (
+          <Alert>
+            <AlertDescription>
+              This deployment reads through a storage proxy; its fork sources are set on the server
+              with MBOGI_FORK_SOURCES.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <form onSubmit={handleAdd} className="flex gap-2">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="owner/repo or https://github.com/owner/repo"
+            className="flex-1 p-2 border rounded dark:bg-gray-800 dark:border-gray-700"
+          />
+          <button
+            type="submit"
+            className="flex items-center gap-1 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            disabled={!input.trim()}
+          >
+            <Plus size={16} />
+            Add fork
+          </button>
+        </form>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <ul className="bg-white dark:bg-gray-800 shadow rounded-lg divide-y dark:divide-gray-700">
+          {sources.length === 0 && (
+            <li className="p-4 text-sm text-gray-500">
+              No forks yet. Add the forks of people you trust so the campaign survives if one
+              repository is taken down.
+            </li>
+          )}
+          {sources.map(source => {
+            const result = status[source.id];
+            return (
+              <li key={source.id} className="p-4 flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 font-medium">
+                    <GitFork size={16} />
+                    <a
+                      href={`https://github.com/${source.owner}/${source.repo}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="truncate hover:underline"
+                    >
+                      {source.owner}/{source.repo}
+                    </a>
+                    {source.branch && <span className="text-xs text-gray-500">#{source.branch}</span>}
+                  </div>
+                  <div className="text-xs flex items-center gap-1 mt-1">
+                    {!result ? (
+                      <><Loader size={12} className="animate-spin" /> <span className="text-gray-500">Checking...</span></>
+                    ) : result.ok ? (
+                      <><CheckCircle size={12} className="text-green-500" /> <span className="text-gray-500">{result.message}</span></>
+                    ) : (
+                      <><AlertTriangle size={12} className="text-red-500" /> <span className="text-red-500">{result.message}</span></>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  {githubStorage.adapter && (
+                    <button
+                      onClick={() => setSyncSource(source)}
+                      className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full"
+                      title="Copy its new folders and emails into this repository"
+                    >
+                      <RefreshCw size={16} />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRemove(source)}
+                    className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full"
+                    title="Remove source"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        <button
+          onClick={() => forkSources.reset()}
+          className="flex items-center gap-1 text-sm text-gray-500 hover:underline"
+        >
+          <RotateCcw size={14} />
+          Reset to this deployment's defaults
+        </button>
+
+        {githubStorage.adapter?.listForks && (
+          <section className="space-y-2 pt-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold">Other forks</h2>
+              <button
+                onClick={handleDiscover}
+                disabled={discovering}
+                className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-100 dark:border-gray-700 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                {discovering ? <Loader size={14} className="animate-spin" /> : <Search size={14} />}
+                Discover forks
+              </button>
+            </div>
+
+            {discovered && discovered.length === 0 && (
+              <p className="text-sm text-gray-500">This repository has no other forks yet.</p>
+            )}
+            {discovered && discovered.length > 0 && (
+              <ul className="bg-white dark:bg-gray-800 shadow rounded-lg divide-y dark:divide-gray-700">
+                {discovered.map(fork => {
+                  const added = sources.some(source => source.id === fork.source.id);
+                  return (
+                    <li key={fork.source.id} className="p-3 flex items-center justify-between gap-2 text-sm">
+                      <div className="min-w-0">
+                        <a href={fork.htmlUrl} target="_blank" rel="noopener noreferrer" className="font-medium hover:underline">
+                          {fork.owner}/{fork.repo}
+                        </a>
+                        <div className="text-xs text-gray-500">
+                          {fork.compatible
+                            ? `${fork.folderCount} active folders`
+                            : fork.reason}
+                          {fork.pushedAt && ` · last push ${new Date(fork.pushedAt).toLocaleDateString()}`}
+                        </div>
+                      </div>
+                      {fork.compatible && (
+                        <div className="flex items-center gap-1 shrink-0">
+                          <button
+                            onClick={() => setSyncSource(fork.source)}
+                            className="px-2 py-1 border rounded hover:bg-gray-100 dark:border-gray-700 dark:hover:bg-gray-700"
+                          >
+                            Sync...
+                          </button>
+                          <button
+                            onClick={() => handleAddDiscovered(fork)}
+                            disabled={added}
+                            className="px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                          >
+                            {added ? 'Added' : 'Add source'}
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+        )}
+      </main>
+
+      {syncSource && (
+        <ForkSyncPanel source={syncSource} onClose={() => setSyncSource(null)} />
+      )}
+    </div>
+  );
+};
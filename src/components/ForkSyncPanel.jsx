@@ -0,0 +1,194 @@
+// ForkSyncPanel.jsx
+import React, { useEffect, useState } from 'react';
+import { X, Loader, GitPullRequest, GitCommit, AlertTriangle } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { ForkSync, SYNC_MODES, SYNC_STATUS, formatSyncReport, needsReview } from '../utils/forkSync';
+import { githubStorage } from '../utils/githubStorage';
+
+const STATUS_STYLES = {
+  [SYNC_STATUS.NEW]: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  [SYNC_STATUS.CHANGED]: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300',
+  [SYNC_STATUS.CONFLICT]: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300'
+};
+
+// Report of what a fork has that this repository does not, and copying it over
+export const ForkSyncPanel = ({ source, onClose }) => {
+  const [plan, setPlan] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [mode, setMode] = useState(SYNC_MODES.COMMIT);
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    new ForkSync(githubStorage).plan(source)
+      .then(report => {
+        if (cancelled) return;
+        setPlan(report);
+        // Conflicts and edited folders stay unticked until someone has looked at them
+        setSelected(new Set(report.items
+          .filter(item => !needsReview(item))
+          .map(item => item.path)));
+      })
+      .catch(err => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [source]);
+
+  const toggle = (path) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const handleApply = async () => {
+    try {
+      setApplying(true);
+      setError(null);
+      setResult(await new ForkSync(githubStorage).apply(plan, { paths: Array.from(selected), mode }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Sync from {source.owner}/{source.repo}</h2>
+          <button onClick={onClose} className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1 space-y-3">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading ? (
+            <div className="flex items-center gap-2 text-gray-500">
+              <Loader size={16} className="animate-spin" />
+              Comparing folders and emails...
+            </div>
+          ) : result ? (
+            <Alert>
+              <AlertDescription>
+                {result.mode === SYNC_MODES.PULL_REQUEST ? (
+                  <>
+                    Opened a pull request with {result.applied.length} records
+                    {result.url && (
+                      <> : <a href={result.url} target="_blank" rel="noopener noreferrer" className="underline">{result.url}</a></>
+                    )}
+                  </>
+                ) : (
+                  <>Committed {result.applied.length} records to this repository.</>
+                )}
+                {result.rejected.length > 0 && (
+                  <> Left out {result.rejected.length} records the fork holds in a form this app does not accept: {result.rejected.map(({ path, error }) => `${path} (${error})`).join(', ')}.</>
+                )}
+              </AlertDescription>
+            </Alert>
+          ) : plan && (
+            <>
+              <p className="text-sm text-gray-500">
+                {plan.lastSyncedAt
+                  ? `Last synced ${new Date(plan.lastSyncedAt).toLocaleString()}.`
+                  : 'Never synced from this fork before.'}
+                {' '}
+                {Object.values(SYNC_STATUS)
+                  .map(status => `${plan.items.filter(item => item.status === status).length} ${status}`)
+                  .join(', ')}
+              </p>
+
+              {plan.items.length === 0 ? (
+                <p className="text-sm">Nothing new since the last sync.</p>
+              ) : (
+                <ul className="divide-y dark:divide-gray-700 border dark:border-gray-700 rounded">
+                  {plan.items.map(item => (
+                    <li key={item.path} className="p-2 flex items-start gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(item.path)}
+                        onChange={() => toggle(item.path)}
+                        className="mt-1"
+                      />
+                      <div className="min-w-0 flex-1">
+                        <div className="flex items-center gap-2">
+                          <span className={`text-xs px-1 rounded ${STATUS_STYLES[item.status]}`}>{item.status}</span>
+                          <span className="text-xs text-gray-500">{item.kind}</span>
+                          <span className="truncate">{item.title}</span>
+                        </div>
+                        {item.status === SYNC_STATUS.CHANGED && item.kind === 'folder' && (
+                          <div className="text-xs text-gray-500">
+                            Edited in the fork; ticking it takes the fork's name, target address and status, but not its password
+                          </div>
+                        )}
+                        {item.status === SYNC_STATUS.CONFLICT && (
+                          <div className="text-xs text-red-500 flex items-center gap-1">
+                            <AlertTriangle size={12} />
+                            Edited here ({new Date(item.homeUpdatedAt).toLocaleString()}) and in the fork
+                            ({new Date(item.forkUpdatedAt).toLocaleString()}); ticking it keeps the fork's copy
+                          </div>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <details className="text-xs text-gray-500">
+                <summary className="cursor-pointer">Plain text report</summary>
+                <pre className="whitespace-pre-wrap mt-2">{formatSyncReport(plan)}</pre>
+              </details>
+            </>
+          )}
+        </div>
+
+        {plan && !result && (
+          <div className="p-4 border-t dark:border-gray-700 flex items-center justify-between gap-2">
+            <div className="flex gap-4 text-sm">
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={mode === SYNC_MODES.COMMIT}
+                  onChange={() => setMode(SYNC_MODES.COMMIT)}
+                />
+                <GitCommit size={14} /> Commit directly
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={mode === SYNC_MODES.PULL_REQUEST}
+                  onChange={() => setMode(SYNC_MODES.PULL_REQUEST)}
+                />
+                <GitPullRequest size={14} /> Open a pull request
+              </label>
+            </div>
+            <button
+              onClick={handleApply}
+              disabled={applying || selected.size === 0}
+              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 flex items-center gap-1"
+            >
+              {applying && <Loader size={14} className="animate-spin" />}
+              Copy {selected.size} records
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,117 @@
+// OutboxPanel.jsx
+import React, { useEffect, useState, useCallback } from 'react';
+import { CloudOff, RefreshCw, X, AlertTriangle, Loader } from 'lucide-react';
+import { OUTBOX_STATUS, outbox } from '../utils/outbox';
+
+// Everything waiting in the outbox, refreshed whenever it changes
+export const useOutbox = () => {
+  const [items, setItems] = useState([]);
+
+  const refresh = useCallback(() => {
+    outbox.list()
+      .then(setItems)
+      .catch(error => console.error('Failed to read outbox:', error));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return outbox.subscribe(refresh);
+  }, [refresh]);
+
+  return items;
+};
+
+const statusText = (item) => {
+  if (item.status === OUTBOX_STATUS.SYNCING) return 'Syncing...';
+  if (item.status === OUTBOX_STATUS.FAILED) return 'Failed';
+  if (item.attempts === 0) return 'Waiting for connection';
+  return `Retry ${item.attempts} at ${new Date(item.nextAttemptAt).toLocaleTimeString()}`;
+};
+
+export const OutboxPanel = () => {
+  const items = useOutbox();
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleCancel = async (item) => {
+    if (!window.confirm(`Discard "${item.label}"? It has not been saved yet.`)) return;
+    try {
+      setError(null);
+      await outbox.cancel(item.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const failed = items.filter(item => item.status === OUTBOX_STATUS.FAILED).length;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center gap-1 text-sm px-2 py-1 rounded ${
+          failed > 0
+            ? 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+            : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300'
+        }`}
+        title="Changes waiting to be synced"
+      >
+        <CloudOff size={16} />
+        <span>{items.length} pending sync</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-h-96 overflow-auto bg-white dark:bg-gray-800 border dark:border-gray-700 rounded-lg shadow-lg z-50">
+          <div className="p-3 border-b dark:border-gray-700 text-sm text-gray-500">
+            These changes are saved on this device and will be sent when the connection is back.
+          </div>
+          {error && (
+            <div className="p-3 text-sm text-red-500">{error}</div>
+          )}
+          <ul>
+            {items.map(item => (
+              <li key={item.id} className="p-3 border-b last:border-b-0 dark:border-gray-700">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium truncate">{item.label}</div>
+                    <div className="text-xs text-gray-500 flex items-center gap-1">
+                      {item.status === OUTBOX_STATUS.SYNCING && <Loader size={12} className="animate-spin" />}
+                      {item.status === OUTBOX_STATUS.FAILED && <AlertTriangle size={12} className="text-red-500" />}
+                      <span>{statusText(item)}</span>
+                      <span>· queued {new Date(item.createdAt).toLocaleString()}</span>
+                    </div>
+                    {item.lastError && (
+                      <div className="text-xs text-red-500 break-words">{item.lastError}</div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0">
+                    <button
+                      onClick={() => outbox.retry(item.id)}
+                      className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full disabled:opacity-50"
+                      disabled={item.status === OUTBOX_STATUS.SYNCING}
+                      title="Retry now"
+                    >
+                      <RefreshCw size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleCancel(item)}
+                      className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full disabled:opacity-50"
+                      disabled={item.status === OUTBOX_STATUS.SYNCING}
+                      title="Cancel"
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,43 @@
+// QuotaStatus.jsx
+import React, { useEffect, useState } from 'react';
+import { Gauge } from 'lucide-react';
+import { formatResetTime, requestScheduler } from '../utils/requestScheduler';
+
+// Live view of the API quota as seen by the request scheduler
+export const useGitHubQuota = () => {
+  const [quota, setQuota] = useState(() => requestScheduler.getQuota());
+
+  useEffect(() => {
+    setQuota(requestScheduler.getQuota());
+    return requestScheduler.subscribe(setQuota);
+  }, []);
+
+  return quota;
+};
+
+export const QuotaStatus = () => {
+  const quota = useGitHubQuota();
+
+  // Nothing to show until the first response arrives (or on backends without a quota)
+  if (quota.remaining === null) {
+    return null;
+  }
+
+  const low = quota.limit ? quota.remaining / quota.limit < 0.1 : quota.remaining < 50;
+
+  return (
+    <div
+      className={`flex items-center gap-1 text-sm ${
+        low || quota.pausedUntil ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'
+      }`}
+      title={quota.queued > 0 ? `${quota.queued} requests waiting` : undefined}
+    >
+      <Gauge size={16} />
+      {quota.pausedUntil ? (
+        <span>GitHub rate limit hit, resuming at {formatResetTime(quota.pausedUntil)}</span>
+      ) : (
+        <span>GitHub quota: {quota.remaining} left, resets at {formatResetTime(quota.resetAt)}</span>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,267 @@
+// RepositoryCheckPage.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Home, Loader, ShieldCheck, Trash2, Wrench } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { RepositoryAudit, REPAIR_ACTIONS, formatAuditReport } from '../utils/fsck';
+import { GarbageCollector, formatGcReport } from '../utils/gc';
+import { githubStorage } from '../utils/githubStorage';
+
+const ACTION_STYLES = {
+  [REPAIR_ACTIONS.DELETE]: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+  [REPAIR_ACTIONS.QUARANTINE]: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  [REPAIR_ACTIONS.UNINDEX]: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300',
+  [REPAIR_ACTIONS.INDEX]: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300'
+};
+
+const Section = ({ title, items, render }) => items.length > 0 && (
+  <section className="bg-white dark:bg-gray-800 shadow rounded-lg">
+    <h2 className="p-3 border-b dark:border-gray-700 font-semibold">{title} ({items.length})</h2>
+    <ul className="divide-y dark:divide-gray-700 text-sm">
+      {items.map((item, i) => <li key={`${item.path}-${i}`} className="p-2 break-all">{render(item)}</li>)}
+    </ul>
+  </section>
+);
+
+// Admin view of the repository audit: checksums, orphans and indexes, with the
+// repair plan applied only after the deployment's admin password is given
+export const RepositoryCheckPage = () => {
+  const [report, setReport] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [running, setRunning] = useState(false);
+  const [repairing, setRepairing] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [gcReport, setGcReport] = useState(null);
+  const [deep, setDeep] = useState(false);
+  const [collecting, setCollecting] = useState(false);
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      setError(null);
+      setResult(null);
+      const audit = await new RepositoryAudit(githubStorage).run();
+      setReport(audit);
+      setSelected(new Set(audit.repairs.map(repair => repair.path)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const toggle = (path) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const handleRepair = async () => {
+    const password = prompt('Enter the admin password to apply the repairs:');
+    if (!password) return;
+
+    try {
+      setRepairing(true);
+      setError(null);
+      githubStorage.assertAdminPassword(password);
+      const repairs = report.repairs.filter(repair => selected.has(repair.path));
+      setResult(await new RepositoryAudit(githubStorage).repair(report, { repairs }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRepairing(false);
+    }
+  };
+
+  // A dry run first; the same options run for real once the admin password is given
+  const handleCollect = async (dryRun) => {
+    if (!dryRun) {
+      const password = prompt('Enter the admin password to delete these files:');
+      if (!password) return;
+      try {
+        githubStorage.assertAdminPassword(password);
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+    }
+
+    try {
+      setCollecting(true);
+      setError(null);
+      setGcReport(await new GarbageCollector(githubStorage).run({ dryRun, deep }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCollecting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <header className="bg-white dark:bg-gray-800 shadow">
+        <div className="max-w-4xl mx-auto px-4 py-6 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Repository check</h1>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+              Verifies the checksum of every record and finds emails, attachments, share links
+              and versions whose folder or email is gone.
+            </p>
+          </div>
+          <Link
+            to="/"
+            className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            <Home size={18} />
+            <span>Home</span>
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-6 space-y-4">
+        {!githubStorage.adapter ? (
+          <Alert>
+            <AlertDescription>
+              This deployment reads through a storage proxy; run <code>npm run fsck</code> on the server instead.
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={running || repairing}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            {running ? <Loader size={16} className="animate-spin" /> : <ShieldCheck size={16} />}
+            {running ? 'Checking every record...' : 'Run check'}
+          </button>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {result && (
+          <Alert>
+            <AlertDescription>
+              Repaired {result.applied.length} records in {result.commits.length} commits
+              {result.failed.length > 0 && `, ${result.failed.length} failed: ${result.failed.map(f => `${f.path} (${f.error})`).join(', ')}`}.
+              Run the check again to confirm.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {report && (
+          <>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Checked {report.scanned} records: {report.corrupt.length} corrupt,
+              {' '}{report.orphans.length} orphaned, {report.indexProblems.length} index problems.
+            </p>
+
+            <Section
+              title="Corrupt"
+              items={report.corrupt}
+              render={({ path, error: message }) => <><span className="font-mono">{path}</span> <span className="text-red-500">{message}</span></>}
+            />
+            <Section
+              title="Orphaned"
+              items={report.orphans}
+              render={({ path, reason }) => <><span className="font-mono">{path}</span> <span className="text-gray-500">{reason}</span></>}
+            />
+            <Section
+              title="Indexes"
+              items={report.indexProblems}
+              render={({ path, reason }) => <><span className="font-mono">{path}</span> <span className="text-gray-500">{reason}</span></>}
+            />
+
+            {report.repairs.length === 0 ? (
+              <Alert>
+                <AlertDescription>Everything checks out, nothing to repair.</AlertDescription>
+              </Alert>
+            ) : !result && (
+              <section className="bg-white dark:bg-gray-800 shadow rounded-lg">
+                <h2 className="p-3 border-b dark:border-gray-700 font-semibold">Repair plan</h2>
+                <ul className="divide-y dark:divide-gray-700 text-sm">
+                  {report.repairs.map(repair => (
+                    <li key={`${repair.action}-${repair.path}`} className="p-2 flex items-start gap-2">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(repair.path)}
+                        onChange={() => toggle(repair.path)}
+                        className="mt-1"
+                      />
+                      <span className={`text-xs px-1 rounded ${ACTION_STYLES[repair.action]}`}>{repair.action}</span>
+                      <span className="font-mono break-all">{repair.path}</span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="p-3 border-t dark:border-gray-700 flex justify-end">
+                  <button
+                    onClick={handleRepair}
+                    disabled={repairing || selected.size === 0}
+                    className="flex items-center gap-1 px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50"
+                  >
+                    {repairing ? <Loader size={14} className="animate-spin" /> : <Wrench size={14} />}
+                    Apply {selected.size} repairs
+                  </button>
+                </div>
+              </section>
+            )}
+
+            <details className="text-xs text-gray-500">
+              <summary className="cursor-pointer">Plain text report</summary>
+              <pre className="whitespace-pre-wrap mt-2">{formatAuditReport(report)}</pre>
+            </details>
+          </>
+        )}
+
+        {githubStorage.adapter && (
+          <section className="space-y-2 pt-4">
+            <h2 className="text-lg font-semibold">Garbage collection</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Share links, attachments and emails left behind by deleted folders and emails.
+            </p>
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => handleCollect(true)}
+                disabled={collecting}
+                className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-100 dark:border-gray-700 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                {collecting && <Loader size={14} className="animate-spin" />}
+                Find unreachable files
+              </button>
+              <label className="flex items-center gap-1 text-sm">
+                <input type="checkbox" checked={deep} onChange={(e) => setDeep(e.target.checked)} />
+                Deep (open every share link, slow)
+              </label>
+            </div>
+
+            {gcReport && (
+              <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-3 space-y-2">
+                <pre className="text-xs whitespace-pre-wrap break-all">{formatGcReport(gcReport)}</pre>
+                {gcReport.dryRun && (gcReport.garbage.length > 0 || gcReport.refsUpdates.length > 0) && (
+                  <button
+                    onClick={() => handleCollect(false)}
+                    disabled={collecting}
+                    className="flex items-center gap-1 px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50"
+                  >
+                    <Trash2 size={14} />
+                    Delete {gcReport.garbage.length} files
+                  </button>
+                )}
+              </div>
+            )}
+          </section>
+        )}
+      </main>
+    </div>
+  );
+};
@@ -0,0 +1,214 @@
+// RepresentativeFinder.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { Loader, MapPin, Search, Send, Users } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { useFolders } from '../context/FolderContext';
+import { describeContact } from '../utils/contacts';
+import { RepresentativeLookup } from '../utils/representatives';
+import { renderEmail, sharedRecipient, usesPlaceholder } from '../utils/mailMerge';
+import { senderForTemplate } from '../utils/senderProfile';
+import { openCompose } from '../utils/mailProviders';
+import { githubStorage } from '../utils/githubStorage';
+import { SendButton } from './SendButton';
+
+// Used until a campaign template is picked
+const introduction = (placeLabel) => ({
+  subject: `A message from a resident of ${placeLabel}`,
+  body: `I am writing to you as a resident of ${placeLabel}, which you represent.\n\n\n\nYours sincerely,\n{{sender.name}}`
+});
+
+// Templates that do not greet the recipient themselves get a greeting
+const greeting = (count) => `Dear {{recipient.name|Honourable ${count === 1 ? 'Member' : 'Members'}}},\n\n`;
+
+// Someone types their county, constituency or ward and gets the officials who
+// represent it from the country's lists, with a letter one click away
+export const RepresentativeFinder = ({ country }) => {
+  const { folders, loadFolderEmails } = useFolders();
+  const [lookup, setLookup] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [place, setPlace] = useState(null);
+  const [folderId, setFolderId] = useState('');
+  const [emailId, setEmailId] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLookup(null);
+    setPlace(null);
+    setLoading(true);
+    new RepresentativeLookup(githubStorage).load(country.code)
+      .then(loaded => !cancelled && setLookup(loaded))
+      .catch(err => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [country.code]);
+
+  const places = useMemo(() => (lookup && !place ? lookup.search(query) : []), [lookup, query, place]);
+  const found = useMemo(() => (lookup && place ? lookup.representativesOf(place.area) : null), [lookup, place]);
+
+  const templateFolder = folders.find(f => f.id === folderId);
+  const template = templateFolder?.emails?.find(e => e.id === emailId);
+
+  const handlePickFolder = async (id) => {
+    setFolderId(id);
+    setEmailId('');
+    if (!id) return;
+    try {
+      setError(null);
+      const emails = await loadFolderEmails(id);
+      setEmailId(emails?.[0]?.id || '');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Placeholders are filled in for the recipient, or for what several share
+  const handleWrite = (entries, provider) => {
+    const chosen = template || introduction(place.label);
+    const letter = usesPlaceholder(chosen.body, 'recipient.') ? chosen : { ...chosen, body: greeting(entries.length) + chosen.body };
+    const { subject, body } = renderEmail(letter, {
+      recipient: sharedRecipient(entries.map(({ contact }) => contact)),
+      sender: senderForTemplate(letter)
+    });
+    const addresses = entries.map(({ contact }) => contact.email);
+    return openCompose(provider, { addresses, placement: 'to', subject, body });
+  };
+
+  const renderEntry = (entry) => (
+    <li key={entry.contact.email} className="p-2 flex items-center gap-2 text-sm">
+      <div className="flex-1 min-w-0">
+        <div className="font-medium">{describeContact(entry.contact)}</div>
+        <div className="text-gray-500 break-all">
+          {entry.contact.email}
+          {entry.contact.party && ` · ${entry.contact.party}`}
+          {' · '}from {entry.lists.map(list => list.name).join(', ')}
+        </div>
+      </div>
+      <SendButton
+        onSend={(provider) => handleWrite([entry], provider)}
+        className="flex items-center gap-1 px-2 py-1 border rounded hover:bg-gray-100 dark:border-gray-700 dark:hover:bg-gray-700"
+      >
+        <Send size={14} />
+        Write
+      </SendButton>
+    </li>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-500">
+        <Loader size={16} className="animate-spin" />
+        Loading {country.name} contact lists...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3 p-4 border rounded-lg">
+      <h3 className="font-semibold flex items-center gap-2">
+        <Users size={18} />
+        Find my representatives
+      </h3>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {place ? (
+        <div className="flex items-center gap-2 text-sm">
+          <MapPin size={14} className="text-gray-500" />
+          <span className="flex-1">{place.label}</span>
+          <button onClick={() => setPlace(null)} className="text-blue-500 hover:underline">Change</button>
+        </div>
+      ) : (
+        <>
+          <div className="relative">
+            <Search className="absolute left-2 top-2.5 h-4 w-4 text-gray-500" />
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Your county, constituency or ward"
+              className="w-full pl-8 p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
+            />
+          </div>
+          {query.trim() && places.length === 0 && (
+            <p className="text-sm text-gray-500">No county, constituency or ward called &quot;{query}&quot;.</p>
+          )}
+          <ul className="space-y-1">
+            {places.map(result => (
+              <li key={result.label}>
+                <button
+                  onClick={() => setPlace(result)}
+                  className="w-full text-left p-2 text-sm rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  {result.label}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {found && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span>Letter:</span>
+            <select
+              value={folderId}
+              onChange={(e) => handlePickFolder(e.target.value)}
+              className="p-1 border rounded dark:bg-gray-700 dark:border-gray-600"
+            >
+              <option value="">Short introduction</option>
+              {folders.map(folder => (
+                <option key={folder.id} value={folder.id}>{folder.name}</option>
+              ))}
+            </select>
+            {templateFolder?.emails?.length > 0 && (
+              <select
+                value={emailId}
+                onChange={(e) => setEmailId(e.target.value)}
+                className="p-1 border rounded dark:bg-gray-700 dark:border-gray-600 max-w-xs"
+              >
+                {templateFolder.emails.map(email => (
+                  <option key={email.id} value={email.id}>{email.subject}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {found.representatives.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              None of the {country.name} lists has a contact for this area yet.
+            </p>
+          ) : (
+            <div className="border rounded dark:border-gray-700">
+              <div className="p-2 flex justify-between items-center border-b dark:border-gray-700">
+                <span className="text-sm font-medium">Your representatives ({found.representatives.length})</span>
+                <SendButton
+                  onSend={(provider) => handleWrite(found.representatives, provider)}
+                  className="flex items-center gap-1 px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm"
+                >
+                  <Send size={14} />
+                  Write to all
+                </SendButton>
+              </div>
+              <ul className="divide-y dark:divide-gray-700">{found.representatives.map(renderEntry)}</ul>
+            </div>
+          )}
+
+          {found.within.length > 0 && (
+            <details className="text-sm">
+              <summary className="cursor-pointer text-gray-500">
+                {found.within.length} more for places inside {place.label}; search for your ward to narrow them down
+              </summary>
+              <ul className="divide-y dark:divide-gray-700 mt-2">{found.within.map(renderEntry)}</ul>
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
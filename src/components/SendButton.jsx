@@ -0,0 +1,71 @@
+// SendButton.jsx
+import React, { useState } from 'react';
+import { Check, ChevronDown } from 'lucide-react';
+import { MAIL_PROVIDERS, loadMailProvider, providerFor, saveMailProvider } from '../utils/mailProviders';
+
+// A send button that asks which mail service to write in the first time it is
+// used on a device and remembers the answer; the arrow beside it changes it.
+// `onSend(provider)` opens the email and returns whether the body fit in the
+// link (see openCompose), so a letter left on the clipboard can be pointed out
+export const SendButton = ({ onSend, disabled, className, title, children }) => {
+  const [provider, setProvider] = useState(loadMailProvider);
+  const [choosing, setChoosing] = useState(false);
+  const [pasteHint, setPasteHint] = useState(false);
+
+  const send = (key) => {
+    setPasteHint(onSend(key) === false);
+  };
+
+  const handleClick = () => {
+    if (provider) {
+      send(provider);
+    } else {
+      setChoosing(true);
+    }
+  };
+
+  const handleChoose = (key) => {
+    setProvider(saveMailProvider(key));
+    setChoosing(false);
+    send(key);
+  };
+
+  return (
+    <span className="relative inline-flex items-center gap-1">
+      <button
+        onClick={handleClick}
+        disabled={disabled}
+        className={className}
+        title={title || (provider ? `Send with ${providerFor(provider).label}` : 'Send')}
+      >
+        {children}
+      </button>
+      <button
+        onClick={() => setChoosing(!choosing)}
+        disabled={disabled}
+        className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+        title="Choose how to send"
+      >
+        <ChevronDown size={14} />
+      </button>
+      {choosing && (
+        <div className="absolute right-0 top-full mt-1 z-10 w-48 py-1 bg-white dark:bg-gray-800 border rounded shadow-lg dark:border-gray-700 text-sm">
+          <div className="px-3 py-1 text-xs text-gray-500">Send with</div>
+          {Object.entries(MAIL_PROVIDERS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => handleChoose(key)}
+              className="w-full px-3 py-1 flex items-center gap-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              <span className="w-4">{provider === key && <Check size={14} />}</span>
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {pasteHint && (
+        <span className="text-xs text-amber-600">The letter was too long for a link and is on your clipboard to paste in</span>
+      )}
+    </span>
+  );
+};
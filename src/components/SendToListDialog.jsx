@@ -0,0 +1,233 @@
+// SendToListDialog.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { Globe, Loader, Mail, Search, X } from 'lucide-react';
+import { Alert, AlertDescription } from './ui/alert';
+import { githubStorage } from '../utils/githubStorage';
+import { contactsOf, describeContact, mergeContacts } from '../utils/contacts';
+import { isPersonalised, renderEmail } from '../utils/mailMerge';
+import { openCompose } from '../utils/mailProviders';
+import { senderForTemplate } from '../utils/senderProfile';
+import { BatchSender } from './BatchSender';
+import { SendButton } from './SendButton';
+
+// Sends a campaign template to the officials on one or more country lists.
+// Each list is sent as its default contacts or as a chosen version, and every
+// send counts as a use of that list (and version) so popular lists rise
+export const SendToListDialog = ({ email, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [countries, setCountries] = useState([]);
+  const [country, setCountry] = useState(null);
+  const [folders, setFolders] = useState([]);
+  // folder id -> { folder, versions, versionId }; versionId null is the default list
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [recorded, setRecorded] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!query.trim() || country) {
+      setCountries([]);
+      return undefined;
+    }
+    const timeoutId = setTimeout(() => {
+      githubStorage.searchCountries(query).then(setCountries).catch(err => setError(err.message));
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [query, country]);
+
+  useEffect(() => {
+    setSelected({});
+    setFolders([]);
+    setRecorded(false);
+    if (!country) return;
+
+    let cancelled = false;
+    setLoading(true);
+    githubStorage.loadCountryFolders(country.code)
+      .then(data => !cancelled && setFolders(data || []))
+      .catch(err => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [country]);
+
+  const handleToggleFolder = async (summary) => {
+    setRecorded(false);
+    if (selected[summary.id]) {
+      setSelected(prev => {
+        const next = { ...prev };
+        delete next[summary.id];
+        return next;
+      });
+      return;
+    }
+
+    try {
+      setError(null);
+      const [folder, versions] = await Promise.all([
+        githubStorage.loadCountryFolder(country.code, summary.id),
+        githubStorage.loadCountryFolderVersions(country.code, summary.id)
+      ]);
+      if (!folder) {
+        throw new Error(`List "${summary.name}" not found`);
+      }
+      setSelected(prev => ({
+        ...prev,
+        [summary.id]: { folder, versions: [...versions].sort((a, b) => b.version - a.version), versionId: null }
+      }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePickVersion = (folderId, versionId) => {
+    setRecorded(false);
+    setSelected(prev => ({ ...prev, [folderId]: { ...prev[folderId], versionId: versionId || null } }));
+  };
+
+  // Everyone on the chosen lists, once each
+  const recipients = useMemo(() => Object.values(selected).reduce((all, { folder, versions, versionId }) => {
+    const source = versionId ? versions.find(version => version.id === versionId) : folder;
+    return mergeContacts(all, contactsOf(source)).contacts;
+  }, []), [selected]);
+
+  const personalised = isPersonalised(email);
+
+  // A use is counted once per send, however many letters it opens
+  const recordUse = async () => {
+    if (recorded) return;
+    setRecorded(true);
+    const uses = Object.values(selected).map(({ folder, versionId }) =>
+      githubStorage.recordCountryFolderUse(country.code, folder.id, versionId || folder.defaultVersionId || null)
+    );
+    const failed = (await Promise.allSettled(uses)).filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+      console.warn('Failed to record list use:', failed.map(result => result.reason));
+    }
+  };
+
+  // One official's own letter
+  const composeFor = (contact, provider) => {
+    const letter = renderEmail(email, { recipient: contact, sender: senderForTemplate(email) });
+    recordUse();
+    return openCompose(provider, { addresses: [contact.email], placement: 'to', ...letter });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Send &quot;{email.subject}&quot; to a list</h2>
+          <button onClick={onClose} className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1 space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {country ? (
+            <div className="flex items-center gap-2">
+              <Globe size={16} />
+              <span className="font-medium">{country.name}</span>
+              <button onClick={() => setCountry(null)} className="text-sm text-blue-500 hover:underline">Change</button>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <div className="relative">
+                <Search className="absolute left-2 top-2.5 h-4 w-4 text-gray-500" />
+                <input
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Which country's officials?"
+                  className="w-full pl-8 p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
+                />
+              </div>
+              {countries.map(result => (
+                <button
+                  key={result.code}
+                  onClick={() => setCountry(result)}
+                  className="w-full p-2 text-left border rounded hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-700 flex items-center gap-2"
+                >
+                  <Globe size={16} />
+                  {result.name}
+                  <span className="text-sm text-gray-500">({result.code})</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {loading && <Loader className="animate-spin h-5 w-5" />}
+
+          {country && !loading && folders.length === 0 && (
+            <p className="text-sm text-gray-500">{country.name} has no contact lists yet.</p>
+          )}
+
+          <ul className="space-y-2">
+            {folders.map(summary => {
+              const choice = selected[summary.id];
+              return (
+                <li key={summary.id} className="p-2 border rounded dark:border-gray-700 space-y-2">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" checked={Boolean(choice)} onChange={() => handleToggleFolder(summary)} />
+                    <span className="flex-1">{summary.name}</span>
+                    <span className="text-sm text-gray-500">
+                      {summary.emailCount} contacts{summary.usageCount > 0 && ` · used ${summary.usageCount} times`}
+                    </span>
+                  </label>
+                  {choice?.versions.length > 0 && (
+                    <select
+                      value={choice.versionId || ''}
+                      onChange={(e) => handlePickVersion(summary.id, e.target.value)}
+                      className="p-1 text-sm border rounded dark:bg-gray-700 dark:border-gray-600"
+                    >
+                      <option value="">Current list ({contactsOf(choice.folder).length} contacts)</option>
+                      {choice.versions.map(version => (
+                        <option key={version.id} value={version.id}>
+                          {`Version ${version.version}${version.note ? `: ${version.note}` : ''} (${contactsOf(version).length} contacts)`}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {recipients.length > 0 && (
+            <BatchSender email={email} recipients={recipients} onFirstOpen={recordUse} />
+          )}
+
+          {personalised && recipients.length > 0 && (
+            <div className="space-y-1">
+              <p className="text-sm text-gray-500">
+                This template is personalised. The batches fill in only what their recipients share and use
+                the fallbacks for the rest; open an official&apos;s own letter to address them by name.
+              </p>
+              <ul className="divide-y dark:divide-gray-700 border rounded dark:border-gray-700 max-h-64 overflow-auto">
+                {recipients.map(contact => (
+                  <li key={contact.email} className="p-2 flex items-center gap-2 text-sm">
+                    <Mail size={14} className="text-gray-500" />
+                    <span className="flex-1 min-w-0 truncate">{describeContact(contact)}</span>
+                    <SendButton onSend={(provider) => composeFor(contact, provider)} className="text-blue-500 hover:text-blue-600">
+                      Open letter
+                    </SendButton>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t dark:border-gray-700 flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 border rounded hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-700">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
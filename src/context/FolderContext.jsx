@@ -1,6 +1,9 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 import { githubStorage } from '../utils/githubStorage';
 import { initializeStorage } from '../utils/initStorage';
+import { OUTBOX_ACTIONS, OUTBOX_STATUS, isOffline, isRetryableError, outbox } from '../utils/outbox';
+import { forkSources } from '../utils/forkSources';
 
 const FolderContext = createContext(undefined);
 
@@ -12,6 +15,57 @@ function useFolders() {
   return context;
 }
 
+const markPending = (record, item) => ({
+  ...record,
+  pendingSync: true,
+  syncFailed: item.status === OUTBOX_STATUS.FAILED,
+  outboxId: item.id
+});
+
+// Overlay folders still waiting in the outbox on what storage returned
+function withPendingFolders(folders, items) {
+  const pending = items
+    .filter(item => item.type === OUTBOX_ACTIONS.CREATE_FOLDER)
+    .filter(item => !folders.some(folder => folder.id === item.payload.folder.id))
+    .map(item => markPending({ ...item.payload.folder, emails: [], emailsLoaded: true }, item));
+  return [...folders, ...pending];
+}
+
+// Same for a folder's emails, including likes that have not been synced yet
+function withPendingEmails(folderId, emails, items) {
+  return items.reduce((result, item) => {
+    if (item.type === OUTBOX_ACTIONS.ADD_EMAIL && item.payload.email.folderId === folderId &&
+        !result.some(email => email.id === item.payload.email.id)) {
+      return [...result, markPending(item.payload.email, item)];
+    }
+    if (item.type === OUTBOX_ACTIONS.LIKE_EMAIL && item.payload.folderId === folderId) {
+      return result.map(email => email.id === item.payload.emailId
+        ? markPending({ ...email, likes: (email.likes || 0) + 1 }, item)
+        : email);
+    }
+    return result;
+  }, emails);
+}
+
+// Apply `update` to every folder and email created or changed by one outbox item.
+// Returning null from `update` removes the record
+function updateOutboxRecords(folders, outboxId, update) {
+  return folders
+    .map(folder => {
+      const updated = folder.outboxId === outboxId ? update(folder) : folder;
+      if (!updated || !updated.emails) return updated;
+      return {
+        ...updated,
+        emails: updated.emails
+          .map(email => email.outboxId === outboxId ? update(email) : email)
+          .filter(Boolean)
+      };
+    })
+    .filter(Boolean);
+}
+
+const clearPending = ({ pendingSync, syncFailed, outboxId, ...record }) => record;
+
 function FolderProvider({ children }) {
   const [state, setState] = useState({
     folders: [],
@@ -29,7 +83,8 @@ function FolderProvider({ children }) {
   const loadFoldersOnly = useCallback(async () => {
     try {
       const folders = await githubStorage.loadFolders(true);
-      updateState({ folders: folders || [], loading: false });
+      const pending = await outbox.list();
+      updateState({ folders: withPendingFolders(folders || [], pending), loading: false });
     } catch (err) {
       console.error('Error loading folders:', err);
       updateState({ error: err.message, loading: false });
@@ -42,15 +97,13 @@ function FolderProvider({ children }) {
 
     const initializeApp = async () => {
       try {
-        // Validate environment variables first
-        if (!import.meta.env.VITE_GITHUB_TOKEN || 
-            !import.meta.env.VITE_GITHUB_USERNAME || 
-            !import.meta.env.VITE_REPO_NAME) {
-          throw new Error('Missing required environment variables');
-        }
+        // Environment variables are validated per backend when the storage adapter is created
 
         // Initialize storage in background
         initializeStorage().catch(console.error);
+
+        // Replay writes queued while offline
+        outbox.start().catch(console.error);
         
         // Load folders immediately
         if (mounted) await loadFoldersOnly();
@@ -67,19 +120,82 @@ function FolderProvider({ children }) {
     return () => { mounted = false; };
   }, [loadFoldersOnly, updateState]);
 
+  // Keep the optimistic records in step with the outbox as it syncs
+  useEffect(() => {
+    return outbox.subscribe(({ type, item }) => {
+      setState(prev => {
+        let folders = prev.folders;
+
+        if (type === 'synced') {
+          folders = updateOutboxRecords(folders, item.id, clearPending);
+        } else if (type === 'updated' || type === 'failed') {
+          folders = updateOutboxRecords(folders, item.id, record => ({
+            ...record,
+            syncFailed: item.status === OUTBOX_STATUS.FAILED
+          }));
+        } else if (type === 'cancelled') {
+          folders = updateOutboxRecords(folders, item.id, record =>
+            item.type === OUTBOX_ACTIONS.LIKE_EMAIL
+              ? clearPending({ ...record, likes: Math.max(0, record.likes - 1) })
+              : null
+          );
+        }
+
+        return folders === prev.folders ? prev : { ...prev, folders };
+      });
+    });
+  }, []);
+
+  // A fork added or removed in the sources settings changes what is listed
+  useEffect(() => {
+    return forkSources.subscribe(() => {
+      loadFoldersOnly();
+    });
+  }, [loadFoldersOnly]);
+
+  // Write now, or park the write in the outbox when the network is the problem.
+  // Resolves the queued outbox item, or null when the write went through
+  const writeOrQueue = useCallback(async (type, payload, label, write) => {
+    if (!isOffline()) {
+      try {
+        await write();
+        return null;
+      } catch (err) {
+        if (!isRetryableError(err)) throw err;
+        console.warn(`${label} failed, queued for sync:`, err);
+      }
+    }
+    return outbox.enqueue(type, payload, { label });
+  }, []);
+
   // Add folder
   const addFolder = useCallback(async (folderData, ip) => {
     try {
-      const newFolder = await githubStorage.createFolder(folderData, ip);
+      const { folder: prepared, changes } = await githubStorage.prepareFolder(folderData, ip);
+      let newFolder = prepared;
+      const queued = await writeOrQueue(
+        OUTBOX_ACTIONS.CREATE_FOLDER,
+        changes,
+        `Create folder "${prepared.name}"`,
+        async () => {
+          // Behind the proxy the share link is made when the folder is written
+          const { shareToken, shareableLink } = await githubStorage.commitFolder(changes);
+          if (shareToken) {
+            newFolder = { ...prepared, shareToken, shareableLink };
+          }
+        }
+      );
+
+      const folder = { ...newFolder, emails: [], emailsLoaded: true };
       updateState({
-        folders: [...state.folders, { ...newFolder, emails: [], emailsLoaded: true }]
+        folders: [...state.folders, queued ? markPending(folder, queued) : folder]
       });
       return newFolder;
     } catch (err) {
       console.error('Error creating folder:', err);
       throw err;
     }
-  }, [state.folders, updateState]);
+  }, [state.folders, updateState, writeOrQueue]);
 
   // Load emails for a folder
   const loadFolderEmails = useCallback(async (folderId) => {
@@ -88,7 +204,7 @@ function FolderProvider({ children }) {
     if (folder?.emailsLoaded) return folder.emails;
 
     try {
-      const emails = await githubStorage.loadEmails(folderId);
+      const emails = withPendingEmails(folderId, await githubStorage.loadEmails(folderId), await outbox.list());
       updateState({
         folders: state.folders.map(folder => 
           folder.id === folderId 
@@ -106,13 +222,21 @@ function FolderProvider({ children }) {
   // Add email
   const addEmail = useCallback(async (folderId, emailData, ip) => {
     try {
-      const newEmail = await githubStorage.saveEmail(folderId, emailData, ip);
+      const { email: newEmail, changes } = await githubStorage.prepareEmail(folderId, emailData, ip);
+      const queued = await writeOrQueue(
+        OUTBOX_ACTIONS.ADD_EMAIL,
+        changes,
+        `Add email "${newEmail.subject}"`,
+        () => githubStorage.commitEmail(changes)
+      );
+
+      const { password, ...email } = newEmail;
       updateState({
         folders: state.folders.map(folder => 
           folder.id === folderId 
             ? {
                 ...folder,
-                emails: [...(folder.emails || []), newEmail],
+                emails: [...(folder.emails || []), queued ? markPending(email, queued) : email],
                 emailsLoaded: true
               }
             : folder
@@ -123,7 +247,7 @@ function FolderProvider({ children }) {
       console.error('Error adding email:', err);
       throw err;
     }
-  }, [state.folders, updateState]);
+  }, [state.folders, updateState, writeOrQueue]);
 
   // Delete email
   const deleteEmail = useCallback(async (folderId, emailId, password) => {
@@ -148,14 +272,30 @@ function FolderProvider({ children }) {
   // Like email
   const likeEmail = useCallback(async (folderId, emailId) => {
     try {
-      const updatedEmail = await githubStorage.updateEmailLikes(folderId, emailId);
+      let updatedEmail = null;
+      // Named here so a queued like replayed after a lost response counts once
+      const likeId = uuidv4();
+      const queued = await writeOrQueue(
+        OUTBOX_ACTIONS.LIKE_EMAIL,
+        { folderId, emailId, action: 'increment', likeId },
+        'Like email',
+        async () => { updatedEmail = await githubStorage.updateEmailLikes(folderId, emailId, 'increment', likeId); }
+      );
+
+      if (queued) {
+        const email = state.folders
+          .find(folder => folder.id === folderId)?.emails
+          ?.find(email => email.id === emailId);
+        updatedEmail = email && markPending({ ...email, likes: (email.likes || 0) + 1 }, queued);
+      }
+
       updateState({
         folders: state.folders.map(folder => 
           folder.id === folderId 
             ? {
                 ...folder,
                 emails: folder.emails?.map(email => 
-                  email.id === emailId ? updatedEmail : email
+                  email.id === emailId && updatedEmail ? updatedEmail : email
                 ) || []
               }
             : folder
@@ -165,6 +305,27 @@ function FolderProvider({ children }) {
       console.error('Error liking email:', err);
       throw err;
     }
+  }, [state.folders, updateState, writeOrQueue]);
+
+  // The creator makes a community version the email's text
+  const adoptEmailVersion = useCallback(async (folderId, emailId, versionId, password) => {
+    try {
+      const updatedEmail = await githubStorage.adoptEmailVersion(folderId, emailId, versionId, password);
+      updateState({
+        folders: state.folders.map(folder =>
+          folder.id === folderId
+            ? {
+                ...folder,
+                emails: folder.emails?.map(email => email.id === emailId ? updatedEmail : email) || []
+              }
+            : folder
+        )
+      });
+      return updatedEmail;
+    } catch (err) {
+      console.error('Error adopting email version:', err);
+      throw err;
+    }
   }, [state.folders, updateState]);
 
   // Delete folder
@@ -187,6 +348,7 @@ function FolderProvider({ children }) {
     addEmail,
     deleteEmail,
     likeEmail,
+    adoptEmailVersion,
     loadFolderEmails,
     refreshFolders: loadFoldersOnly
   };
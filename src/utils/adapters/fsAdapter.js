@@ -0,0 +1,91 @@
+// fsAdapter.js
+import { StorageAdapter, conflictError } from './storageAdapter.js';
+
+// Talks to server/fsStorageServer.js, which keeps the data/ tree in a plain
+// directory on the machine running it
+export class FileSystemAdapter extends StorageAdapter {
+  constructor({ url, timeout = 10000 }) {
+    super('fs');
+    this.baseUrl = url.replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  fileUrl(path) {
+    return `${this.baseUrl}/files/${path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async request(path, options = {}, url = this.fileUrl(path)) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      if (response.status === 404) {
+        return null;
+      }
+      if (response.status === 409) {
+        throw conflictError(path);
+      }
+
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(`Storage server error (${response.status}): ${body?.error || response.statusText}`);
+      }
+      return body;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async read(path) {
+    const file = await this.request(path);
+    if (!file || file.type !== 'file') {
+      return null;
+    }
+    return { content: file.content, sha: file.sha };
+  }
+
+  async list(path) {
+    const dir = await this.request(path);
+    if (!dir || dir.type !== 'dir') {
+      return null;
+    }
+    return dir.entries;
+  }
+
+  async write(path, content, { sha, message } = {}) {
+    const result = await this.request(path, {
+      method: 'PUT',
+      body: JSON.stringify({ content, sha, message })
+    });
+    return { sha: result.sha };
+  }
+
+  async delete(path, { sha, message } = {}) {
+    const result = await this.request(path, {
+      method: 'DELETE',
+      body: JSON.stringify({ sha, message })
+    });
+    return result !== null;
+  }
+
+  // The server applies the whole batch and rolls back if any part fails
+  async commit(changes, message) {
+    const result = await this.request(
+      changes.map(change => change.path).join(', '),
+      { method: 'POST', body: JSON.stringify({ changes, message }) },
+      `${this.baseUrl}/commit`
+    );
+    return { commit: null, atomic: true, ...result };
+  }
+}
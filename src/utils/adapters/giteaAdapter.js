@@ -0,0 +1,80 @@
+// giteaAdapter.js
+import { GitHubAdapter } from './githubAdapter.js';
+import { conflictError, encodeBase64 } from './storageAdapter.js';
+
+// Gitea and Forgejo mirror the GitHub Contents API under /api/v1, except that
+// creating a file is a POST and only updates use PUT
+export class GiteaAdapter extends GitHubAdapter {
+  constructor({ url, token, owner, repo, timeout = 10000, cache, scheduler }) {
+    super({ token, owner, repo, apiUrl: `${url.replace(/\/+$/, '')}/api/v1`, timeout, cache, scheduler });
+    this.name = 'gitea';
+    this.label = 'Gitea';
+    // Gitea lists a directory whole
+    this.listLimit = null;
+    this.headers = {
+      'Authorization': `token ${token}`,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+    };
+  }
+
+  async write(path, content, { sha, message } = {}) {
+    try {
+      const response = await this.makeRequest(this.contentsUrl(path), {
+        method: sha ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          message: message || `Update ${path}`,
+          content: encodeBase64(content),
+          ...(sha && { sha })
+        })
+      });
+      await this.invalidate([path]);
+      return { sha: response?.content?.sha || null };
+    } catch (error) {
+      // Gitea reports an existing file on create as 422 and a stale sha as 409
+      if (error.message.includes('(409)') || error.message.includes('(422)')) {
+        throw conflictError(path);
+      }
+      throw error;
+    }
+  }
+
+  // Gitea 1.20+ changes several files in a single commit through
+  // POST /contents, which needs the current sha of every file it touches.
+  // Changes that carry the sha they were worked out from send that one, so
+  // Gitea refuses them if the file has changed since
+  async commit(changes, message) {
+    const files = await Promise.all(changes.map(async change => {
+      const existing = change.sha !== undefined
+        ? change.sha && { sha: change.sha }
+        : await this.read(change.path);
+      if (change.delete) {
+        return existing ? { operation: 'delete', path: change.path, sha: existing.sha } : null;
+      }
+      return {
+        operation: existing ? 'update' : 'create',
+        path: change.path,
+        content: encodeBase64(change.content),
+        ...(existing && { sha: existing.sha })
+      };
+    }));
+
+    try {
+      const response = await this.makeRequest(`${this.baseUrl}/contents`, {
+        method: 'POST',
+        body: JSON.stringify({
+          message,
+          files: files.filter(Boolean),
+          ...(this.branch && { branch: this.branch })
+        })
+      });
+      await this.invalidate(changes.map(change => change.path));
+      return { commit: response?.commit?.sha || null, atomic: true };
+    } catch (error) {
+      if (error.message.includes('(409)') || error.message.includes('(422)')) {
+        throw conflictError(changes.map(change => change.path).join(', '));
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,378 @@
+// githubAdapter.js
+import { StorageAdapter, conflictError, decodeBase64, encodeBase64 } from './storageAdapter.js';
+import { httpCache } from '../httpCache.js';
+import { PRIORITY, formatResetTime, requestScheduler } from '../requestScheduler.js';
+
+// Storage backed by the GitHub Contents API
+export class GitHubAdapter extends StorageAdapter {
+  constructor({ token, owner, repo, branch = null, apiUrl = 'https://api.github.com', timeout = 10000, cache = httpCache, scheduler = requestScheduler }) {
+    super('github');
+    this.label = 'GitHub';
+    this.owner = owner;
+    this.repo = repo;
+    this.branch = branch;
+    this.timeout = timeout;
+    this.cache = cache;
+    this.scheduler = scheduler;
+    this.priority = null;
+
+    // Without a token only public repositories can be read (fork mirrors)
+    this.headers = {
+      ...(token && { 'Authorization': `token ${token}` }),
+      'Accept': 'application/vnd.github.v3+json',
+      'Content-Type': 'application/json',
+    };
+
+    this.apiUrl = apiUrl;
+    this.baseUrl = `${apiUrl}/repos/${owner}/${repo}`;
+    // Most entries a Contents API directory listing returns
+    this.listLimit = 1000;
+  }
+
+  contentsUrl(path, forRead = false) {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const ref = forRead && this.branch ? `?ref=${encodeURIComponent(this.branch)}` : '';
+    return `${this.baseUrl}/contents/${encodedPath}${ref}`;
+  }
+
+  async getRepository() {
+    const repository = await this.makeRequest(this.baseUrl);
+    if (!repository) {
+      throw new Error(`Repository ${this.owner}/${this.repo} not found`);
+    }
+    return repository;
+  }
+
+  async getBranch() {
+    if (!this.branch) {
+      this.branch = (await this.getRepository()).default_branch;
+    }
+    return this.branch;
+  }
+
+  // Every repository in this one's fork network except itself: the upstream it
+  // was forked from and that upstream's direct forks, most recent first
+  async listForks({ maxPages = 3 } = {}) {
+    const repository = await this.getRepository();
+    const upstream = repository.source || repository.parent || null;
+    const root = upstream ? upstream.full_name : repository.full_name;
+    const forks = upstream ? [upstream] : [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const batch = await this.makeRequest(
+        `${this.apiUrl}/repos/${root}/forks?sort=newest&per_page=100&page=${page}`
+      );
+      if (!Array.isArray(batch)) break;
+      forks.push(...batch);
+      if (batch.length < 100) break;
+    }
+
+    return forks
+      .filter(fork => fork.full_name !== repository.full_name)
+      .map(fork => ({
+        owner: fork.owner.login,
+        repo: fork.name,
+        branch: fork.default_branch,
+        htmlUrl: fork.html_url,
+        createdAt: fork.created_at,
+        pushedAt: fork.pushed_at,
+        stars: fork.stargazers_count || 0
+      }));
+  }
+
+  // Same adapter, reading and committing on another branch
+  onBranch(branch) {
+    return Object.create(this, { branch: { value: branch } });
+  }
+
+  // New branch at the current head of the default one
+  async createBranch(name) {
+    const base = await this.getBranch();
+    const ref = await this.makeRequest(`${this.baseUrl}/git/ref/heads/${base}`);
+    if (!ref) {
+      throw new Error(`Branch ${base} not found`);
+    }
+    await this.makeRequest(`${this.baseUrl}/git/refs`, {
+      method: 'POST',
+      body: JSON.stringify({ ref: `refs/heads/${name}`, sha: ref.object.sha })
+    });
+    return this.onBranch(name);
+  }
+
+  async createPullRequest({ title, body, head }) {
+    const base = await this.getBranch();
+    return this.makeRequest(`${this.baseUrl}/pulls`, {
+      method: 'POST',
+      body: JSON.stringify({ title, body, head, base })
+    });
+  }
+
+  // Reads and directory listings of a file live under these URLs
+  contentsUrlsFor(path) {
+    const parts = path.split('/');
+    return parts.map((_, i) => this.contentsUrl(parts.slice(0, i + 1).join('/'), true));
+  }
+
+  // Same adapter, but every request it makes is queued at `priority`
+  withPriority(priority) {
+    return Object.create(this, { priority: { value: priority } });
+  }
+
+  // Forget cached copies of changed files and of every directory above them
+  async invalidate(paths) {
+    if (this.cache) {
+      await this.cache.invalidate([...new Set(paths.flatMap(path => this.contentsUrlsFor(path)))]);
+    }
+  }
+
+  // GET requests are revalidated with the cached ETag, a 304 is served from the cache
+  async makeRequest(url, options = {}) {
+    const controller = new AbortController();
+    let timeoutId = null;
+    const isRead = !options.method || options.method === 'GET';
+    const cacheable = this.cache && isRead;
+    const cached = cacheable ? await this.cache.get(url) : null;
+    const priority = this.priority ?? (isRead ? PRIORITY.NORMAL : PRIORITY.USER);
+
+    try {
+      // The timeout starts when the request leaves the scheduler's queue
+      const response = await this.scheduler.schedule(() => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        return fetch(url, {
+          ...options,
+          signal: controller.signal,
+          headers: {
+            ...this.headers,
+            // An empty validator keeps the browser's own HTTP cache out of the way
+            'If-None-Match': cached?.etag || ''
+          }
+        });
+      }, { priority });
+
+      // Unchanged since it was cached
+      const notModified = response.status === 304 && cached;
+      const text = notModified ? cached.body : await response.text();
+      if (notModified) {
+        this.cache.recordHit(url);
+      } else if (cacheable) {
+        this.cache.recordMiss(url);
+      }
+
+      // Don't throw on 404, just return null
+      if (response.status === 404) {
+        if (cached) {
+          await this.cache.invalidate(url);
+        }
+        return null;
+      }
+
+      const etag = response.headers.get('ETag');
+      if (cacheable && response.ok && etag) {
+        await this.cache.set(url, etag, text);
+      }
+
+      // For successful responses, try to parse JSON
+      if (response.ok || notModified) {
+        try {
+          return text ? JSON.parse(text) : null;
+        } catch {
+          return text;
+        }
+      }
+
+      // Still rate limited after the scheduler's retries, say when it lifts
+      const quota = this.scheduler.getQuota();
+      if (response.status === 429 || (response.status === 403 && quota.remaining === 0)) {
+        throw new Error(
+          `${this.label} quota exhausted (${response.status}): resets at ${formatResetTime(quota.resetAt)}`
+        );
+      }
+
+      // For errors, include response status and parsed error message
+      let errorMessage;
+      try {
+        const errorJson = JSON.parse(text);
+        errorMessage = errorJson.message || errorJson.error || response.statusText;
+      } catch {
+        errorMessage = text || response.statusText;
+      }
+
+      throw new Error(`${this.label} API error (${response.status}): ${errorMessage}`);
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async read(path) {
+    const file = await this.makeRequest(this.contentsUrl(path, true));
+    if (!file || Array.isArray(file) || file.type !== 'file') {
+      return null;
+    }
+
+    // Files over 1MB come back without content, fetch those through the blob API
+    if (file.encoding === 'none' || (!file.content && file.size > 0)) {
+      const blob = await this.makeRequest(`${this.baseUrl}/git/blobs/${file.sha}`);
+      return { content: decodeBase64(blob.content), sha: file.sha };
+    }
+
+    return { content: decodeBase64(file.content || ''), sha: file.sha };
+  }
+
+  async list(path) {
+    const entries = await this.makeRequest(this.contentsUrl(path, true));
+    if (!Array.isArray(entries)) {
+      return null;
+    }
+    if (this.listLimit && entries.length >= this.listLimit) {
+      return this.listGitTree(path);
+    }
+
+    return entries.map(entry => ({
+      name: entry.name,
+      path: entry.path,
+      type: entry.type === 'dir' ? 'dir' : 'file',
+      sha: entry.sha
+    }));
+  }
+
+  // The Contents API stops listing a directory at 1000 entries; the Git Data
+  // API lists the whole tree, or says it didn't. A listing that may be missing
+  // entries is an error, since callers treat what is not listed as gone
+  async listGitTree(path) {
+    const branch = await this.getBranch();
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const tree = await this.makeRequest(`${this.baseUrl}/git/trees/${encodeURIComponent(branch)}:${encodedPath}`);
+    if (!tree || !Array.isArray(tree.tree)) {
+      return null;
+    }
+    if (tree.truncated) {
+      throw new Error(`${this.label} listing of ${path} is truncated`);
+    }
+
+    return tree.tree
+      .filter(entry => entry.type === 'blob' || entry.type === 'tree')
+      .map(entry => ({
+        name: entry.path,
+        path: `${path}/${entry.path}`,
+        type: entry.type === 'tree' ? 'dir' : 'file',
+        sha: entry.sha
+      }));
+  }
+
+  async write(path, content, { sha, message } = {}) {
+    try {
+      const response = await this.makeRequest(this.contentsUrl(path), {
+        method: 'PUT',
+        body: JSON.stringify({
+          message: message || `Update ${path}`,
+          content: encodeBase64(content),
+          ...(sha && { sha }),
+          ...(this.branch && { branch: this.branch })
+        })
+      });
+      await this.invalidate([path]);
+      return { sha: response?.content?.sha || null };
+    } catch (error) {
+      // GitHub answers 422 when a sha is missing for an existing file
+      if (error.message.includes('(409)') || error.message.includes('(422)')) {
+        throw conflictError(path);
+      }
+      throw error;
+    }
+  }
+
+  async delete(path, { sha, message } = {}) {
+    let fileSha = sha;
+    if (!fileSha) {
+      const existing = await this.read(path);
+      if (!existing) {
+        return false;
+      }
+      fileSha = existing.sha;
+    }
+
+    try {
+      const response = await this.makeRequest(this.contentsUrl(path), {
+        method: 'DELETE',
+        body: JSON.stringify({
+          message: message || `Delete ${path}`,
+          sha: fileSha,
+          ...(this.branch && { branch: this.branch })
+        })
+      });
+      await this.invalidate([path]);
+      return response !== null;
+    } catch (error) {
+      if (error.message.includes('(409)') || error.message.includes('(422)')) {
+        throw conflictError(path);
+      }
+      throw error;
+    }
+  }
+
+  // One commit for all changes through the Git Data API: upload blobs, build a
+  // tree on top of the current head, commit it and fast-forward the branch.
+  // If someone else moved the branch meanwhile nothing lands and a 409 is thrown
+  async commit(changes, message) {
+    const branch = await this.getBranch();
+    const ref = await this.makeRequest(`${this.baseUrl}/git/ref/heads/${branch}`);
+    if (!ref) {
+      throw new Error(`Branch ${branch} not found`);
+    }
+    const headSha = ref.object.sha;
+    const headCommit = await this.makeRequest(`${this.baseUrl}/git/commits/${headSha}`);
+
+    // Changes worked out from an earlier read only apply to the file they read
+    await Promise.all(changes.filter(change => change.sha !== undefined).map(async change => {
+      const file = await this.makeRequest(`${this.contentsUrl(change.path)}?ref=${headSha}`);
+      const sha = file && !Array.isArray(file) ? file.sha : null;
+      if (sha !== change.sha) {
+        throw conflictError(change.path);
+      }
+    }));
+
+    const tree = await Promise.all(changes.map(async change => {
+      if (change.delete) {
+        return { path: change.path, mode: '100644', type: 'blob', sha: null };
+      }
+      const blob = await this.makeRequest(`${this.baseUrl}/git/blobs`, {
+        method: 'POST',
+        body: JSON.stringify({ content: encodeBase64(change.content), encoding: 'base64' })
+      });
+      return { path: change.path, mode: '100644', type: 'blob', sha: blob.sha };
+    }));
+
+    const newTree = await this.makeRequest(`${this.baseUrl}/git/trees`, {
+      method: 'POST',
+      body: JSON.stringify({ base_tree: headCommit.tree.sha, tree })
+    });
+
+    const newCommit = await this.makeRequest(`${this.baseUrl}/git/commits`, {
+      method: 'POST',
+      body: JSON.stringify({ message, tree: newTree.sha, parents: [headSha] })
+    });
+
+    try {
+      await this.makeRequest(`${this.baseUrl}/git/refs/heads/${branch}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ sha: newCommit.sha, force: false })
+      });
+    } catch (error) {
+      // "Update is not a fast forward": the branch moved while we were building
+      if (error.message.includes('(422)') || error.message.includes('(409)')) {
+        throw conflictError(`refs/heads/${branch}`);
+      }
+      throw error;
+    }
+
+    await this.invalidate(changes.map(change => change.path));
+    return { commit: newCommit.sha, atomic: true };
+  }
+}
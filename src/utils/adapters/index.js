@@ -0,0 +1,50 @@
+// adapters/index.js
+import { GitHubAdapter } from './githubAdapter.js';
+import { GiteaAdapter } from './giteaAdapter.js';
+import { IndexedDBAdapter } from './indexedDbAdapter.js';
+import { FileSystemAdapter } from './fsAdapter.js';
+
+const BACKEND_ENV_VARS = {
+  github: ['VITE_GITHUB_TOKEN', 'VITE_GITHUB_USERNAME', 'VITE_REPO_NAME'],
+  gitea: ['VITE_GITEA_URL', 'VITE_GITEA_TOKEN', 'VITE_GITEA_OWNER', 'VITE_GITEA_REPO'],
+  indexeddb: [],
+  fs: ['VITE_FS_STORAGE_URL']
+};
+
+// Pick the storage backend for this deployment from VITE_STORAGE_BACKEND (default: github)
+export function createStorageAdapter(env) {
+  const backend = (env.VITE_STORAGE_BACKEND || 'github').toLowerCase();
+  const requiredEnvVars = BACKEND_ENV_VARS[backend];
+
+  if (!requiredEnvVars) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  const missingVars = requiredEnvVars.filter(key => !env[key]);
+  if (missingVars.length > 0) {
+    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+  }
+
+  switch (backend) {
+    case 'gitea':
+      return new GiteaAdapter({
+        url: env.VITE_GITEA_URL,
+        token: env.VITE_GITEA_TOKEN,
+        owner: env.VITE_GITEA_OWNER,
+        repo: env.VITE_GITEA_REPO
+      });
+    case 'indexeddb':
+      return new IndexedDBAdapter({ dbName: env.VITE_INDEXEDDB_NAME });
+    case 'fs':
+      return new FileSystemAdapter({ url: env.VITE_FS_STORAGE_URL });
+    default:
+      return new GitHubAdapter({
+        token: env.VITE_GITHUB_TOKEN,
+        owner: env.VITE_GITHUB_USERNAME,
+        repo: env.VITE_REPO_NAME
+      });
+  }
+}
+
+export { StorageAdapter } from './storageAdapter.js';
+export { GitHubAdapter, GiteaAdapter, IndexedDBAdapter, FileSystemAdapter };
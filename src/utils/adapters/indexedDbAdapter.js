@@ -0,0 +1,134 @@
+// indexedDbAdapter.js
+import { openDatabase, promisifyRequest, transactionDone } from '../idb.js';
+import { StorageAdapter, childEntries, conflictError, gitBlobSha } from './storageAdapter.js';
+
+const FILES_STORE = 'files';
+
+// Local-only storage kept in the browser. Nothing leaves the device, which makes
+// it useful for trying the app out or running it without any account at all
+export class IndexedDBAdapter extends StorageAdapter {
+  constructor({ dbName = 'system-ya-mbogi' } = {}) {
+    super('indexeddb');
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(this.dbName, 1, (db) => {
+        if (!db.objectStoreNames.contains(FILES_STORE)) {
+          db.createObjectStore(FILES_STORE, { keyPath: 'path' });
+        }
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async read(path) {
+    const db = await this.getDatabase();
+    const file = await promisifyRequest(
+      db.transaction(FILES_STORE).objectStore(FILES_STORE).get(path)
+    );
+    return file ? { content: file.content, sha: file.sha } : null;
+  }
+
+  async list(path) {
+    const db = await this.getDatabase();
+    const prefix = path ? `${path}/` : '';
+    const files = await promisifyRequest(
+      db.transaction(FILES_STORE).objectStore(FILES_STORE).getAll(
+        IDBKeyRange.bound(prefix, `${prefix}\uffff`)
+      )
+    );
+    return files.length > 0 ? childEntries(path, files) : null;
+  }
+
+  // The sha check and the put run inside one readwrite transaction so two tabs
+  // cannot overwrite each other
+  async write(path, content, { sha } = {}) {
+    const db = await this.getDatabase();
+    const newSha = gitBlobSha(content);
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(FILES_STORE, 'readwrite');
+      const store = transaction.objectStore(FILES_STORE);
+      let failure = null;
+
+      const lookup = store.get(path);
+      lookup.onsuccess = () => {
+        const existing = lookup.result;
+        if ((existing && existing.sha !== sha) || (!existing && sha)) {
+          failure = conflictError(path);
+          transaction.abort();
+          return;
+        }
+        store.put({ path, content, sha: newSha, updatedAt: new Date().toISOString() });
+      };
+
+      transaction.oncomplete = () => resolve({ sha: newSha });
+      transaction.onabort = () => reject(failure || transaction.error);
+    });
+  }
+
+  async delete(path, { sha } = {}) {
+    const db = await this.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(FILES_STORE, 'readwrite');
+      const store = transaction.objectStore(FILES_STORE);
+      let failure = null;
+      let deleted = false;
+
+      const lookup = store.get(path);
+      lookup.onsuccess = () => {
+        const existing = lookup.result;
+        if (!existing) return;
+        if (sha && existing.sha !== sha) {
+          failure = conflictError(path);
+          transaction.abort();
+          return;
+        }
+        store.delete(path);
+        deleted = true;
+      };
+
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onabort = () => reject(failure || transaction.error);
+    });
+  }
+
+  // A single readwrite transaction either applies every change or none of them.
+  // Requests run in order, so a change's sha is checked before anything is written
+  async commit(changes) {
+    const db = await this.getDatabase();
+    const transaction = db.transaction(FILES_STORE, 'readwrite');
+    const store = transaction.objectStore(FILES_STORE);
+    const updatedAt = new Date().toISOString();
+    let failure = null;
+
+    for (const change of changes.filter(change => change.sha !== undefined)) {
+      const lookup = store.get(change.path);
+      lookup.onsuccess = () => {
+        if (!failure && (lookup.result?.sha || null) !== change.sha) {
+          failure = conflictError(change.path);
+          transaction.abort();
+        }
+      };
+    }
+
+    for (const change of changes) {
+      if (change.delete) {
+        store.delete(change.path);
+      } else {
+        store.put({ path: change.path, content: change.content, sha: gitBlobSha(change.content), updatedAt });
+      }
+    }
+
+    try {
+      await transactionDone(transaction);
+    } catch (error) {
+      throw failure || error;
+    }
+    return { commit: null, atomic: true };
+  }
+}
@@ -0,0 +1,100 @@
+// storageAdapter.js
+import CryptoJS from 'crypto-js';
+
+// Base class for storage backends. Paths are repository relative
+// (e.g. data/folders/<id>.json), content is always a UTF-8 string and every
+// file carries a sha that is checked on write and delete, the same way the
+// GitHub Contents API does it.
+export class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+    this.readOnly = false;
+  }
+
+  // Resolves { content, sha } or null when the file does not exist
+  async read(path) {
+    throw new Error(`${this.name} storage does not implement read(${path})`);
+  }
+
+  // Resolves [{ name, path, type: 'file' | 'dir', sha }] or null when the directory does not exist
+  async list(path) {
+    throw new Error(`${this.name} storage does not implement list(${path})`);
+  }
+
+  // write(path, content, { sha, message }) creates a file when no sha is given,
+  // otherwise replaces the file with that sha. Resolves { sha } of the new content
+  // and rejects with a 409 error when the stored sha does not match
+  async write(path) {
+    throw new Error(`${this.name} storage does not implement write(${path})`);
+  }
+
+  // delete(path, { sha, message }) looks up the sha when none is given.
+  // Resolves false if the file was already gone
+  async delete(path) {
+    throw new Error(`${this.name} storage does not implement delete(${path})`);
+  }
+
+  // Applies [{ path, content } | { path, delete: true }] as one unit. Backends that
+  // cannot do that atomically fall back to applying the changes one at a time.
+  // A change with a sha (null for "must not exist yet") only lands over that
+  // version of the file, otherwise the commit rejects with a 409 error
+  async commit(changes, message) {
+    for (const change of changes) {
+      if (change.delete) {
+        await this.delete(change.path, { message });
+      } else {
+        const sha = change.sha !== undefined ? change.sha : (await this.read(change.path))?.sha;
+        await this.write(change.path, change.content, { sha: sha || undefined, message });
+      }
+    }
+    return { commit: null, atomic: false };
+  }
+
+  async exists(path) {
+    if (await this.read(path)) {
+      return true;
+    }
+    return (await this.list(path)) !== null;
+  }
+}
+
+// Existing callers look for the status code in the message, so keep it there
+export function conflictError(path) {
+  return new Error(`Storage conflict (409): ${path} was changed by someone else`);
+}
+
+export function readOnlyError(name, path) {
+  return new Error(`Storage is read-only (403): ${name} cannot modify ${path}`);
+}
+
+// Same hash git uses for blobs, so every backend agrees on what a sha means
+export function gitBlobSha(content) {
+  const size = new TextEncoder().encode(content).length;
+  return CryptoJS.SHA1(`blob ${size}\0${content}`).toString();
+}
+
+export function encodeBase64(content) {
+  return btoa(unescape(encodeURIComponent(content)));
+}
+
+export function decodeBase64(content) {
+  return decodeURIComponent(escape(atob(content.replace(/\s/g, ''))));
+}
+
+// Children of `dirPath` given every file path stored below it
+export function childEntries(dirPath, files) {
+  const prefix = dirPath ? `${dirPath}/` : '';
+  const entries = new Map();
+
+  for (const file of files) {
+    const rest = file.path.slice(prefix.length);
+    const [name, ...nested] = rest.split('/');
+    if (entries.has(name)) continue;
+
+    entries.set(name, nested.length > 0
+      ? { name, path: `${prefix}${name}`, type: 'dir', sha: null }
+      : { name, path: file.path, type: 'file', sha: file.sha });
+  }
+
+  return Array.from(entries.values());
+}
@@ -0,0 +1,286 @@
+// bundle.js
+import { v4 as uuidv4 } from 'uuid';
+import CryptoJS from 'crypto-js';
+import { ContentValidator } from './githubStorage.js';
+
+// A folder with its emails, versions, attachments and share links as one JSON
+// document, to move a campaign between forks or keep it as an offline backup.
+// The manifest lists a checksum per file and is itself checksummed (the
+// `signature` field), both with SecurityManager.generateChecksum, so a bundle
+// that was cut short or damaged is refused on import. These are plain SHA-256
+// sums, not a signature: anyone editing a bundle can recompute them, so import
+// also checks every record the way saving it here would.
+export const BUNDLE_FORMAT = 'mbogi-folder-bundle';
+export const BUNDLE_VERSION = 1;
+
+const LINKS_DIR = 'data/metadata/links';
+const TOKEN_PATTERN = /^[0-9a-f]{32}$/i;
+
+export function bundleFileName(bundle) {
+  const slug = bundle.manifest.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'folder';
+  return `${slug}-${bundle.manifest.exportedAt.slice(0, 10)}.mbogi.json`;
+}
+
+// The manifest of a bundle that is whole and unchanged; throws otherwise
+export function verifyBundle(bundle, security) {
+  if (bundle?.format !== BUNDLE_FORMAT || !bundle.manifest || !bundle.files) {
+    throw new Error('Not a folder bundle');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${bundle.version} is newer than this app supports`);
+  }
+  if (bundle.signature !== security.generateChecksum(bundle.manifest)) {
+    throw new Error('Bundle manifest checksum does not match');
+  }
+
+  const listed = new Set();
+  bundle.manifest.files.forEach(({ path, checksum }) => {
+    if (!(path in bundle.files)) {
+      throw new Error(`Bundle is missing ${path}`);
+    }
+    if (security.generateChecksum(bundle.files[path]) !== checksum) {
+      throw new Error(`Bundle checksum mismatch for ${path}`);
+    }
+    listed.add(path);
+  });
+
+  const unlisted = Object.keys(bundle.files).filter(path => !listed.has(path));
+  if (unlisted.length > 0) {
+    throw new Error(`Bundle has files missing from its manifest: ${unlisted.join(', ')}`);
+  }
+  if (!bundle.files['folder.json']) {
+    throw new Error('Bundle has no folder.json');
+  }
+  return bundle.manifest;
+}
+
+// Throws unless every file is one export() could have written: uuid ids that
+// match the file names, attachment names that stay in their directory, and
+// content that passes ContentValidator as when it is saved
+function validateBundleFiles(files) {
+  const folder = files['folder.json'];
+  ContentValidator.validateId(folder.id, 'folder id');
+  ContentValidator.validateFolder(folder);
+
+  const emailIds = new Set();
+  const attachmentOwners = [];
+  Object.entries(files).forEach(([path, record]) => {
+    const [dir, ...rest] = path.split('/');
+    const fileId = rest.length === 1 && rest[0].endsWith('.json') ? rest[0].slice(0, -'.json'.length) : null;
+
+    if (path === 'folder.json') {
+      return;
+    }
+    if (dir === 'emails' && fileId) {
+      ContentValidator.validateId(fileId, 'email id');
+      if (record.id !== fileId) {
+        throw new Error(`Bundle record does not match its path ${path}`);
+      }
+      ContentValidator.validateEmail(record);
+      (record.attachments || []).forEach(attachment => ContentValidator.validateAttachment(attachment));
+      emailIds.add(fileId);
+    } else if (dir === 'versions' && fileId) {
+      ContentValidator.validateId(fileId, 'version id');
+      if (record.id !== fileId) {
+        throw new Error(`Bundle record does not match its path ${path}`);
+      }
+      ContentValidator.validateId(record.originalEmailId, 'original email id');
+      ContentValidator.validateEmail(record);
+    } else if (dir === 'attachments' && rest.length === 2) {
+      ContentValidator.validateId(rest[0], 'email id');
+      ContentValidator.validateAttachment({ ...record, name: rest[1] });
+      attachmentOwners.push(rest[0]);
+    } else if (dir === 'links' && fileId) {
+      if (!TOKEN_PATTERN.test(fileId)) {
+        throw new Error(`Invalid share token in bundle: ${path}`);
+      }
+      // A link may only point at the bundled folder
+      if (record.folderId !== folder.id) {
+        throw new Error(`Bundle record does not match its folder: ${path}`);
+      }
+      if (typeof record.encryptedData !== 'string' || !record.encryptedData) {
+        throw new Error(`Invalid share link in bundle: ${path}`);
+      }
+    } else {
+      throw new Error(`Unexpected file in bundle: ${path}`);
+    }
+  });
+
+  const unowned = attachmentOwners.filter(emailId => !emailIds.has(emailId));
+  if (unowned.length > 0) {
+    throw new Error(`Bundle has attachments of emails it does not hold: ${unowned.join(', ')}`);
+  }
+}
+
+export class FolderBundles {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async loadShareLinks(folderId) {
+    const refs = await this.storage.loadFolderRefs(folderId);
+    if (refs) {
+      const links = await Promise.all(refs.shareTokens.map(async token => ({
+        token,
+        link: await this.storage.loadData(`${LINKS_DIR}/${token}.json`)
+      })));
+      return links.filter(({ link }) => link);
+    }
+
+    // Folders from before reverse indexes: open every link file
+    const files = await this.storage.adapter.list(LINKS_DIR) || [];
+    const links = await Promise.all(files
+      .filter(file => file.type === 'file' && file.name.endsWith('.json'))
+      .map(async file => ({ token: file.name.slice(0, -'.json'.length), link: await this.storage.loadData(file.path) })));
+    return links.filter(({ link }) => link?.folderId === folderId);
+  }
+
+  async export(folderId) {
+    const folder = await this.storage.loadData(`data/folders/${folderId}.json`) ||
+      await this.storage.loadData(`data/silent/folders/${folderId}.json`);
+    if (!folder) {
+      throw new Error('Folder not found');
+    }
+
+    const files = { 'folder.json': folder };
+    const [emails, versions, links] = await Promise.all([
+      this.storage.scanRecords(`data/emails/${folderId}`),
+      this.storage.scanRecords(`data/emails/${folderId}/versions`),
+      this.loadShareLinks(folderId)
+    ]);
+
+    for (const email of emails) {
+      files[`emails/${email.id}.json`] = email;
+      for (const { name } of email.attachments || []) {
+        const attachment = await this.storage.loadOwnAttachment(folderId, email.id, name);
+        if (attachment) {
+          files[`attachments/${email.id}/${name}`] = attachment;
+        }
+      }
+    }
+    versions.forEach(version => {
+      files[`versions/${version.id}.json`] = version;
+    });
+    links.forEach(({ token, link }) => {
+      files[`links/${token}.json`] = link;
+    });
+
+    const manifest = {
+      folderId,
+      name: folder.name,
+      status: folder.status,
+      exportedAt: new Date().toISOString(),
+      files: Object.entries(files).map(([path, record]) => ({
+        path,
+        checksum: this.storage.security.generateChecksum(record)
+      }))
+    };
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      manifest,
+      files,
+      signature: this.storage.security.generateChecksum(manifest)
+    };
+  }
+
+  // Write a bundle into this storage as one commit. With preserveIds the folder
+  // keeps its ids and share links (and fails if the folder is already here);
+  // otherwise it gets new ids and new share links. Passwords carry over either way
+  async import(bundle, { preserveIds = false } = {}) {
+    const { security } = this.storage;
+    verifyBundle(bundle, security);
+    validateBundleFiles(bundle.files);
+
+    const source = bundle.files['folder.json'];
+    const folderId = preserveIds ? source.id : uuidv4();
+    const folderPath = `${source.status === 'active' ? 'data/folders' : 'data/silent/folders'}/${folderId}.json`;
+
+    if (preserveIds && (
+      await this.storage.adapter.read(`data/folders/${folderId}.json`) ||
+      await this.storage.adapter.read(`data/silent/folders/${folderId}.json`)
+    )) {
+      throw new Error(`Folder already exists (409): ${folderId}`);
+    }
+
+    // Rewritten records are resealed; unsealed ones stay unsealed
+    const rewrite = (record, changes) => {
+      if (preserveIds) return record;
+      const rewritten = { ...record, ...changes };
+      return record.checksum ? this.storage.sealRecord(rewritten) : rewritten;
+    };
+
+    const entries = Object.entries(bundle.files);
+    const emailIds = new Map(entries
+      .filter(([path]) => path.startsWith('emails/'))
+      .map(([, email]) => [email.id, preserveIds ? email.id : uuidv4()]));
+
+    const transaction = this.storage.transaction();
+    const folder = rewrite(source, { id: folderId, importedFrom: source.id });
+    this.storage.stageIndexUpdate(transaction, folderPath, folder).put(folderPath, folder);
+
+    const counts = { emails: 0, versions: 0, attachments: 0 };
+    const attachmentPaths = [];
+    const shareTokens = [];
+
+    for (const [path, record] of entries) {
+      if (path.startsWith('emails/')) {
+        const email = rewrite(record, { id: emailIds.get(record.id), folderId });
+        const emailPath = `data/emails/${folderId}/${email.id}.json`;
+        this.storage.stageIndexUpdate(transaction, emailPath, email).put(emailPath, email);
+        counts.emails += 1;
+      } else if (path.startsWith('versions/')) {
+        const version = rewrite(record, {
+          id: uuidv4(),
+          folderId,
+          originalEmailId: emailIds.get(record.originalEmailId) || record.originalEmailId
+        });
+        transaction.put(`data/emails/${folderId}/versions/${version.id}.json`, version);
+        counts.versions += 1;
+      } else if (path.startsWith('attachments/')) {
+        const [, emailId, name] = path.split('/');
+        const attachmentPath = `data/attachments/${folderId}/${emailIds.get(emailId) || emailId}/${name}`;
+        transaction.put(attachmentPath, record);
+        attachmentPaths.push(attachmentPath);
+        counts.attachments += 1;
+      } else if (path.startsWith('links/')) {
+        const oldToken = path.slice('links/'.length, -'.json'.length);
+        let token = oldToken;
+        let link = record;
+        if (!preserveIds) {
+          // The link metadata is encrypted with its token, so a new token means re-encrypting
+          try {
+            const metadata = JSON.parse(CryptoJS.AES.decrypt(record.encryptedData, oldToken).toString(CryptoJS.enc.Utf8));
+            const fresh = security.generateShareableLink(folderId, metadata);
+            token = fresh.token;
+            link = { ...record, folderId, encryptedData: fresh.encryptedData, createdAt: new Date().toISOString() };
+          } catch (error) {
+            console.warn(`Skipping share link ${oldToken} that could not be decrypted:`, error.message);
+            continue;
+          }
+        }
+        // A token is never taken over: with the old ids it must not be in use
+        // here, and a null base sha makes the commit fail if it appears meanwhile
+        const linkPath = `${LINKS_DIR}/${token}.json`;
+        if (await this.storage.adapter.read(linkPath)) {
+          throw new Error(`Share link already exists (409): ${token}`);
+        }
+        transaction.put(linkPath, link, { baseSha: null });
+        shareTokens.push(token);
+      }
+    }
+
+    this.storage.stageFolderRefs(transaction, folderId, { shareTokens, attachments: attachmentPaths });
+    await transaction.commit(`Import folder ${folderId} from bundle`);
+
+    return {
+      folderId,
+      name: folder.name,
+      status: folder.status,
+      ...counts,
+      shareTokens,
+      shareableLink: shareTokens.length > 0 ? `${this.storage.publicUrl}/share/${shareTokens[0]}` : null
+    };
+  }
+}
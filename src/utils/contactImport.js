@@ -0,0 +1,336 @@
+// contactImport.js
+// Official contact lists as published: CSV (often from a PDF), vCard exports
+// and XLSX spreadsheets. Every format is read into the same table of headers
+// and rows, so the column mapping and preview work the same for all of them.
+import { CONTACT_FIELDS, normalizeContact, validateContact } from './contacts.js';
+
+export const IMPORT_FORMATS = {
+  CSV: 'csv',
+  VCARD: 'vcard',
+  XLSX: 'xlsx'
+};
+
+// Same limit as ContentValidator.validateCountryFolder
+export const MAX_LIST_SIZE = 5000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_IN_TEXT = /[^\s@<>"',;:()[\]]+@[^\s@<>"',;:()[\]]+\.[a-z]{2,}/gi;
+const HAS_EMAIL = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+
+// Header words that give a column away; compared after lowercasing and
+// dropping punctuation
+const FIELD_HEADERS = {
+  email: ['email', 'e mail', 'email address', 'mail', 'official email'],
+  fullName: ['name', 'full name', 'names', 'member', 'member name', 'hon', 'honourable', 'representative'],
+  title: ['title', 'office', 'position', 'role', 'designation', 'seat'],
+  ward: ['ward', 'county assembly ward', 'electoral ward'],
+  constituency: ['constituency', 'electoral area', 'area', 'district'],
+  county: ['county', 'county name', 'region'],
+  party: ['party', 'political party', 'affiliation', 'coalition'],
+  phone: ['phone', 'telephone', 'tel', 'mobile', 'phone number'],
+  sourceUrl: ['source', 'source url', 'url', 'link', 'website'],
+  lastVerified: ['last verified', 'verified', 'verified on', 'date verified']
+};
+
+// Spreadsheet dates are days since 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const fromSpreadsheetDate = (value) => (/^\d{5}(\.\d+)?$/.test(value)
+  ? new Date(EXCEL_EPOCH + Math.floor(Number(value)) * 86400000).toISOString().slice(0, 10)
+  : value);
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+export function detectFormat(fileName) {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'vcf' || extension === 'vcard') return IMPORT_FORMATS.VCARD;
+  if (extension === 'xlsx') return IMPORT_FORMATS.XLSX;
+  if (extension === 'csv' || extension === 'tsv' || extension === 'txt') return IMPORT_FORMATS.CSV;
+  throw new Error(`Unsupported file type: ${fileName} (use CSV, vCard or XLSX)`);
+}
+
+// Reads a File (or anything with name and arrayBuffer()) into { headers, rows }
+export async function readContactFile(file) {
+  const format = detectFormat(file.name);
+  const buffer = await file.arrayBuffer();
+
+  if (format === IMPORT_FORMATS.XLSX) {
+    return { format, ...withHeaders(await parseXlsx(new Uint8Array(buffer))) };
+  }
+  const text = new TextDecoder().decode(buffer).replace(/^\uFEFF/, '');
+  if (format === IMPORT_FORMATS.VCARD) {
+    return { format, ...parseVCard(text) };
+  }
+  return { format, ...withHeaders(parseCsv(text)) };
+}
+
+// A first row with an address in it is data, not headers
+function withHeaders(table) {
+  const rows = table.filter(row => row.some(cell => cell.trim() !== ''));
+  if (rows.length === 0) {
+    return { headers: [], rows: [] };
+  }
+  const width = Math.max(...rows.map(row => row.length));
+  const hasHeaders = !rows[0].some(cell => EMAIL_PATTERN.test(cell.trim()));
+  const headers = hasHeaders
+    ? Array.from({ length: width }, (_, i) => rows[0][i]?.trim() || `Column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  return { headers, rows: hasHeaders ? rows.slice(1) : rows };
+}
+
+// RFC 4180 with the delimiter guessed from the first line: comma, semicolon
+// (spreadsheets in comma-decimal locales) or tab
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const VCARD_HEADERS = ['Email', 'Full name', 'Title', 'Organization', 'Address', 'Phone', 'URL', 'Note'];
+
+const unescapeVCard = (value) => value.replace(/\\([nN,;\\])/g, (_, char) => (char.toLowerCase() === 'n' ? ' ' : char));
+
+// One row per address, so a card with a personal and an office address gives two
+export function parseVCard(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const rows = [];
+  let card = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    // "item1.EMAIL;TYPE=work" -> EMAIL
+    const property = line.slice(0, separator).split(';')[0].split('.').pop().toUpperCase();
+    const value = unescapeVCard(line.slice(separator + 1).trim());
+
+    if (property === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+      card = { emails: [], fields: {} };
+    } else if (property === 'END' && card) {
+      const { fields } = card;
+      card.emails.forEach(email => rows.push([
+        email,
+        fields.FN || fields.N || '',
+        fields.TITLE || fields.ROLE || '',
+        fields.ORG || '',
+        fields.ADR || '',
+        fields.TEL || '',
+        fields.URL || '',
+        fields.NOTE || ''
+      ]));
+      card = null;
+    } else if (card && property === 'EMAIL') {
+      card.emails.push(value);
+    } else if (card && !card.fields[property]) {
+      card.fields[property] = property === 'N'
+        // Family;Given;Additional;Prefix;Suffix
+        ? value.split(';').filter(Boolean).reverse().join(' ')
+        : value.split(';').filter(Boolean).join(', ');
+    }
+  }
+  return { headers: VCARD_HEADERS, rows };
+}
+
+// XLSX is a zip of XML parts; only the first worksheet and the shared strings
+// are read, inflated with the platform's DecompressionStream
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) {
+    throw new Error('Not an XLSX file');
+  }
+
+  const entries = new Map();
+  let offset = view.getUint32(end + 16, true);
+  const count = view.getUint16(end + 10, true);
+  for (let i = 0; i < count; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, { method, size, localOffset });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  return async (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    const start = entry.localOffset + 30 +
+      view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = bytes.subarray(start, start + entry.size);
+    return new TextDecoder().decode(entry.method === 8 ? await inflateRaw(data) : data);
+  };
+}
+
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Rich text runs split a cell into several <t> elements
+const textOf = (xml) => decodeXml([...xml.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(match => match[1]).join(''));
+
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')]
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+export async function parseXlsx(bytes) {
+  const readPart = await readZip(bytes);
+
+  // The first sheet in workbook order, which is not always sheet1.xml
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const [workbook, rels] = await Promise.all([readPart('xl/workbook.xml'), readPart('xl/_rels/workbook.xml.rels')]);
+  const firstSheet = workbook?.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+  const target = firstSheet && rels?.match(new RegExp(`<Relationship[^>]*Id="${firstSheet[1]}"[^>]*Target="([^"]+)"`))
+    || firstSheet && rels?.match(new RegExp(`<Relationship[^>]*Target="([^"]+)"[^>]*Id="${firstSheet[1]}"`));
+  if (target) {
+    sheetPath = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+  }
+
+  const sheet = await readPart(sheetPath);
+  if (!sheet) {
+    throw new Error('The spreadsheet has no worksheet');
+  }
+  const sharedStrings = [...((await readPart('xl/sharedStrings.xml')) || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(match => textOf(match[1]));
+
+  return [...sheet.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)].map(([, rowXml]) => {
+    const row = [];
+    for (const [, attributes, body = ''] of rowXml.matchAll(/<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attributes.match(/r="([A-Z]+\d+)"/)?.[1];
+      const type = attributes.match(/t="([^"]+)"/)?.[1];
+      const value = body.match(/<v>([^<]*)<\/v>/)?.[1];
+      const text = type === 's' ? sharedStrings[Number(value)]
+        : type === 'inlineStr' ? textOf(body)
+          : value !== undefined ? decodeXml(value) : '';
+      row[ref ? columnIndex(ref) : row.length] = text ?? '';
+    }
+    return Array.from(row, cell => cell ?? '');
+  });
+}
+
+// Column index per contact field, from the headers or, for the email column,
+// from whichever column holds the most addresses
+export function guessMapping({ headers, rows }) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  CONTACT_FIELDS.forEach(field => {
+    const taken = new Set(Object.values(mapping));
+    const exact = normalized.findIndex((header, i) => !taken.has(i) && FIELD_HEADERS[field].includes(header));
+    const partial = normalized.findIndex((header, i) =>
+      !taken.has(i) && FIELD_HEADERS[field].some(word => header.split(' ').includes(word)));
+    const index = exact !== -1 ? exact : partial;
+    if (index !== -1) {
+      mapping[field] = index;
+    }
+  });
+
+  if (mapping.email === undefined) {
+    const sample = rows.slice(0, 50);
+    const counts = headers.map((_, i) => sample.filter(row => HAS_EMAIL.test(row[i] || '')).length);
+    const best = counts.indexOf(Math.max(...counts));
+    if (counts[best] > 0) {
+      mapping.email = best;
+    }
+  }
+  return mapping;
+}
+
+// Contacts to add, with the rows that were left out and why. A cell may hold
+// several addresses ("a@x.go.ke / b@x.go.ke", "mailto:..."); each one becomes
+// its own contact with the row's other fields. `defaults` fills fields the
+// file leaves empty, such as the page the whole list was taken from
+export function buildImport({ rows }, mapping, existingEmails = [], defaults = {}) {
+  if (mapping.email === undefined) {
+    throw new Error('Choose the column that holds the email addresses');
+  }
+
+  const existing = new Set(existingEmails.map(email => email.toLowerCase()));
+  const seen = new Set(existing);
+  const contacts = [];
+  const duplicates = [];
+  const invalid = [];
+
+  rows.forEach((row, index) => {
+    const cell = String(row[mapping.email] || '').trim();
+    const addresses = cell.match(EMAIL_IN_TEXT) || [];
+    if (addresses.length === 0) {
+      invalid.push({ row: index + 1, value: cell, reason: 'no email address' });
+      return;
+    }
+
+    const details = { ...defaults };
+    CONTACT_FIELDS.filter(field => field !== 'email' && mapping[field] !== undefined).forEach(field => {
+      const value = String(row[mapping[field]] ?? '').trim();
+      if (value) details[field] = field === 'lastVerified' ? fromSpreadsheetDate(value) : value;
+    });
+
+    addresses.map(address => address.toLowerCase()).forEach(email => {
+      const contact = normalizeContact({ ...details, email });
+      try {
+        validateContact(contact);
+      } catch (error) {
+        invalid.push({ row: index + 1, value: email, reason: error.message });
+        return;
+      }
+      if (seen.has(email)) {
+        duplicates.push({ row: index + 1, email, existing: existing.has(email) });
+      } else {
+        seen.add(email);
+        contacts.push(contact);
+      }
+    });
+  });
+
+  const room = MAX_LIST_SIZE - existingEmails.length;
+  return {
+    contacts: contacts.slice(0, Math.max(0, room)),
+    duplicates,
+    invalid,
+    overLimit: Math.max(0, contacts.length - room)
+  };
+}
@@ -0,0 +1,124 @@
+// contacts.js
+// Who an address on a country list belongs to. Lists used to be bare address
+// strings (`emails: ["clerk@parliament.go.ke"]`); those read as contacts with
+// only `email` set, and the schema migration in schema.js rewrites them.
+export const CONTACT_FIELDS = [
+  'email',
+  'fullName',
+  'title',
+  'ward',
+  'constituency',
+  'county',
+  'party',
+  'phone',
+  'sourceUrl',
+  'lastVerified'
+];
+
+export const CONTACT_LABELS = {
+  email: 'Email',
+  fullName: 'Full name',
+  title: 'Office / title',
+  ward: 'Ward',
+  constituency: 'Constituency',
+  county: 'County',
+  party: 'Party',
+  phone: 'Phone',
+  sourceUrl: 'Source URL',
+  lastVerified: 'Last verified'
+};
+
+const MAX_FIELD_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A contact with only known fields, trimmed, empty ones left out. Strings are
+// the old list format and become { email }
+export function normalizeContact(entry) {
+  if (typeof entry === 'string') {
+    return { email: entry.trim() };
+  }
+
+  const contact = {};
+  CONTACT_FIELDS.forEach(field => {
+    const value = typeof entry?.[field] === 'string' ? entry[field].replace(/\s+/g, ' ').trim() : '';
+    if (value) contact[field] = value;
+  });
+
+  // Any date the browser understands is stored as YYYY-MM-DD
+  if (contact.lastVerified && !DATE_PATTERN.test(contact.lastVerified)) {
+    const date = new Date(contact.lastVerified);
+    if (!Number.isNaN(date.getTime())) {
+      contact.lastVerified = date.toISOString().slice(0, 10);
+    }
+  }
+  return contact;
+}
+
+// The contacts of a country folder or version, whichever format it was saved in
+export function contactsOf(record) {
+  if (Array.isArray(record?.contacts)) return record.contacts.map(normalizeContact);
+  if (Array.isArray(record?.emails)) return record.emails.map(normalizeContact);
+  return [];
+}
+
+export const contactEmails = (contacts) => contacts.map(contact => contact.email);
+
+export function validateContact(contact) {
+  if (!contact || typeof contact !== 'object') {
+    throw new Error('Invalid contact');
+  }
+  if (!EMAIL_PATTERN.test(contact.email || '')) {
+    throw new Error(`Invalid email address: ${contact.email || '(empty)'}`);
+  }
+  const unknown = Object.keys(contact).filter(field => !CONTACT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid contact fields: ${unknown.join(', ')}`);
+  }
+  CONTACT_FIELDS.forEach(field => {
+    if (contact[field] !== undefined && (typeof contact[field] !== 'string' || contact[field].length > MAX_FIELD_LENGTH)) {
+      throw new Error(`Invalid ${CONTACT_LABELS[field].toLowerCase()} for ${contact.email}: at most ${MAX_FIELD_LENGTH} characters of text`);
+    }
+  });
+  if (contact.sourceUrl && !/^https?:\/\//i.test(contact.sourceUrl)) {
+    throw new Error(`Invalid source URL for ${contact.email}: it must start with http:// or https://`);
+  }
+  if (contact.lastVerified && !DATE_PATTERN.test(contact.lastVerified)) {
+    throw new Error(`Invalid last verified date for ${contact.email}: use YYYY-MM-DD`);
+  }
+}
+
+// `incoming` added after `existing`, skipping addresses already there
+export function mergeContacts(existing, incoming) {
+  const known = new Set(existing.map(contact => contact.email.toLowerCase()));
+  const added = incoming.filter(contact => {
+    const key = contact.email.toLowerCase();
+    if (known.has(key)) return false;
+    known.add(key);
+    return true;
+  });
+  return { contacts: [...existing, ...added], added };
+}
+
+// What a new version of a list does to the old one. Contacts are matched by
+// address; `changed` holds those whose details were corrected, as { before, after }
+export function diffContacts(before, after) {
+  const byEmail = (contacts) => new Map(contacts.map(contact => [contact.email.toLowerCase(), contact]));
+  const old = byEmail(before);
+  const current = byEmail(after);
+  const differs = (a, b) => CONTACT_FIELDS.some(field => (a[field] || '') !== (b[field] || ''));
+
+  return {
+    added: after.filter(contact => !old.has(contact.email.toLowerCase())),
+    removed: before.filter(contact => !current.has(contact.email.toLowerCase())),
+    changed: after
+      .filter(contact => old.has(contact.email.toLowerCase()) && differs(old.get(contact.email.toLowerCase()), contact))
+      .map(contact => ({ before: old.get(contact.email.toLowerCase()), after: contact }))
+  };
+}
+
+// "Hon. Jane Doe, Member of Parliament, Kisumu Central" or just the address
+export function describeContact(contact) {
+  const who = [contact.fullName, contact.title, contact.ward || contact.constituency || contact.county].filter(Boolean);
+  return who.length > 0 ? who.join(', ') : contact.email;
+}
@@ -0,0 +1,100 @@
+// divisions.js
+// Sub-national areas (data/divisions/<cc>.json, format in data/divisions/README.md)
+// and which contacts belong to them. An area is identified by its path from the
+// top level down, e.g. [Kisumu County, Kisumu Central]; a contact is placed by
+// the area fields it has (county, constituency, ward) and matches every area
+// on its own path or below it, so the senator of Kisumu shows up for Kisumu
+// Central and the Kisumu Central MP shows up for Kisumu County.
+export const DIVISIONS_DIR = 'data/divisions';
+
+export function divisionsPath(countryCode) {
+  return `${DIVISIONS_DIR}/${countryCode.toLowerCase()}.json`;
+}
+
+// Levels for countries without a divisions file: the contact area fields,
+// widest first
+export const DEFAULT_LEVELS = [
+  { key: 'county', label: 'County' },
+  { key: 'constituency', label: 'Constituency' },
+  { key: 'ward', label: 'Ward' }
+];
+
+// "Murang'a County", "MURANGA" and "Muranga" are the same place
+export function normalizeAreaName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\b(county|constituency|ward|sub-county)\b/g, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+// Nodes of the hierarchy with their level and ancestors, looked up by level
+// and normalized name
+export function indexDivisions(divisions) {
+  const levels = divisions.levels?.length > 0 ? divisions.levels : DEFAULT_LEVELS;
+  const byName = new Map(levels.map(level => [level.key, new Map()]));
+  const nodes = [];
+
+  const visit = (areas, depth, parent) => (areas || []).forEach(area => {
+    const level = levels[depth];
+    if (!level) return;
+    const names = [area.name, ...(area.aliases || [])].map(normalizeAreaName);
+    const node = { code: area.code, name: area.name, names, level: level.key, depth, children: [] };
+    node.path = parent ? [...parent.path, node] : [node];
+    parent?.children.push(node);
+    nodes.push(node);
+
+    const named = byName.get(level.key);
+    names.forEach(key => named.set(key, [...(named.get(key) || []), node]));
+    visit(area.children, depth + 1, node);
+  });
+  visit(divisions.divisions, 0, null);
+
+  return {
+    countryCode: divisions.countryCode,
+    levels,
+    roots: nodes.filter(node => node.depth === 0),
+    nodes,
+    byName
+  };
+}
+
+// Deepest known area of a contact as a path of nodes. An area field that is
+// not in the hierarchy (a ward while only constituencies are listed) ends the
+// path at its parent; a field that contradicts a wider one is ignored
+export function contactArea(index, contact) {
+  let path = [];
+  index.levels.forEach(level => {
+    const value = contact[level.key];
+    if (!value) return;
+    const candidates = index.byName.get(level.key).get(normalizeAreaName(value)) || [];
+    const match = candidates.find(node => path.every((ancestor, depth) => node.path[depth] === ancestor));
+    if (match) {
+      path = match.path;
+    }
+  });
+  return path;
+}
+
+// True when the contact represents the area or somewhere inside it. Contacts
+// with no known area (national offices) only match when no area is chosen
+export function contactInArea(index, contact, areaPath) {
+  if (areaPath.length === 0) return true;
+  const path = contactArea(index, contact);
+  if (path.length === 0) return false;
+  const shared = Math.min(path.length, areaPath.length);
+  for (let depth = 0; depth < shared; depth++) {
+    if (path[depth] !== areaPath[depth]) return false;
+  }
+  return true;
+}
+
+export function filterContactsByArea(index, contacts, areaPath) {
+  return contacts.filter(contact => contactInArea(index, contact, areaPath));
+}
+
+export function describeArea(index, areaPath) {
+  return areaPath.map(node => {
+    const level = index.levels.find(l => l.key === node.level);
+    return `${node.name} ${level?.label || ''}`.trim();
+  }).join(' › ');
+}
@@ -0,0 +1,132 @@
+// emlExport.js
+// mailto: links can't carry attachments, so an email can also be downloaded as
+// a .eml file: a MIME message (RFC 5322 / 2045-2047 / 2231) with the letter and
+// its attachments that any mail client opens, ready to send. Attachments are
+// the stored { name, type, content } records, content being base64.
+
+const CRLF = '\r\n';
+const LINE_LENGTH = 76;
+
+// UTF-8 text as base64
+function encodeText(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+// Base64 in lines of 76 characters, as MIME requires
+function wrapBase64(base64) {
+  const clean = String(base64 || '').replace(/\s+/g, '');
+  const lines = [];
+  for (let i = 0; i < clean.length; i += LINE_LENGTH) {
+    lines.push(clean.slice(i, i + LINE_LENGTH));
+  }
+  return lines.join(CRLF);
+}
+
+const isPlainAscii = (text) => /^[\x20-\x7e]*$/.test(text);
+
+// RFC 2047 encoded words for header text that isn't plain ASCII, split so no
+// word is longer than 75 characters or cuts a character in half
+function encodeHeader(text) {
+  const value = String(text || '');
+  if (isPlainAscii(value)) return value;
+
+  const words = [];
+  let chunk = '';
+  for (const character of value) {
+    if (new TextEncoder().encode(chunk + character).length > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += character;
+  }
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${encodeText(word)}?=`).join(`${CRLF} `);
+}
+
+// Content-Type and Content-Disposition parameters for a file name, with the
+// RFC 2231 form for names that aren't plain ASCII
+function fileNameParameters(name) {
+  const value = String(name || 'attachment');
+  if (isPlainAscii(value) && !/["\\]/.test(value)) {
+    return { type: `name="${value}"`, disposition: `filename="${value}"` };
+  }
+  const encoded = encodeURIComponent(value).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return { type: `name="${encodeHeader(value)}"`, disposition: `filename*=UTF-8''${encoded}` };
+}
+
+function formatAddress({ name, email }) {
+  if (!name) return email;
+  return isPlainAscii(name) ? `"${name.replace(/["\\]/g, '\\$&')}" <${email}>` : `${encodeHeader(name)} <${email}>`;
+}
+
+const randomToken = () => `${Date.now().toString(36)}.${Math.random().toString(36).slice(2, 12)}`;
+
+// The message as text with CRLF line endings. `placement` puts the addresses
+// in To, Cc or Bcc as for mail links; `from` is { name, email } when known.
+// X-Unsent makes Outlook open the file as a draft with a Send button.
+export function buildEml({
+  addresses = [],
+  placement = 'to',
+  from = null,
+  subject = '',
+  body = '',
+  attachments = [],
+  date = new Date()
+}) {
+  const boundary = `mbogi-${randomToken()}`;
+  const headerName = { to: 'To', cc: 'Cc', bcc: 'Bcc' }[placement];
+  if (!headerName) {
+    throw new Error(`Invalid recipient placement: ${placement}`);
+  }
+
+  const headers = [
+    'MIME-Version: 1.0',
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${randomToken()}@system-ya-mbogi>`,
+    from?.email && `From: ${formatAddress(from)}`,
+    addresses.length > 0 && `${headerName}: ${addresses.join(`,${CRLF} `)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    'X-Unsent: 1'
+  ].filter(Boolean);
+
+  const text = [
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(encodeText(body.replace(/\r?\n/g, CRLF)))
+  ];
+
+  if (attachments.length === 0) {
+    return [...headers, ...text, ''].join(CRLF);
+  }
+
+  const parts = attachments.map(attachment => {
+    const fileName = fileNameParameters(attachment.name);
+    return [
+      `Content-Type: ${attachment.type || 'application/octet-stream'}; ${fileName.type}`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; ${fileName.disposition}`,
+      '',
+      wrapBase64(attachment.content)
+    ];
+  });
+
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    'This is a multi-part message in MIME format.',
+    ...[text, ...parts].flatMap(part => [`--${boundary}`, ...part]),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
+
+// A file name for the download made from the subject
+export function emlFileName(subject) {
+  const base = String(subject || '').replace(/[^\p{L}\p{N} _-]+/gu, '').trim().replace(/\s+/g, '-').slice(0, 60);
+  return `${base || 'email'}.eml`;
+}
@@ -0,0 +1,170 @@
+// forkSources.js
+import { GitHubAdapter } from './adapters/githubAdapter.js';
+
+const STORAGE_KEY = 'mbogi-fork-sources';
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const env = import.meta.env || {};
+
+// The repository every write goes to. Mirrors are only ever read
+export const HOME_ORIGIN = 'home';
+
+// Accepts "owner/repo", "owner/repo#branch" or a github.com URL of the repository
+export function parseSource(input) {
+  const text = String(input || '').trim()
+    .replace(/^https?:\/\/(www\.)?github\.com\//i, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+  const [repoPath, hashBranch] = text.split('#');
+  const [owner, repo, tree, ...branchParts] = repoPath.split('/');
+
+  if (!NAME_PATTERN.test(owner || '') || !NAME_PATTERN.test(repo || '')) {
+    throw new Error('Enter a repository as owner/repo or a GitHub link to it');
+  }
+
+  // github.com/owner/repo/tree/<branch> links name a branch too
+  const branch = hashBranch || (tree === 'tree' && branchParts.length > 0 ? branchParts.join('/') : null);
+  return { id: `${owner}/${repo}`.toLowerCase(), owner, repo, branch };
+}
+
+// VITE_FORK_SOURCES / MBOGI_FORK_SOURCES: comma separated, in parseSource format
+export function parseSourceList(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap(entry => {
+      try {
+        return [parseSource(entry)];
+      } catch (error) {
+        console.warn(`Ignoring fork source "${entry}":`, error.message);
+        return [];
+      }
+    });
+}
+
+// Read-only view of a fork through the GitHub API. Mirrors share the HTTP
+// cache and the request scheduler (and so the quota) with the home repository
+export function createMirrorAdapter(source, { token } = {}) {
+  return new GitHubAdapter({
+    token,
+    owner: source.owner,
+    repo: source.repo,
+    branch: source.branch
+  });
+}
+
+// The forks this device reads from besides its own repository. The list is
+// kept in localStorage, seeded from the deployment's defaults the first time,
+// so one taken down repository does not take the campaign with it.
+export class ForkSources {
+  constructor({ defaults = [], home = null } = {}) {
+    this.defaults = defaults;
+    // { owner, repo } of the writable repository, which cannot be added as a mirror
+    this.home = home;
+    this.memory = null;
+    this.listeners = new Set();
+  }
+
+  list() {
+    if (this.memory) {
+      return this.memory;
+    }
+
+    try {
+      const stored = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+      this.memory = stored ? JSON.parse(stored) : this.defaults;
+    } catch (error) {
+      console.warn('Could not read fork sources:', error);
+      this.memory = this.defaults;
+    }
+    return this.memory;
+  }
+
+  save(sources) {
+    this.memory = sources;
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(sources));
+      }
+    } catch (error) {
+      console.warn('Could not save fork sources:', error);
+    }
+    this.notify();
+    return sources;
+  }
+
+  isHome(source) {
+    return Boolean(this.home) &&
+      `${this.home.owner}/${this.home.repo}`.toLowerCase() === source.id;
+  }
+
+  add(input) {
+    const source = parseSource(input);
+    if (this.isHome(source)) {
+      throw new Error(`${source.owner}/${source.repo} is already the home repository`);
+    }
+    if (this.list().some(existing => existing.id === source.id)) {
+      throw new Error(`${source.owner}/${source.repo} is already a source`);
+    }
+
+    this.save([...this.list(), { ...source, addedAt: new Date().toISOString() }]);
+    return source;
+  }
+
+  remove(id) {
+    this.save(this.list().filter(source => source.id !== id));
+  }
+
+  // Back to the deployment's defaults
+  reset() {
+    this.save(this.defaults);
+  }
+
+  // Calls listener with the new list on every change, returns the unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const sources = this.list();
+    this.listeners.forEach(listener => {
+      try {
+        listener(sources);
+      } catch (error) {
+        console.error('Fork source listener failed:', error);
+      }
+    });
+  }
+}
+
+// Entries listed by several repositories, one per id. The home copy wins,
+// otherwise the most recently updated one; `origins` names every repository
+// holding the entry. `results` is [{ origin, entries }], home first
+export function mergeOriginEntries(results) {
+  const merged = new Map();
+
+  results.forEach(({ origin, entries }) => {
+    entries.forEach(entry => {
+      const current = merged.get(entry.id);
+      if (!current) {
+        merged.set(entry.id, { ...entry, origin, origins: [origin] });
+        return;
+      }
+
+      const origins = [...current.origins, origin];
+      const newer = current.origin !== HOME_ORIGIN &&
+        new Date(entry.updatedAt || 0).getTime() > new Date(current.updatedAt || 0).getTime();
+      merged.set(entry.id, newer ? { ...entry, origin, origins } : { ...current, origins });
+    });
+  });
+
+  return Array.from(merged.values());
+}
+
+export const forkSources = new ForkSources({
+  defaults: parseSourceList(env.VITE_FORK_SOURCES),
+  home: env.VITE_GITHUB_USERNAME && env.VITE_REPO_NAME
+    ? { owner: env.VITE_GITHUB_USERNAME, repo: env.VITE_REPO_NAME }
+    : null
+});
@@ -0,0 +1,361 @@
+// forkSync.js
+import { INDEX_FILE, isIndexFile } from './indexes.js';
+import { ContentValidator } from './githubStorage.js';
+
+const SYNC_STATE_DIR = 'data/metadata/sync';
+
+export const SYNC_STATUS = {
+  NEW: 'new',
+  CHANGED: 'changed',
+  CONFLICT: 'conflict'
+};
+
+export const SYNC_MODES = {
+  COMMIT: 'commit',
+  PULL_REQUEST: 'pull-request'
+};
+
+// Who may edit or delete a record is decided here, not in the fork: a copied
+// record keeps this repository's password hashes, or has none if it had none
+const CREDENTIAL_FIELDS = ['adminHash', 'adminSalt', 'passwordHash', 'passwordSalt'];
+
+const time = value => new Date(value || 0).getTime();
+
+// Conflicts, and folders the fork edited (a new name or a new target address
+// redirects every letter sent from here), are only copied when picked
+export function needsReview(item) {
+  return item.status === SYNC_STATUS.CONFLICT ||
+    (item.status === SYNC_STATUS.CHANGED && item.kind === 'folder');
+}
+
+// Throws unless the item and the fork's record are what plan() could have
+// produced: uuid ids, paths built from them and content this app would accept
+function validateForkRecord(item, record) {
+  ContentValidator.validateId(item.id);
+  ContentValidator.validateId(item.folderId, 'folder id');
+  const paths = item.kind === 'folder'
+    ? [`data/folders/${item.id}.json`, `data/silent/folders/${item.id}.json`]
+    : [`data/emails/${item.folderId}/${item.id}.json`];
+  if (!paths.includes(item.path) || (item.homePath && !paths.includes(item.homePath))) {
+    throw new Error(`Invalid path for ${item.kind} ${item.id}`);
+  }
+  if (record.id !== item.id || (item.kind === 'email' && record.folderId && record.folderId !== item.folderId)) {
+    throw new Error(`Record does not match its path ${item.path}`);
+  }
+
+  if (item.kind === 'folder') {
+    ContentValidator.validateFolder(record);
+  } else {
+    ContentValidator.validateEmail(record);
+    (record.attachments || []).forEach(attachment => ContentValidator.validateAttachment(attachment));
+  }
+}
+
+// What was taken from a fork last time, kept in the home repository so every
+// device sees the same history
+export function syncStatePath(source) {
+  return `${SYNC_STATE_DIR}/${source.owner}__${source.repo}.json`.toLowerCase();
+}
+
+// Does the fork keep its data the way this app does?
+export async function checkForkLayout(adapter) {
+  const data = await adapter.list('data');
+  if (!data) {
+    return { compatible: false, reason: 'No data/ directory' };
+  }
+
+  // New folders start out in data/silent/folders, approved ones in data/folders
+  const directories = new Set(data.filter(entry => entry.type === 'dir').map(entry => entry.name));
+  if (!directories.has('folders') && !directories.has('silent')) {
+    return { compatible: false, reason: 'data/ has no folders' };
+  }
+
+  const folders = await adapter.list('data/folders') || [];
+  return {
+    compatible: true,
+    folderCount: folders.filter(entry => entry.type === 'file' && entry.name.endsWith('.json') && !isIndexFile(entry.name)).length
+  };
+}
+
+// The fork's record with the credential fields of the copy stored here
+function keepCredentials(forkRecord, homeRecord) {
+  const record = { ...forkRecord };
+  CREDENTIAL_FIELDS.forEach(field => {
+    if (homeRecord[field] === undefined) {
+      delete record[field];
+    } else {
+      record[field] = homeRecord[field];
+    }
+  });
+  return record;
+}
+
+// Plain text summary of a plan, for the sync screen and pull request bodies
+export function formatSyncReport(plan) {
+  const lines = [`Sync from ${plan.source.owner}/${plan.source.repo}, checked ${plan.checkedAt}`];
+  if (plan.lastSyncedAt) {
+    lines.push(`Last synced ${plan.lastSyncedAt}`);
+  }
+
+  Object.values(SYNC_STATUS).forEach(status => {
+    const items = plan.items.filter(item => item.status === status);
+    if (items.length === 0) return;
+    lines.push('', `${status} (${items.length}):`);
+    items.forEach(item => lines.push(`- ${item.kind} "${item.title}" (${item.path})`));
+  });
+
+  if (plan.items.length === 0) {
+    lines.push('', 'Nothing new since the last sync.');
+  }
+  return lines.join('\n');
+}
+
+// Finds the forks of this repository that hold data and copies what they have
+// that this repository does not: new folders and emails, and records edited in
+// the fork since the last sync. A record edited on both sides is a conflict and
+// is only taken when explicitly selected.
+export class ForkSync {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // Forks in the network with their layout checked. Forks never pushed to since
+  // they were made hold nothing of their own and are not checked
+  async discover() {
+    if (typeof this.storage.adapter?.listForks !== 'function') {
+      throw new Error('Fork discovery needs the GitHub backend');
+    }
+
+    const forks = await this.storage.adapter.listForks();
+    return Promise.all(forks.map(async fork => {
+      const source = {
+        id: `${fork.owner}/${fork.repo}`.toLowerCase(),
+        owner: fork.owner,
+        repo: fork.repo,
+        branch: fork.branch
+      };
+      if (time(fork.pushedAt) <= time(fork.createdAt)) {
+        return { ...fork, source, compatible: false, reason: 'No commits since it was forked' };
+      }
+
+      try {
+        return { ...fork, source, ...await checkForkLayout(this.storage.mirrorAdapter(source)) };
+      } catch (error) {
+        return { ...fork, source, compatible: false, reason: error.message };
+      }
+    }));
+  }
+
+  // Folder summaries by id with the path of the record, active copies first
+  async loadFolderMap(storage) {
+    const [active, silent] = await Promise.all([
+      storage.loadIndexEntries(`data/folders/${INDEX_FILE}`),
+      storage.loadIndexEntries(`data/silent/folders/${INDEX_FILE}`)
+    ]);
+
+    const folders = new Map();
+    active.forEach(entry => folders.set(entry.id, { entry, path: `data/folders/${entry.id}.json` }));
+    silent.forEach(entry => {
+      if (!folders.has(entry.id)) {
+        folders.set(entry.id, { entry, path: `data/silent/folders/${entry.id}.json` });
+      }
+    });
+    return folders;
+  }
+
+  // One report item, or null when the home copy is as new as the fork's
+  compare({ kind, title, path, forkEntry, home, state }) {
+    const base = {
+      kind,
+      title,
+      path,
+      homePath: home?.path || null,
+      forkUpdatedAt: forkEntry.updatedAt || null,
+      homeUpdatedAt: home?.entry.updatedAt || null
+    };
+
+    if (!home) {
+      return { ...base, status: SYNC_STATUS.NEW };
+    }
+
+    // An approval in the fork moves the folder from silent/ to folders/
+    const promoted = home.path !== path && path.startsWith('data/folders/');
+    const forkTime = time(forkEntry.updatedAt);
+    const homeTime = time(home.entry.updatedAt);
+    const lastSync = time(state.syncedAt);
+    // Left out last time and neither side has settled it since
+    const stillConflicting = state.conflicts?.[path] === forkEntry.updatedAt && forkTime !== homeTime;
+
+    if (!promoted && !stillConflicting) {
+      // Same copy, or only this repository moved on since the last sync
+      if (forkTime === homeTime || forkTime <= lastSync) {
+        return null;
+      }
+      // Never synced: nothing to tell edits apart by, keep whichever copy is newer
+      if (lastSync === 0 && forkTime < homeTime) {
+        return null;
+      }
+    }
+
+    const editedHere = lastSync > 0 && homeTime > lastSync;
+    return {
+      ...base,
+      status: editedHere || stillConflicting ? SYNC_STATUS.CONFLICT : SYNC_STATUS.CHANGED
+    };
+  }
+
+  // Everything the fork has that this repository does not, as a report
+  async plan(source) {
+    const checkedAt = new Date().toISOString();
+    const mirror = this.storage.readingFrom(this.storage.mirrorAdapter(source));
+    const state = await this.storage.loadData(syncStatePath(source)) || {};
+    const [forkFolders, homeFolders] = await Promise.all([
+      this.loadFolderMap(mirror),
+      this.loadFolderMap(this.storage)
+    ]);
+
+    const items = [];
+    for (const [id, { entry, path }] of forkFolders) {
+      const folderItem = this.compare({
+        kind: 'folder',
+        title: entry.name,
+        path,
+        forkEntry: entry,
+        home: homeFolders.get(id),
+        state
+      });
+      if (folderItem) {
+        items.push({ ...folderItem, id, folderId: id });
+      }
+
+      const emailIndex = `data/emails/${id}/${INDEX_FILE}`;
+      const [forkEmails, homeEmails] = await Promise.all([
+        mirror.loadIndexEntries(emailIndex),
+        this.storage.loadIndexEntries(emailIndex)
+      ]);
+      forkEmails.forEach(email => {
+        const emailPath = `data/emails/${id}/${email.id}.json`;
+        const homeEmail = homeEmails.find(candidate => candidate.id === email.id);
+        const emailItem = this.compare({
+          kind: 'email',
+          title: email.subject,
+          path: emailPath,
+          forkEntry: email,
+          home: homeEmail ? { entry: homeEmail, path: emailPath } : null,
+          state
+        });
+        if (emailItem) {
+          items.push({ ...emailItem, id: email.id, folderId: id });
+        }
+      });
+    }
+
+    return {
+      source,
+      checkedAt,
+      lastSyncedAt: state.syncedAt || null,
+      items
+    };
+  }
+
+  // Copy the selected items (by default everything that needs no review) into
+  // this repository, as one direct commit or as a pull request for review.
+  // Items that fail validation are left out and listed in `rejected`
+  async apply(plan, {
+    paths = plan.items.filter(item => !needsReview(item)).map(item => item.path),
+    mode = SYNC_MODES.COMMIT
+  } = {}) {
+    const { source } = plan;
+    const selected = plan.items.filter(item => paths.includes(item.path));
+    const mirror = this.storage.readingFrom(this.storage.mirrorAdapter(source));
+
+    let target = this.storage;
+    let branch = null;
+    if (mode === SYNC_MODES.PULL_REQUEST) {
+      if (this.storage.adapter?.name !== 'github') {
+        throw new Error('Pull requests need the GitHub backend');
+      }
+      branch = `sync/${source.owner}-${source.repo}-${Date.now()}`.toLowerCase();
+      target = this.storage.readingFrom(await this.storage.adapter.createBranch(branch));
+    }
+
+    const transaction = target.transaction();
+    const applied = [];
+    const rejected = [];
+    for (const item of selected) {
+      const forkRecord = await mirror.loadData(item.path);
+      if (!forkRecord) {
+        console.warn(`${item.path} is gone from ${source.id}, skipping`);
+        continue;
+      }
+
+      let attachments;
+      try {
+        validateForkRecord(item, forkRecord);
+        attachments = item.kind === 'email'
+          ? await Promise.all((forkRecord.attachments || []).map(async ({ name }) => {
+            const attachment = await mirror.loadOwnAttachment(item.folderId, item.id, name);
+            if (attachment) {
+              ContentValidator.validateAttachment({ ...attachment, name });
+            }
+            return { name, attachment };
+          }))
+          : [];
+      } catch (error) {
+        console.warn(`Not copying ${item.path} from ${source.id}:`, error.message);
+        rejected.push({ path: item.path, error: error.message });
+        continue;
+      }
+
+      const homeRecord = item.homePath ? await target.loadData(item.homePath) : null;
+      const record = homeRecord ? target.sealRecord(keepCredentials(forkRecord, homeRecord)) : forkRecord;
+
+      target.stageIndexUpdate(transaction, item.path, record);
+      transaction.put(item.path, record);
+
+      // Promoted in the fork: drop the silent copy here
+      if (item.homePath && item.homePath !== item.path) {
+        target.stageIndexUpdate(transaction, item.homePath, null);
+        transaction.delete(item.homePath);
+      }
+
+      const copied = [];
+      attachments.filter(({ attachment }) => attachment).forEach(({ name, attachment }) => {
+        const attachmentPath = `data/attachments/${item.folderId}/${item.id}/${name}`;
+        transaction.put(attachmentPath, target.sealRecord(attachment));
+        copied.push(attachmentPath);
+      });
+      if (copied.length > 0) {
+        target.stageFolderRefs(transaction, item.folderId, { attachments: copied });
+      }
+      applied.push(item.path);
+    }
+
+    // Conflicts left out are remembered so they are not taken as plain changes next time
+    const conflicts = Object.fromEntries(
+      plan.items
+        .filter(item => item.status === SYNC_STATUS.CONFLICT && !applied.includes(item.path))
+        .map(item => [item.path, item.forkUpdatedAt])
+    );
+    transaction.put(syncStatePath(source), {
+      source: { owner: source.owner, repo: source.repo, branch: source.branch || null },
+      syncedAt: plan.checkedAt,
+      applied,
+      conflicts
+    });
+
+    const title = `Sync ${applied.length} records from ${source.owner}/${source.repo}`;
+    await transaction.commit(title);
+
+    if (mode !== SYNC_MODES.PULL_REQUEST) {
+      return { mode, applied, rejected };
+    }
+
+    const pullRequest = await this.storage.adapter.createPullRequest({
+      title,
+      body: formatSyncReport({ ...plan, items: selected }),
+      head: branch
+    });
+    return { mode, applied, rejected, branch, url: pullRequest?.html_url || null };
+  }
+}
@@ -0,0 +1,279 @@
+// fsck.js
+import { COUNTRY_FOLDER_INDEX_FILE, indexTargetFor, isIndexFile, parseIndex } from './indexes.js';
+import { recordTypeFor, RECORD_TYPES } from './schema.js';
+
+export const REPAIR_ACTIONS = {
+  // Remove a record nothing can reach any more, with its index entry
+  DELETE: 'delete',
+  // Move a record that fails its checksum to data/quarantine/ so it stops
+  // breaking list views but is kept for someone to look at
+  QUARANTINE: 'quarantine',
+  // Drop an index entry whose record is gone
+  UNINDEX: 'unindex',
+  // Add the index entry of a record the index does not list
+  INDEX: 'index'
+};
+
+const QUARANTINE_DIR = 'data/quarantine';
+
+const EMAIL_PATTERN = /^data\/emails\/([^/]+)\/([^/]+)\.json$/;
+const COUNTRY_ATTACHMENT_PATTERN = /^data\/attachments\/countries\/([^/]+)\/([^/]+)\/[^/]+$/;
+const ATTACHMENT_PATTERN = /^data\/attachments\/([^/]+)\/([^/]+)\/[^/]+$/;
+
+export function quarantinePath(path) {
+  return `${QUARANTINE_DIR}/${path.replace(/^data\//, '')}`;
+}
+
+// The record an index entry stands for
+function recordPathFor(indexPath, id) {
+  const dirPath = indexPath.slice(0, indexPath.lastIndexOf('/'));
+  return indexPath.endsWith(`/${COUNTRY_FOLDER_INDEX_FILE}`)
+    ? `${dirPath}/${id}/folder.json`
+    : `${dirPath}/${id}.json`;
+}
+
+// The email a stored attachment file belongs to
+function attachmentOwnerPath(path) {
+  let match = path.match(COUNTRY_ATTACHMENT_PATTERN);
+  if (match) {
+    return `data/countries/${match[1]}/${match[2]}.json`;
+  }
+  match = path.match(ATTACHMENT_PATTERN);
+  return match ? `data/emails/${match[1]}/${match[2]}.json` : null;
+}
+
+// Plain text version of an audit report
+export function formatAuditReport(report) {
+  const lines = [
+    `Checked ${report.scanned} records on ${report.checkedAt}: ` +
+    `${report.corrupt.length} corrupt, ${report.orphans.length} orphaned, ` +
+    `${report.indexProblems.length} index problems`
+  ];
+
+  if (report.corrupt.length > 0) {
+    lines.push('', 'Corrupt:');
+    report.corrupt.forEach(({ path, error }) => lines.push(`  ${path}: ${error}`));
+  }
+  if (report.orphans.length > 0) {
+    lines.push('', 'Orphaned:');
+    report.orphans.forEach(({ path, reason }) => lines.push(`  ${path}: ${reason}`));
+  }
+  if (report.indexProblems.length > 0) {
+    lines.push('', 'Indexes:');
+    report.indexProblems.forEach(({ indexPath, path, reason }) => lines.push(`  ${indexPath} -> ${path}: ${reason}`));
+  }
+  if (report.repairs.length > 0) {
+    lines.push('', 'Repair plan:');
+    report.repairs.forEach(({ action, path }) => lines.push(`  ${action} ${path}`));
+  }
+  return lines.join('\n');
+}
+
+// Walks data/, verifies every checksum and finds records nothing points at any
+// more: emails of deleted folders, attachments without an email, share links
+// to deleted folders and versions of deleted emails. The report comes with a
+// repair plan; nothing is changed until repair() is called with it.
+export class RepositoryAudit {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // Parse and verify one record file; returns the record or throws
+  async readRecord(path) {
+    const response = await this.storage.adapter.read(path);
+    if (!response) {
+      return null;
+    }
+    const data = JSON.parse(response.content);
+    if (data.checksum && data.checksum !== this.storage.security.generateChecksum({ ...data, checksum: '' })) {
+      throw new Error('Data integrity check failed');
+    }
+    return data;
+  }
+
+  async run() {
+    const checkedAt = new Date().toISOString();
+    const paths = await this.storage.listTree('data');
+    const existing = new Set(paths);
+
+    const records = new Map();
+    const corrupt = [];
+    for (const path of paths) {
+      const type = recordTypeFor(path);
+      if (!type) {
+        continue;
+      }
+      try {
+        const record = await this.readRecord(path);
+        if (record) {
+          records.set(path, { type, record });
+        }
+      } catch (error) {
+        corrupt.push({ path, type, error: error.message });
+      }
+    }
+
+    // The same live folders as the garbage collector, forks included
+    const folderIds = await this.storage.loadLiveFolderIds();
+
+    const orphans = [];
+    const orphanedEmails = new Set();
+    for (const path of paths) {
+      const type = recordTypeFor(path);
+      const record = records.get(path)?.record;
+
+      if (type === RECORD_TYPES.EMAIL) {
+        const [, folderId] = path.match(EMAIL_PATTERN);
+        if (!folderIds.has(folderId)) {
+          orphans.push({ kind: type, path, reason: `folder ${folderId} no longer exists` });
+          orphanedEmails.add(path);
+        }
+      } else if (type === RECORD_TYPES.SHARE_LINK && record && !folderIds.has(record.folderId)) {
+        orphans.push({ kind: type, path, reason: `folder ${record.folderId} no longer exists` });
+      }
+    }
+
+    for (const path of paths) {
+      const type = recordTypeFor(path);
+      if (type === RECORD_TYPES.EMAIL_VERSION) {
+        const record = records.get(path)?.record;
+        const folderId = path.split('/')[2];
+        const originalPath = `data/emails/${folderId}/${record?.originalEmailId}.json`;
+        if (record && (!existing.has(originalPath) || orphanedEmails.has(originalPath))) {
+          orphans.push({ kind: type, path, reason: `original email ${record.originalEmailId} no longer exists` });
+        }
+      } else if (path.startsWith('data/attachments/')) {
+        const ownerPath = attachmentOwnerPath(path);
+        if (ownerPath && (!existing.has(ownerPath) || orphanedEmails.has(ownerPath))) {
+          orphans.push({ kind: RECORD_TYPES.ATTACHMENT, path, reason: `email ${ownerPath} no longer exists` });
+        }
+      }
+    }
+
+    const scanned = records.size + corrupt.length;
+    const indexProblems = await this.checkIndexes(paths, existing, records, corrupt);
+
+    const report = { checkedAt, scanned, corrupt, orphans, indexProblems };
+    return { ...report, repairs: this.planRepairs(report) };
+  }
+
+  // Index entries without a record, and records missing from an index that exists
+  async checkIndexes(paths, existing, records, corrupt) {
+    const problems = [];
+    const indexed = new Map();
+
+    for (const indexPath of paths.filter(path => isIndexFile(path.slice(path.lastIndexOf('/') + 1)))) {
+      let entries;
+      try {
+        entries = parseIndex((await this.storage.adapter.read(indexPath))?.content).entries;
+      } catch (error) {
+        corrupt.push({ path: indexPath, type: 'index', error: error.message });
+        continue;
+      }
+
+      indexed.set(indexPath, new Set(entries.map(entry => entry.id)));
+      entries.forEach(entry => {
+        const path = recordPathFor(indexPath, entry.id);
+        if (!existing.has(path)) {
+          problems.push({ indexPath, path, listed: true, reason: 'listed in the index but missing' });
+        }
+      });
+    }
+
+    records.forEach((_, path) => {
+      const target = indexTargetFor(path);
+      if (target && indexed.has(target.indexPath) && !indexed.get(target.indexPath).has(target.id)) {
+        problems.push({ indexPath: target.indexPath, path, listed: false, reason: 'missing from the index' });
+      }
+    });
+    return problems;
+  }
+
+  planRepairs({ corrupt, orphans, indexProblems }) {
+    const repairs = [];
+    corrupt.forEach(({ path, type, error }) => {
+      // A broken index is dropped; list views scan the directory until it is rewritten
+      repairs.push(type === 'index'
+        ? { action: REPAIR_ACTIONS.DELETE, path, reason: error }
+        : { action: REPAIR_ACTIONS.QUARANTINE, path, reason: error });
+    });
+    // One repair per path: a corrupt orphan is quarantined, not deleted
+    const planned = new Set(repairs.map(repair => repair.path));
+    orphans.forEach(({ path, reason }) => {
+      if (!planned.has(path)) {
+        planned.add(path);
+        repairs.push({ action: REPAIR_ACTIONS.DELETE, path, reason });
+      }
+    });
+
+    indexProblems.forEach(({ path, listed, reason }) => {
+      if (planned.has(path)) {
+        return;
+      }
+      repairs.push({
+        action: listed ? REPAIR_ACTIONS.UNINDEX : REPAIR_ACTIONS.INDEX,
+        path,
+        reason
+      });
+    });
+    return repairs;
+  }
+
+  // Carry out `repairs` (by default the whole plan) in commits of `batchSize`
+  async repair(report, { repairs = report.repairs, batchSize = 100 } = {}) {
+    const results = { applied: [], failed: [], commits: [] };
+
+    for (let start = 0; start < repairs.length; start += batchSize) {
+      const batch = repairs.slice(start, start + batchSize);
+      const transaction = this.storage.transaction();
+      const staged = [];
+
+      for (const repair of batch) {
+        try {
+          await this.stageRepair(transaction, repair);
+          staged.push(repair);
+        } catch (error) {
+          results.failed.push({ ...repair, error: error.message });
+        }
+      }
+
+      const message = `Repair ${staged.length} records found by the repository check`;
+      if (await transaction.commit(message)) {
+        results.commits.push({ message, records: staged.length });
+      }
+      results.applied.push(...staged);
+    }
+    return results;
+  }
+
+  async stageRepair(transaction, { action, path }) {
+    switch (action) {
+      case REPAIR_ACTIONS.DELETE:
+        this.storage.stageIndexUpdate(transaction, path, null).delete(path);
+        break;
+      case REPAIR_ACTIONS.QUARANTINE: {
+        const response = await this.storage.adapter.read(path);
+        if (!response) {
+          throw new Error('Record not found');
+        }
+        this.storage.stageIndexUpdate(transaction, path, null)
+          .put(quarantinePath(path), response.content)
+          .delete(path);
+        break;
+      }
+      case REPAIR_ACTIONS.UNINDEX:
+        this.storage.stageIndexUpdate(transaction, path, null);
+        break;
+      case REPAIR_ACTIONS.INDEX: {
+        const record = await this.storage.loadData(path);
+        if (!record) {
+          throw new Error('Record not found');
+        }
+        this.storage.stageIndexUpdate(transaction, path, record);
+        break;
+      }
+      default:
+        throw new Error(`Unknown repair action: ${action}`);
+    }
+  }
+}
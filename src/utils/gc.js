@@ -0,0 +1,221 @@
+// gc.js
+import { DELETED_FOLDERS_DIR, FOLDER_REFS_DIR, folderRefsPath, isIndexFile, parseFolderRefs } from './indexes.js';
+import { ContentValidator } from './githubStorage.js';
+
+export const GARBAGE_KINDS = {
+  SHARE_LINK: 'shareLink',
+  ATTACHMENT: 'attachment',
+  REFS: 'refs'
+};
+
+const LINKS_DIR = 'data/metadata/links';
+
+const fileNames = entries => (entries || [])
+  .filter(entry => entry.type === 'file')
+  .map(entry => entry.name);
+
+const idsOf = entries => fileNames(entries)
+  .filter(name => name.endsWith('.json') && !isIndexFile(name))
+  .map(name => name.slice(0, -'.json'.length));
+
+// Plain text version of a collection report
+export function formatGcReport(report) {
+  const counts = Object.values(GARBAGE_KINDS)
+    .map(kind => `${report.reclaimed[kind] || 0} ${kind}`)
+    .join(', ');
+  const lines = [
+    `${report.dryRun ? 'Dry run: would reclaim' : 'Reclaimed'} ${report.garbage.length} files (${counts}) on ${report.checkedAt}`
+  ];
+  report.garbage.forEach(({ path, reason }) => lines.push(`  ${path}: ${reason}`));
+  if (report.refsUpdates.length > 0) {
+    lines.push(`${report.refsUpdates.length} reverse indexes ${report.dryRun ? 'to update' : 'updated'}`);
+  }
+  if (report.commits.length > 0) {
+    lines.push(`Committed in ${report.commits.length} batches`);
+  }
+  return lines.join('\n');
+}
+
+// Finds the files a deleted folder or email left behind: share links,
+// attachment trees and reverse indexes (folderRefsPath in indexes.js), and
+// removes them in batched commits. A deep pass also opens the share links no
+// reverse index claims, for folders made before reverse indexes existed, and
+// fills in the reverse indexes of live folders as it goes.
+//
+// This repository also holds emails and attachments of folders only a fork
+// has (see GitHubStorage.commitEmail), and not every fork is known here, so a
+// folder missing from the listings is not enough. Its files are only collected
+// once it is proven deleted here: deleteFolder left a tombstone for it, or a
+// share link or reverse index with share tokens names it (both are only ever
+// written for folders of this repository). A deleted folder whose email
+// directory has filled again is in use through a fork and is left alone, as is
+// anything of a connected fork's folders. A listing that can't be had in full
+// (see GitHubAdapter.listGitTree) stops the plan before anything is deleted.
+export class GarbageCollector {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async plan({ deep = false } = {}) {
+    const checkedAt = new Date().toISOString();
+    const { adapter } = this.storage;
+    const [liveFolders, links, refsFiles, tombstones] = await Promise.all([
+      this.storage.loadLiveFolderIds(),
+      adapter.list(LINKS_DIR),
+      adapter.list(FOLDER_REFS_DIR),
+      adapter.list(DELETED_FOLDERS_DIR)
+    ]);
+
+    const linkTokens = new Set(idsOf(links));
+    const garbage = [];
+    const refsUpdates = [];
+    const refsByFolder = new Map();
+
+    // Folders proven deleted here, each with the reason it is known
+    const deletedHere = new Map();
+    const provenDeleted = (folderId, reason) => {
+      if (ContentValidator.isId(folderId) && !liveFolders.has(folderId) && !deletedHere.has(folderId)) {
+        deletedHere.set(folderId, reason);
+      }
+    };
+    idsOf(tombstones).forEach(folderId => provenDeleted(folderId, `folder ${folderId} was deleted`));
+
+    for (const folderId of idsOf(refsFiles)) {
+      const refs = parseFolderRefs((await adapter.read(folderRefsPath(folderId)))?.content, folderId);
+      refsByFolder.set(folderId, refs);
+      if (refs.shareTokens.length > 0) {
+        provenDeleted(folderId, `folder ${folderId} was deleted`);
+      }
+    }
+
+    // Share links no reverse index claims, opened one by one
+    const unclaimedLinks = [];
+    if (deep) {
+      const claimed = new Set([...refsByFolder.values()].flatMap(refs => refs.shareTokens));
+      for (const token of linkTokens) {
+        if (claimed.has(token)) {
+          continue;
+        }
+        const path = `${LINKS_DIR}/${token}.json`;
+        const link = await this.storage.loadData(path);
+        unclaimedLinks.push({ token, path, folderId: link?.folderId });
+        if (link?.folderId) {
+          provenDeleted(link.folderId, `folder ${link.folderId} was deleted`);
+        }
+      }
+    }
+
+    for (const folderId of [...deletedHere.keys()]) {
+      if (idsOf(await adapter.list(`data/emails/${folderId}`)).length > 0) {
+        deletedHere.delete(folderId);
+      }
+    }
+
+    // Reverse indexes and share links of deleted folders
+    for (const [folderId, reason] of deletedHere) {
+      const refs = refsByFolder.get(folderId);
+      if (!refs) {
+        continue;
+      }
+      refs.shareTokens
+        .filter(token => linkTokens.has(token))
+        .forEach(token => garbage.push({ kind: GARBAGE_KINDS.SHARE_LINK, path: `${LINKS_DIR}/${token}.json`, reason }));
+      garbage.push({ kind: GARBAGE_KINDS.REFS, path: folderRefsPath(folderId), reason });
+    }
+
+    // Attachments of deleted folders, and of deleted emails in live folders
+    const attachmentDirs = (await adapter.list('data/attachments') || [])
+      .filter(entry => entry.type === 'dir' && ContentValidator.isId(entry.name));
+    for (const dir of attachmentDirs) {
+      const folderId = dir.name;
+      if (deletedHere.has(folderId)) {
+        (await this.storage.listTree(dir.path)).forEach(path =>
+          garbage.push({ kind: GARBAGE_KINDS.ATTACHMENT, path, reason: deletedHere.get(folderId) })
+        );
+        continue;
+      }
+      if (!liveFolders.has(folderId)) {
+        continue;
+      }
+
+      const files = await this.storage.listTree(dir.path);
+      const emailIds = new Set(idsOf(await adapter.list(`data/emails/${folderId}`)));
+      const refs = refsByFolder.get(folderId);
+      const removed = [];
+      const unlisted = [];
+      files.forEach(path => {
+        const emailId = path.split('/')[3];
+        if (!emailIds.has(emailId)) {
+          garbage.push({ kind: GARBAGE_KINDS.ATTACHMENT, path, reason: `email ${emailId} was deleted` });
+          removed.push(path);
+        } else if (deep && !refs?.attachments.includes(path)) {
+          unlisted.push(path);
+        }
+      });
+
+      const listed = removed.filter(path => refs?.attachments.includes(path));
+      if (listed.length > 0) {
+        refsUpdates.push({ folderId, changes: { attachments: listed }, remove: true });
+      }
+      if (unlisted.length > 0) {
+        refsUpdates.push({ folderId, changes: { attachments: unlisted }, remove: false });
+      }
+    }
+
+    if (deep) {
+      const newRefs = new Map();
+      unclaimedLinks.forEach(({ token, path, folderId }) => {
+        if (deletedHere.has(folderId)) {
+          garbage.push({ kind: GARBAGE_KINDS.SHARE_LINK, path, reason: deletedHere.get(folderId) });
+        } else if (liveFolders.has(folderId)) {
+          newRefs.set(folderId, [...(newRefs.get(folderId) || []), token]);
+        }
+      });
+      newRefs.forEach((shareTokens, folderId) =>
+        refsUpdates.push({ folderId, changes: { shareTokens }, remove: false })
+      );
+    }
+
+    return { checkedAt, deep, garbage, refsUpdates };
+  }
+
+  // Delete the planned files in commits of `batchSize`; the reverse index
+  // updates go with the last one
+  async collect(plan, { batchSize = 100 } = {}) {
+    const commits = [];
+    const batches = [];
+    for (let start = 0; start < plan.garbage.length; start += batchSize) {
+      batches.push(plan.garbage.slice(start, start + batchSize));
+    }
+    if (batches.length === 0) {
+      batches.push([]);
+    }
+
+    for (const [index, batch] of batches.entries()) {
+      const transaction = this.storage.transaction();
+      batch.forEach(({ path }) => transaction.delete(path));
+      if (index === batches.length - 1) {
+        plan.refsUpdates.forEach(({ folderId, changes, remove }) =>
+          this.storage.stageFolderRefs(transaction, folderId, changes, { remove })
+        );
+      }
+
+      const message = `Collect ${batch.length} unreachable files`;
+      if (await transaction.commit(message)) {
+        commits.push({ message, files: batch.length });
+      }
+    }
+    return commits;
+  }
+
+  async run({ dryRun = true, deep = false, batchSize = 100 } = {}) {
+    const plan = await this.plan({ deep });
+    const reclaimed = {};
+    plan.garbage.forEach(({ kind }) => {
+      reclaimed[kind] = (reclaimed[kind] || 0) + 1;
+    });
+
+    const commits = dryRun ? [] : await this.collect(plan, { batchSize });
+    return { ...plan, dryRun, reclaimed, commits };
+  }
+}
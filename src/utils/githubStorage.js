@@ -1,6 +1,36 @@
 //githubStorage.js
 import { v4 as uuidv4 } from 'uuid';
 import CryptoJS from 'crypto-js';
+import { createStorageAdapter } from './adapters/index.js';
+import { StorageTransaction } from './storageTransaction.js';
+import { ProxyStorage } from './proxyStorage.js';
+import { HOME_ORIGIN, createMirrorAdapter, forkSources, mergeOriginEntries } from './forkSources.js';
+import {
+  COUNTRY_FOLDER_INDEX_FILE,
+  INDEX_FILE,
+  deletedFolderPath,
+  folderRefsPath,
+  indexTargetFor,
+  isIndexFile,
+  mergeFolderRefs,
+  parseFolderRefs,
+  parseIndex,
+  replaceIndexEntry,
+  serializeFolderRefs,
+  serializeIndex,
+  summarizeCountryFolder,
+  summarizeEmail,
+  summarizeFolder
+} from './indexes.js';
+import { RECORD_TYPES, SCHEMA_VERSIONS, migrateRecord, recordTypeFor } from './schema.js';
+import { contactsOf, mergeContacts, normalizeContact, validateContact } from './contacts.js';
+import { divisionsPath } from './divisions.js';
+import { pickDefaultVersion } from './versionRanking.js';
+
+// This module also runs in Node (server/proxyServer.js), where there is no
+// window and no Vite env
+const isBrowser = typeof window !== 'undefined';
+const env = import.meta.env || {};
 
 // Constants for security and rate limiting
 const RATE_LIMITS = {
@@ -11,6 +41,13 @@ const RATE_LIMITS = {
   DOWNLOAD_ATTACHMENT: { max: 100, window: 3600000 }
 };
 
+// Likes an email remembers by id, so a like replayed after a lost response
+// (see outbox.js) is not counted twice
+const RECENT_LIKE_IDS = 100;
+
+// How often checkRateLimit drops clients whose window has passed
+const RATE_LIMIT_SWEEP_INTERVAL = 60000;
+
 const FOLDER_STATUS = {
   SILENT: 'silent',
   ACTIVE: 'active',
@@ -30,7 +67,14 @@ class SecurityManager {
 
   constructor() {
     this.rateLimitCache = new Map();
+    // Rejected requests per client and action, written as one summary each
+    // (onRateLimited) once their window has passed; see sweepRateLimits
+    this.rateLimitRejections = new Map();
+    this.lastRateLimitSweep = 0;
+    this.rateLimitSweepTimer = null;
     this.blacklistedIPs = new Set();
+    // Off for operators working with the repository token, e.g. the mbogi CLI
+    this.rateLimited = true;
   }
 
   // Generate a secure folder password
@@ -93,13 +137,6 @@ class SecurityManager {
 
   verifyPassword(password, storedHash, storedSalt) {
     try {
-      console.log('Verification Process Details:');
-      console.log('Input Password:', password);
-      console.log('Input Password Length:', password.length);
-      console.log('Input Password Char Codes:', 
-        Array.from(password).map(char => char.charCodeAt(0))
-      );
-
       // Parse salt from hex string
       const salt = CryptoJS.enc.Hex.parse(storedSalt);
 
@@ -110,29 +147,7 @@ class SecurityManager {
         hasher: CryptoJS.algo.SHA512  // Exact hashing algorithm
       });
 
-      const computedHashStr = hash.toString();
-
-      console.log('Stored Hash:', storedHash);
-      console.log('Computed Hash:', computedHashStr);
-      console.log('Hash Lengths:', {
-        stored: storedHash.length,
-        computed: computedHashStr.length
-      });
-
-      const isValid = computedHashStr === storedHash;
-      console.log('Password Verification Result:', isValid);
-
-      // Detailed logging for failed verifications
-      if (!isValid) {
-        console.error('Verification Failed Details:', {
-          inputPassword: password,
-          storedHash,
-          computedHash: computedHashStr,
-          salt: storedSalt
-        });
-      }
-
-      return isValid;
+      return hash.toString() === storedHash;
     } catch (error) {
       console.error('Password Verification Error:', error);
       return false;
@@ -144,20 +159,32 @@ class SecurityManager {
     return CryptoJS.SHA256(JSON.stringify(data)).toString();
   }
 
-  // Modified rate limiting to use anonymous tokens instead of IPs
-  async checkRateLimit(action) {
+  // Sliding window limit per client. The IP is only used hashed; without one
+  // the anonymous session token stands in for it
+  async checkRateLimit(ip, action) {
     const now = Date.now();
-    const limit = this.RATE_LIMITS[action];
+    const limit = RATE_LIMITS[action];
+
+    if (!limit || !this.rateLimited) return true;
 
-    if (!limit) return true;
+    if (now - this.lastRateLimitSweep >= RATE_LIMIT_SWEEP_INTERVAL) {
+      this.sweepRateLimits(now);
+    }
 
-    // Use session-based anonymous tracking instead of IP
-    const sessionKey = `rateLimit:${action}:${this.getAnonymousToken()}`;
+    const client = ip ? CryptoJS.SHA256(String(ip)).toString() : this.getAnonymousToken();
+    const sessionKey = `rateLimit:${action}:${client}`;
     const requests = this.rateLimitCache.get(sessionKey) || [];
     const recentRequests = requests.filter(time => now - time < limit.window);
 
+    // Only counted here: a flood of rejections must not become a flood of commits
     if (recentRequests.length >= limit.max) {
-      await this.flagSuspiciousIP(action);
+      const rejected = this.rateLimitRejections.get(sessionKey);
+      if (rejected) {
+        rejected.attempts += 1;
+      } else {
+        this.rateLimitRejections.set(sessionKey, { action, attempts: 1, since: now, window: limit.window });
+        this.scheduleRateLimitSweep(limit.window);
+      }
       return false;
     }
 
@@ -166,6 +193,49 @@ class SecurityManager {
     return true;
   }
 
+  // Forget clients whose last request is older than the window, and hand the
+  // rejection counts of windows that have passed to onRateLimited. Its writes
+  // are not waited for and their failures only logged
+  sweepRateLimits(now = Date.now()) {
+    this.lastRateLimitSweep = now;
+    this.rateLimitCache.forEach((requests, key) => {
+      const window = RATE_LIMITS[key.split(':')[1]]?.window || 0;
+      if (now - requests[requests.length - 1] >= window) {
+        this.rateLimitCache.delete(key);
+      }
+    });
+
+    this.rateLimitRejections.forEach((rejected, key) => {
+      if (now - rejected.since < rejected.window) {
+        return;
+      }
+      this.rateLimitRejections.delete(key);
+      if (this.onRateLimited) {
+        Promise.resolve()
+          .then(() => this.onRateLimited(rejected))
+          .catch(error => console.error('Failed to record rate limit rejections:', error));
+      }
+    });
+  }
+
+  // One timer at a time, so a summary is written even if no request comes
+  // after its window; it does not keep Node processes alive
+  scheduleRateLimitSweep(delay) {
+    if (this.rateLimitSweepTimer) {
+      return;
+    }
+    this.rateLimitSweepTimer = setTimeout(() => {
+      this.rateLimitSweepTimer = null;
+      this.sweepRateLimits();
+      const pending = [...this.rateLimitRejections.values()];
+      if (pending.length > 0) {
+        const now = Date.now();
+        this.scheduleRateLimitSweep(Math.max(0, Math.min(...pending.map(({ since, window }) => since + window - now))));
+      }
+    }, delay);
+    this.rateLimitSweepTimer.unref?.();
+  }
+
   // Helper method to generate anonymous session tokens
   getAnonymousToken() {
       if (!this.anonymousToken) {
@@ -185,7 +255,9 @@ class SecurityManager {
 
 class PasswordManager {
   static STORAGE_KEY = 'securePasswords';
-  static ENCRYPTION_KEY = CryptoJS.SHA256(window.location.host + navigator.userAgent).toString();
+  static ENCRYPTION_KEY = isBrowser
+    ? CryptoJS.SHA256(window.location.host + navigator.userAgent).toString()
+    : '';
   static PREFERENCE_KEY = 'passwordSavePreference';
 
   static async savePassword(type, id, password) {
@@ -434,7 +506,50 @@ class PasswordManager {
 
 export { PasswordManager };
 
+// Folder, email and version ids as uuidv4 makes them
+const RECORD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
 class ContentValidator {
+  // Ids end up in storage paths, so ones from outside (forks, bundles) are checked
+  static isId(id) {
+    return RECORD_ID_PATTERN.test(id || '');
+  }
+
+  static validateId(id, label = 'record id') {
+    if (!ContentValidator.isId(id)) {
+      throw new Error(`Invalid ${label}`);
+    }
+  }
+
+  static validateFolder(folder) {
+    if (!folder.name || !folder.targetEmail) {
+      throw new Error('Folder name and target email are required');
+    }
+    if (folder.name.length > 200) {
+      throw new Error('name exceeds maximum size of 200 characters');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(folder.targetEmail)) {
+      throw new Error('Invalid target email');
+    }
+  }
+
+  static validateCountryFolder(countryCode, name, contacts) {
+    if (!/^[a-z]{2,3}$/i.test(countryCode || '')) {
+      throw new Error('Invalid country code');
+    }
+    if (!name || name.length > 200) {
+      throw new Error('List name is required and must be at most 200 characters');
+    }
+    ContentValidator.validateContacts(contacts);
+  }
+
+  static validateContacts(contacts) {
+    if (!Array.isArray(contacts) || contacts.length > 5000) {
+      throw new Error('Invalid contact list');
+    }
+    contacts.forEach(validateContact);
+  }
+
   static validateEmail(email) {
     const required = ['subject', 'body'];
     const maxSize = {
@@ -456,6 +571,11 @@ class ContentValidator {
     const maxSize = 10 * 1024 * 1024; // 10MB
     const allowedTypes = ['image/jpeg', 'image/png', 'application/pdf', 'text/plain'];
 
+    // The name becomes part of the storage path
+    if (!attachment.name || attachment.name.length > 255 ||
+        /[/\\]/.test(attachment.name) || attachment.name.startsWith('.') || attachment.name.includes('..')) {
+      throw new Error('Invalid attachment name');
+    }
     if (attachment.size > maxSize) {
       throw new Error('Attachment exceeds maximum size of 10MB');
     }
@@ -465,35 +585,289 @@ class ContentValidator {
   }
 }
 
-class GitHubStorage {
-  constructor() {
-    const requiredEnvVars = {
-      'VITE_GITHUB_TOKEN': import.meta.env.VITE_GITHUB_TOKEN,
-      'VITE_GITHUB_USERNAME': import.meta.env.VITE_GITHUB_USERNAME,
-      'VITE_REPO_NAME': import.meta.env.VITE_REPO_NAME
-    };
-    
-    const missingVars = Object.entries(requiredEnvVars)
-      .filter(([_, value]) => !value)
-      .map(([key]) => key);
-    
-    if (missingVars.length > 0) {
-      throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
-    }
+// Ids and password hashes made by a client are only accepted in the shapes
+// this module produces itself (uuid v4, PBKDF2-SHA512 hex, 128 bit hex salt)
+function assertClientCredentials(id, hash, salt) {
+  if (!RECORD_ID_PATTERN.test(id || '') ||
+      !/^[0-9a-f]{128}$/.test(hash || '') ||
+      !/^[0-9a-f]{32}$/.test(salt || '')) {
+    throw new Error('Invalid client credentials');
+  }
+}
 
-    this.headers = {
-      'Authorization': `token ${import.meta.env.VITE_GITHUB_TOKEN}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'Content-Type': 'application/json',
-    };
-    
-    this.baseUrl = `https://api.github.com/repos/${
-      import.meta.env.VITE_GITHUB_USERNAME
-    }/${import.meta.env.VITE_REPO_NAME}`;
-    
+class GitHubStorage {
+  // All file access goes through a storage adapter (see ./adapters), GitHub unless
+  // VITE_STORAGE_BACKEND picks another one
+  constructor(adapter = createStorageAdapter(env), {
+    publicUrl = isBrowser ? window.location.origin : '',
+    mirrors = [],
+    mirrorToken = null,
+    rateLimited = true
+  } = {}) {
+    this.adapter = adapter;
+    // Read-only forks, [{ source, adapter }]; see loadFederatedEntries
+    this.mirrors = mirrors;
+    // Token used to read forks, which only needs public read access
+    this.mirrorToken = mirrorToken;
     this.security = new SecurityManager();
-    this.timeout = 10000;
+    this.security.onRateLimited = rejected => this.flagSuspiciousIP(rejected);
+    this.security.rateLimited = rateLimited;
     this.initialized = false;
+    // Base of the share links handed out, e.g. https://mbogi.example
+    this.publicUrl = publicUrl;
+  }
+
+  // Kept for callers that build GitHub API URLs themselves
+  get baseUrl() {
+    return this.adapter.baseUrl;
+  }
+
+  get timeout() {
+    return this.adapter.timeout;
+  }
+
+  // A view of this storage whose API calls are queued at `priority`
+  // (see requestScheduler.js). Backends without a request queue ignore it
+  withPriority(priority) {
+    const adapter = this.adapter.withPriority ? this.adapter.withPriority(priority) : this.adapter;
+    return Object.create(this, { adapter: { value: adapter } });
+  }
+
+  // Start a batch of file changes that lands as a single commit
+  transaction() {
+    return new StorageTransaction(this.adapter);
+  }
+
+  // Recompute a record's checksum the same way loadData verifies it
+  sealRecord(record) {
+    const sealed = { ...record, checksum: '' };
+    sealed.checksum = this.security.generateChecksum(sealed);
+    return sealed;
+  }
+
+  // Stage a read-modify-write of a record and its index entry. `change` gets
+  // the record as stored when the commit runs (null if there is none), again
+  // on every retry, and returns the new sealed record. Counters go through
+  // this so concurrent increments add up instead of overwriting each other
+  stageRecordUpdate(transaction, path, change) {
+    transaction.update(path, async content => {
+      const current = content === null ? null : this.parseRecord(path, content);
+      return JSON.stringify(await change(current), null, 2);
+    });
+    return this.stageIndexUpdate(transaction, path, written => JSON.parse(written.get(path)));
+  }
+
+  // A replayed write (outbox retry after a lost response) finds its own record
+  // and is done; an id that belongs to someone else's record is a conflict
+  async findExistingRecord(paths, record, credentialField) {
+    for (const path of paths) {
+      const existing = await this.loadData(path);
+      if (existing) {
+        if (existing[credentialField] === record[credentialField]) {
+          return existing;
+        }
+        throw new Error(`Record already exists (409): ${path}`);
+      }
+    }
+    return null;
+  }
+
+  // Stage the index entry for a record written (or removed, when record is null)
+  // in the same transaction. Paths without an index are left alone. A record
+  // only known at commit time (see stageRecordUpdate) is given as a function
+  // of the transaction's staged content
+  stageIndexUpdate(transaction, path, record) {
+    const target = indexTargetFor(path);
+    if (!target) {
+      return transaction;
+    }
+
+    return transaction.update(target.indexPath, async (content, written) => {
+      const current = typeof record === 'function' ? record(written) : record;
+      const summary = current ? target.summarize(current) : null;
+      // No index yet: start from what is on disk so older records stay listed
+      const entries = content !== null
+        ? parseIndex(content).entries
+        : await this.scanIndexEntries(target.indexPath);
+      return serializeIndex(replaceIndexEntry(entries, target.id, summary));
+    });
+  }
+
+  // Stage additions to (or with { remove: true }, removals from) a folder's
+  // share tokens and attachment paths, see folderRefsPath in indexes.js
+  stageFolderRefs(transaction, folderId, changes, options) {
+    return transaction.update(folderRefsPath(folderId), content =>
+      serializeFolderRefs(mergeFolderRefs(parseFolderRefs(content, folderId), changes, options))
+    );
+  }
+
+  // A folder's reverse index, or null for folders created before it existed
+  async loadFolderRefs(folderId) {
+    const response = await this.adapter.read(folderRefsPath(folderId));
+    return response ? parseFolderRefs(response.content, folderId) : null;
+  }
+
+  // Full records of every JSON file in a directory, skipping unreadable ones
+  async scanRecords(dirPath) {
+    const files = await this.adapter.list(dirPath);
+    if (!Array.isArray(files)) {
+      return [];
+    }
+
+    const records = await Promise.all(
+      files
+        .filter(file => file.type === 'file' && file.name.endsWith('.json') && !isIndexFile(file.name))
+        .map(async file => {
+          try {
+            return await this.loadData(file.path);
+          } catch (error) {
+            console.warn(`Failed to load ${file.path}:`, error);
+            return null;
+          }
+        })
+    );
+    return records.filter(record => record !== null);
+  }
+
+  // Index entries built from the records themselves, used before an index exists
+  async scanIndexEntries(indexPath) {
+    const dirPath = indexPath.slice(0, indexPath.lastIndexOf('/'));
+
+    // Country folders are directories holding a folder.json each
+    if (indexPath.endsWith(`/${COUNTRY_FOLDER_INDEX_FILE}`)) {
+      const entries = await this.adapter.list(dirPath);
+      if (!Array.isArray(entries)) {
+        return [];
+      }
+
+      const folders = await Promise.all(
+        entries
+          .filter(entry => entry.type === 'dir')
+          .map(async entry => {
+            try {
+              return await this.loadData(`${entry.path}/folder.json`);
+            } catch (error) {
+              console.warn(`Failed to load folder ${entry.name}:`, error);
+              return null;
+            }
+          })
+      );
+      return folders.filter(folder => folder !== null).map(summarizeCountryFolder);
+    }
+
+    const summarize = dirPath.startsWith('data/emails/') || dirPath.startsWith('data/countries/')
+      ? summarizeEmail
+      : summarizeFolder;
+    return (await this.scanRecords(dirPath)).map(summarize);
+  }
+
+  setMirrors(mirrors) {
+    this.mirrors = mirrors;
+  }
+
+  // Read-only adapter for a fork, connected or not
+  mirrorAdapter(source) {
+    const connected = this.mirrors.find(mirror => mirror.source.id === source.id);
+    return connected ? connected.adapter : createMirrorAdapter(source, { token: this.mirrorToken });
+  }
+
+  // Read from every fork in `sources` from now on
+  connectMirrors(sources) {
+    this.setMirrors(sources.map(source => ({ source, adapter: this.mirrorAdapter(source) })));
+  }
+
+  // This storage reading another repository's data
+  readingFrom(adapter) {
+    return Object.create(this, { adapter: { value: adapter } });
+  }
+
+  // Run `load` against the home repository and every mirror at once. A mirror
+  // that fails (taken down, renamed, rate limited) is skipped; home errors are not
+  async gatherFromOrigins(load) {
+    const home = load(this).then(result => ({ origin: HOME_ORIGIN, result }));
+    const mirrors = this.mirrors.map(({ source, adapter }) =>
+      load(this.readingFrom(adapter))
+        .then(result => ({ origin: source.id, result }))
+        .catch(error => {
+          console.warn(`Skipping fork ${source.id}:`, error.message);
+          return null;
+        })
+    );
+
+    return (await Promise.all([home, ...mirrors])).filter(Boolean);
+  }
+
+  // First non-null result of `load`, trying home and then each mirror in turn
+  async firstFromOrigins(load) {
+    const found = await load(this);
+    if (found) {
+      return found;
+    }
+
+    for (const { source, adapter } of this.mirrors) {
+      try {
+        const result = await load(this.readingFrom(adapter));
+        if (result) {
+          return result;
+        }
+      } catch (error) {
+        console.warn(`Skipping fork ${source.id}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  // Index entries of the home repository and every mirror, one per id and
+  // tagged with the repositories holding it
+  async loadFederatedEntries(indexPath) {
+    const results = await this.gatherFromOrigins(storage => storage.loadIndexEntries(indexPath));
+    return mergeOriginEntries(results.map(({ origin, result }) => ({ origin, entries: result })));
+  }
+
+  // Summaries from a directory's index, falling back to a scan when it has none
+  async loadIndexEntries(indexPath) {
+    const index = await this.adapter.read(indexPath);
+    if (index) {
+      return parseIndex(index.content).entries;
+    }
+    return this.scanIndexEntries(indexPath);
+  }
+
+  // Regenerate every index from the records, for data written before indexes
+  // existed or edited by hand. All index files land in one commit
+  async rebuildIndexes() {
+    const indexPaths = [
+      `data/folders/${INDEX_FILE}`,
+      `data/silent/folders/${INDEX_FILE}`
+    ];
+
+    const emailDirs = await this.adapter.list('data/emails');
+    if (Array.isArray(emailDirs)) {
+      emailDirs
+        .filter(entry => entry.type === 'dir')
+        .forEach(entry => indexPaths.push(`${entry.path}/${INDEX_FILE}`));
+    }
+
+    const countryDirs = await this.adapter.list('data/countries');
+    if (Array.isArray(countryDirs)) {
+      countryDirs
+        .filter(entry => entry.type === 'dir')
+        .forEach(entry => indexPaths.push(
+          `${entry.path}/${INDEX_FILE}`,
+          `${entry.path}/${COUNTRY_FOLDER_INDEX_FILE}`
+        ));
+    }
+
+    const transaction = this.transaction();
+    const report = {};
+    for (const indexPath of indexPaths) {
+      const entries = await this.scanIndexEntries(indexPath);
+      transaction.put(indexPath, serializeIndex(entries));
+      report[indexPath] = entries.length;
+    }
+
+    await transaction.commit('Rebuild index files');
+    return report;
   }
 
   // Helper function to encode content for GitHub
@@ -510,7 +884,7 @@ class GitHubStorage {
   async waitForFile(path, maxAttempts = 5) {
     for (let i = 0; i < maxAttempts; i++) {
       try {
-        const response = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
+        const response = await this.adapter.read(path);
         if (response) {
           return response;
         }
@@ -525,8 +899,6 @@ class GitHubStorage {
     throw new Error(`Timeout waiting for file: ${path}`);
   }
 
-  // Make authenticated request to GitHub API
-
   async initializeRepository() {
     if (this.initialized) {
       return;
@@ -563,24 +935,8 @@ class GitHubStorage {
       // First check if country data exists
       const countryPath = `data/countries/${countryCode.toLowerCase()}`;
       await this.ensureDirectoryExists(countryPath);
-      
-      const files = await this.makeRequest(`${this.baseUrl}/contents/${countryPath}`);
-      if (!Array.isArray(files)) return [];
-      
-      const emailFiles = files.filter(file => file.name.endsWith('.json'));
-      
-      const emails = await Promise.all(
-        emailFiles.map(async file => {
-          try {
-            return await this.loadData(`${countryPath}/${file.name}`);
-          } catch (error) {
-            console.warn(`Failed to load email ${file.name}:`, error);
-            return null;
-          }
-        })
-      );
-      
-      return emails.filter(email => email !== null);
+
+      return await this.loadFederatedEntries(`${countryPath}/${INDEX_FILE}`);
     } catch (error) {
       console.error(`Error loading emails for country ${countryCode}:`, error);
       return [];
@@ -593,7 +949,6 @@ class GitHubStorage {
     }
 
     const countryPath = `data/countries/${countryCode.toLowerCase()}`;
-    await this.ensureDirectoryExists(countryPath);
 
     const emailId = uuidv4();
     const password = this.security.generateSecurePassword();
@@ -611,27 +966,27 @@ class GitHubStorage {
       passwordHash: hash,
       passwordSalt: salt,
       likes: 0,
+      version: 1,
+      schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.COUNTRY_EMAIL],
       checksum: ''
     };
 
     emailMetadata.checksum = this.security.generateChecksum(emailMetadata);
 
-    await this.saveData(`${countryPath}/${emailId}.json`, emailMetadata);
+    // Email, its index entry and attachments land in one commit
+    const emailPath = `${countryPath}/${emailId}.json`;
+    const transaction = this.stageIndexUpdate(this.transaction(), emailPath, emailMetadata)
+      .put(emailPath, emailMetadata);
 
-    // Handle attachments if any
-    if (emailData.attachments?.length > 0) {
-      await Promise.all(emailData.attachments.map(async attachment => {
-        const attachmentData = {
-          ...attachment,
-          checksum: this.security.generateChecksum(attachment)
-        };
-        await this.saveData(
-          `data/attachments/countries/${countryCode}/${emailId}/${attachment.name}`,
-          attachmentData
-        );
-      }));
+    for (const attachment of emailData.attachments || []) {
+      transaction.put(
+        `data/attachments/countries/${countryCode}/${emailId}/${attachment.name}`,
+        this.sealRecord({ ...attachment, schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.ATTACHMENT] })
+      );
     }
 
+    await transaction.commit(`Add email ${emailId} to ${countryCode}`);
+
     return {
       ...emailMetadata,
       password // Return password only once
@@ -641,16 +996,13 @@ class GitHubStorage {
   // Fixed createFile method with proper retry handling and loop prevention
   async createFile(path, content = '', message = '', maxRetries = 2) {
     let attempt = 0;
-    const base64Content = btoa(unescape(encodeURIComponent(content)));
     
     while (attempt < maxRetries) {
       try {
         // First try to get existing file's SHA
         let sha = null;
         try {
-          const existingFile = await this.makeRequest(
-            `${this.baseUrl}/contents/${path}`
-          );
+          const existingFile = await this.adapter.read(path);
           if (existingFile?.sha) {
             sha = existingFile.sha;
           }
@@ -659,17 +1011,10 @@ class GitHubStorage {
         }
 
         // Create/update the file with SHA if we have it
-        const response = await this.makeRequest(
-          `${this.baseUrl}/contents/${path}`,
-          {
-            method: 'PUT',
-            body: JSON.stringify({
-              message: message || `Update ${path}`,
-              content: base64Content,
-              ...(sha && { sha })
-            })
-          }
-        );
+        await this.adapter.write(path, content, {
+          sha,
+          message: message || `Update ${path}`
+        });
 
         return true;
 
@@ -697,7 +1042,7 @@ class GitHubStorage {
     while (attempt < maxRetries) {
       try {
         // Check if directory exists
-        const response = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
+        const response = await this.adapter.list(path);
         if (response && Array.isArray(response)) {
           return true;
         }
@@ -739,116 +1084,52 @@ class GitHubStorage {
     return false;
   }
 
-  // Fixed makeRequest method with simpler error handling
+  // Raw API access for backend specific features. Only the HTTP adapters (GitHub, Gitea) have it
   async makeRequest(url, options = {}) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    if (typeof this.adapter.makeRequest !== 'function') {
+      throw new Error(`The ${this.adapter.name} storage backend does not support raw API requests`);
+    }
+    return this.adapter.makeRequest(url, options);
+  }
 
+  async createFolder(folderData, ip) {
+    const { folder, changes } = await this.prepareFolder(folderData, ip);
     try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal,
-        headers: {
-          ...this.headers,
-          'If-None-Match': ''
-        }
-      });
-
-      const text = await response.text();
-      
-      // Don't throw on 404, just return null
-      if (response.status === 404) {
-        return null;
-      }
-
-      // For successful responses, try to parse JSON
-      if (response.ok) {
-        try {
-          return text ? JSON.parse(text) : null;
-        } catch (e) {
-          return text;
-        }
-      }
-
-      // For errors, include response status and parsed error message
-      let errorMessage;
-      try {
-        const errorJson = JSON.parse(text);
-        errorMessage = errorJson.message || errorJson.error || response.statusText;
-      } catch (e) {
-        errorMessage = text || response.statusText;
-      }
-
-      throw new Error(`GitHub API error (${response.status}): ${errorMessage}`);
-
+      await this.commitFolder(changes);
     } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${this.timeout}ms`);
-      }
-      throw error;
-    } finally {
-      clearTimeout(timeoutId);
+      throw new Error(`Failed to create folder: ${error.message}`);
     }
+    return folder;
   }
 
-  async createFolder(folderData, ip) {
+  // Builds a new folder, its credentials and share link without touching storage.
+  // `changes` is plain data that commitFolder writes, now or later from the outbox.
+  // A client that made its own id and admin hash (see proxyStorage.js) passes them
+  // as `credentials`; no password is generated then
+  async prepareFolder(folderData, ip, credentials = null) {
     try {
-      console.group('Folder Creation Process');
-      console.log('Input Data:', {
-        folderName: folderData.name,
-        targetEmail: folderData.targetEmail,
-        creatorIP: ip
-      });
-  
-      // Initialize repository if not already done
-      if (!this.initialized) {
-        console.log('Initializing repository...');
-        await this.initializeRepository();
-      }
-  
       // Rate limit check
       if (!await this.security.checkRateLimit(ip, 'CREATE_FOLDER')) {
         console.error('Rate limit exceeded for folder creation');
         throw new Error('Rate limit exceeded for folder creation');
       }
   
-      // Generate unique folder ID
-      const folderId = uuidv4();
-      console.log('Generated Folder ID:', folderId);
-  
-      // Ensure base directories exist
-      const baseDirectories = [
-        'data/silent/folders',
-        'data/metadata/links'
-      ];
-  
-      for (const dir of baseDirectories) {
-        const exists = await this.checkPathExists(dir);
-        if (!exists) {
-          console.log(`Creating directory: ${dir}`);
-          await this.ensureDirectoryExists(dir);
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
-  
-      // Generate folder credentials with explicit logging
-      const folderAdminPassword = this.security.generateSecurePassword();
-      console.log('Folder Admin Password Generation:', {
-        password: folderAdminPassword,
-        length: folderAdminPassword.length,
-        charCodes: Array.from(folderAdminPassword).map(char => char.charCodeAt(0))
-      });
-  
-      // Hash the password
-      const { hash: adminHash, salt: adminSalt } = this.security.hashPassword(folderAdminPassword);
-      console.log('Password Hash Generation:', {
-        adminHashLength: adminHash.length,
-        adminSaltLength: adminSalt.length
-      });
-  
       // Validate input data
-      if (!folderData.name || !folderData.targetEmail) {
-        throw new Error('Folder name and target email are required');
+      ContentValidator.validateFolder(folderData);
+
+      let folderId, folderAdminPassword, adminHash, adminSalt;
+      if (credentials) {
+        assertClientCredentials(credentials.id, credentials.adminHash, credentials.adminSalt);
+        ({ id: folderId, adminHash, adminSalt } = credentials);
+      } else {
+        // Generate unique folder ID
+        folderId = uuidv4();
+
+        // Generate folder credentials
+        folderAdminPassword = this.security.generateSecurePassword();
+
+        // Hash the password
+        ({ hash: adminHash, salt: adminSalt } = this.security.hashPassword(folderAdminPassword));
       }
   
       // Create folder metadata
@@ -862,70 +1143,38 @@ class GitHubStorage {
         creatorIP: CryptoJS.SHA256(ip).toString(),
         adminHash,
         adminSalt,
-        emails: [], // Initialize empty emails array
-        emailsLoaded: true, // Mark as loaded since it's new
+        schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.FOLDER],
         checksum: ''
       };
   
       // Generate checksum for metadata integrity
       folderMetadata.checksum = this.security.generateChecksum(folderMetadata);
-      console.log('Folder Metadata Checksum:', folderMetadata.checksum);
-  
-      // Save folder metadata
-      try {
-        await this.makeRequest(`${this.baseUrl}/contents/data/silent/folders/${folderId}.json`, {
-          method: 'PUT',
-          body: JSON.stringify({
-            message: `Create folder ${folderId}`,
-            content: btoa(JSON.stringify(folderMetadata, null, 2))
-          })
-        });
-        console.log('Folder metadata saved successfully');
-      } catch (saveError) {
-        console.error('Error saving folder metadata:', saveError);
-        throw saveError;
-      }
   
       // Generate share token
       const { token, encryptedData } = this.security.generateShareableLink(folderId, {
         name: folderData.name,
         createdAt: folderMetadata.createdAt
       });
-      console.log('Share Token Generated:', {
-        token,
-        tokenLength: token.length
-      });
   
       // Create link metadata
       const linkMetadata = {
         folderId,
         encryptedData,
-        createdAt: new Date().toISOString()
+        createdAt: new Date().toISOString(),
+        schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.SHARE_LINK]
       };
   
-      // Save share link
-      try {
-        await this.makeRequest(`${this.baseUrl}/contents/data/metadata/links/${token}.json`, {
-          method: 'PUT',
-          body: JSON.stringify({
-            message: `Create share link for folder ${folderId}`,
-            content: btoa(JSON.stringify(linkMetadata, null, 2))
-          })
-        });
-        console.log('Share link saved successfully');
-      } catch (linkSaveError) {
-        console.error('Error saving share link:', linkSaveError);
-        throw linkSaveError;
-      }
-  
-      console.groupEnd();
-  
       // Return folder details
       return {
-        ...folderMetadata,
-        adminPassword: folderAdminPassword,
-        shareToken: token,
-        shareableLink: `${window.location.origin}/share/${token}`
+        folder: {
+          ...folderMetadata,
+          emails: [], // Nothing to load for a new folder
+          emailsLoaded: true,
+          adminPassword: folderAdminPassword,
+          shareToken: token,
+          shareableLink: `${this.publicUrl}/share/${token}`
+        },
+        changes: { folder: folderMetadata, link: linkMetadata, token }
       };
     } catch (error) {
       console.error('Comprehensive Folder Creation Error:', {
@@ -936,33 +1185,44 @@ class GitHubStorage {
     }
   }
 
+  // Save folder metadata, its index entry and share link in one commit
+  async commitFolder({ folder, link, token }) {
+    // Initialize repository if not already done
+    if (!this.initialized) {
+      await this.initializeRepository();
+    }
+
+    const written = await this.findExistingRecord(
+      [`data/silent/folders/${folder.id}.json`, `data/folders/${folder.id}.json`],
+      folder,
+      'adminHash'
+    );
+    if (written) {
+      return written;
+    }
+
+    const folderPath = `data/silent/folders/${folder.id}.json`;
+    const transaction = this.stageIndexUpdate(this.transaction(), folderPath, folder)
+      .put(folderPath, folder)
+      .put(`data/metadata/links/${token}.json`, link);
+    await this.stageFolderRefs(transaction, folder.id, { shareTokens: [token] })
+      .commit(`Create folder ${folder.id} with share link`);
+    return folder;
+  }
+
   // Fixed version of the loadFolders method
   async loadFolders(includeAll = false) {
     const folders = [];
     
     try {
-      // Load active folders
-      const activeFiles = await this.makeRequest(`${this.baseUrl}/contents/data/folders`);
-      if (Array.isArray(activeFiles)) {
-        const activeFolders = await Promise.all(
-          activeFiles
-            .filter(file => file.name.endsWith('.json'))
-            .map(file => this.loadData(`data/folders/${file.name}`))
-        );
-        folders.push(...activeFolders.filter(f => f !== null));
-      }
+      // Load active folders (summaries from the index)
+      folders.push(...await this.loadFederatedEntries(`data/folders/${INDEX_FILE}`));
 
-      // Load silent folders if requested
+      // Load silent folders if requested. A fork may have approved a folder
+      // that is still silent here, so ids already listed as active are skipped
       if (includeAll) {
-        const silentFiles = await this.makeRequest(`${this.baseUrl}/contents/data/silent/folders`);
-        if (Array.isArray(silentFiles)) {
-          const silentFolders = await Promise.all(
-            silentFiles
-              .filter(file => file.name.endsWith('.json'))
-              .map(file => this.loadData(`data/silent/folders/${file.name}`))
-          );
-          folders.push(...silentFolders.filter(f => f !== null));
-        }
+        const silent = await this.loadFederatedEntries(`data/silent/folders/${INDEX_FILE}`);
+        folders.push(...silent.filter(folder => !folders.some(active => active.id === folder.id)));
       }
 
       return folders.sort((a, b) => 
@@ -1006,15 +1266,15 @@ class GitHubStorage {
 
       try {
         // Try to get existing file
-        const existing = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
+        const existing = await this.adapter.read(path);
         if (existing && existing.sha) {
           existingSha = existing.sha;
           
           // Verify data integrity if updating existing file
           if (existing.content) {
-            const existingData = this.decodeContent(existing.content);
+            const existingData = JSON.parse(existing.content);
             if (existingData.checksum && 
-                existingData.checksum !== this.security.generateChecksum(existingData)) {
+                existingData.checksum !== this.security.generateChecksum({...existingData, checksum: ''})) {
               throw new Error('Data integrity check failed');
             }
           }
@@ -1026,33 +1286,28 @@ class GitHubStorage {
         }
       }
 
+      // Indexed records are committed together with their index entry, and
+      // like a plain write fail if the file changed after it was read above
+      if (typeof data === 'object' && indexTargetFor(path)) {
+        return await this.stageIndexUpdate(this.transaction().put(path, data, { baseSha: existingSha }), path, data)
+          .commit(`Update ${path}`);
+      }
+
       // Prepare the content
       let content = data;
       if (typeof data === 'object') {
         content = JSON.stringify(data, null, 2);
       }
-      const base64Content = btoa(unescape(encodeURIComponent(content)));
-
-      // Prepare request body
-      const requestBody = {
-        message: `Update ${path}`,
-        content: base64Content
-      };
-
-      // Include SHA if updating existing file
-      if (existingSha) {
-        requestBody.sha = existingSha;
-      }
 
-      // Make the PUT request
+      // Make the write, including the SHA if updating an existing file
       let retries = 3;
       let lastError = null;
 
       while (retries > 0) {
         try {
-          const response = await this.makeRequest(`${this.baseUrl}/contents/${path}`, {
-            method: 'PUT',
-            body: JSON.stringify(requestBody)
+          const response = await this.adapter.write(path, content, {
+            sha: existingSha,
+            message: `Update ${path}`
           });
           return response;
         } catch (error) {
@@ -1082,15 +1337,11 @@ class GitHubStorage {
   // Load data with integrity check
   async loadData(path) {
     try {
-      const response = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
-      const data = this.decodeContent(response.content);
-      
-      if (data.checksum && 
-          data.checksum !== this.security.generateChecksum({...data, checksum: ''})) {
-        throw new Error('Data integrity check failed');
+      const response = await this.adapter.read(path);
+      if (!response) {
+        return null;
       }
-      
-      return data;
+      return this.parseRecord(path, response.content);
     } catch (error) {
       if (error.message.includes('404')) {
         return null;
@@ -1099,36 +1350,166 @@ class GitHubStorage {
     }
   }
 
-  // Helper method to create directory structure
-  async createDirectoryStructure(paths) {
-    for (const path of paths) {
-      try {
-        await this.makeRequest(`${this.baseUrl}/contents/${path}`);
-      } catch (error) {
-        if (error.message.includes('404')) {
-          await this.createFile(`${path}/.gitkeep`, '', `Initialize ${path}`);
-        } else {
-          throw error;
-        }
-      }
+  // A stored file's record, checked against its checksum and upgraded
+  parseRecord(path, content) {
+    const data = JSON.parse(content);
+
+    if (data.checksum &&
+        data.checksum !== this.security.generateChecksum({...data, checksum: ''})) {
+      throw new Error('Data integrity check failed');
     }
+
+    return this.upgradeRecord(path, data).record;
   }
 
-  // Save email with security measures
+  // A record brought up to the current schema (see schema.js). Only the copy in
+  // hand changes; migrateRepository writes upgrades back
+  upgradeRecord(path, data) {
+    const type = recordTypeFor(path);
+    if (!type || !data || typeof data !== 'object' || Array.isArray(data)) {
+      return { record: data, type: null, changed: false };
+    }
+
+    const migration = migrateRecord(type, data);
+    const record = migration.changed && data.checksum
+      ? this.sealRecord(migration.record)
+      : migration.record;
+    return { ...migration, record, type };
+  }
+
+  // Ids of every folder emails may be stored under: this repository's,
+  // approved or silent, and those of each connected fork, whose emails are
+  // written here (see commitEmail). Used to tell leftovers from live data, so
+  // a fork that can't be listed is an error rather than an empty list
+  async loadLiveFolderIds() {
+    const listFolderIds = async storage => {
+      const listings = await Promise.all([
+        storage.adapter.list('data/folders'),
+        storage.adapter.list('data/silent/folders')
+      ]);
+      return listings.flatMap(entries => (entries || [])
+        .filter(entry => entry.type === 'file' && entry.name.endsWith('.json') && !isIndexFile(entry.name))
+        .map(entry => entry.name.slice(0, -'.json'.length)));
+    };
+
+    const ids = new Set(await listFolderIds(this));
+    for (const { source, adapter } of this.mirrors) {
+      try {
+        (await listFolderIds(this.readingFrom(adapter))).forEach(id => ids.add(id));
+      } catch (error) {
+        throw new Error(`Could not list the folders of fork ${source.id}: ${error.message}`);
+      }
+    }
+    return ids;
+  }
+
+  // Every file path under a directory, depth first
+  async listTree(dirPath) {
+    const entries = await this.adapter.list(dirPath);
+    if (!Array.isArray(entries)) {
+      return [];
+    }
+
+    const paths = [];
+    for (const entry of entries) {
+      if (entry.type === 'dir') {
+        paths.push(...await this.listTree(entry.path));
+      } else if (entry.type === 'file') {
+        paths.push(entry.path);
+      }
+    }
+    return paths;
+  }
+
+  // Upgrade every stored record to the current schema. A dry run (the default)
+  // only reports what would change; otherwise the upgrades are committed in
+  // batches, each with the index entries of the records it rewrites
+  async migrateRepository({ dryRun = true, batchSize = 100 } = {}) {
+    const report = { dryRun, scanned: 0, upToDate: 0, migrated: [], failed: [], commits: [] };
+    const pending = [];
+
+    for (const path of await this.listTree('data')) {
+      const type = recordTypeFor(path);
+      if (!type) {
+        continue;
+      }
+      report.scanned += 1;
+
+      try {
+        const response = await this.adapter.read(path);
+        if (!response) {
+          continue;
+        }
+        const data = JSON.parse(response.content);
+        if (data.checksum && data.checksum !== this.security.generateChecksum({ ...data, checksum: '' })) {
+          throw new Error('Data integrity check failed');
+        }
+
+        const { record, from, to, applied, changed } = this.upgradeRecord(path, data);
+        if (!changed) {
+          report.upToDate += 1;
+          continue;
+        }
+        report.migrated.push({ path, type, from, to, applied });
+        pending.push({ path, record });
+      } catch (error) {
+        report.failed.push({ path, error: error.message });
+      }
+    }
+
+    if (dryRun) {
+      return report;
+    }
+
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+      const transaction = this.transaction();
+      batch.forEach(({ path, record }) => {
+        this.stageIndexUpdate(transaction, path, record);
+        transaction.put(path, record);
+      });
+      const message = `Migrate ${batch.length} records to the current schema`;
+      await transaction.commit(message);
+      report.commits.push({ message, records: batch.length });
+    }
+    return report;
+  }
+
+  // Helper method to create directory structure
+  async createDirectoryStructure(paths) {
+    for (const path of paths) {
+      if (!await this.adapter.exists(path)) {
+        await this.createFile(`${path}/.gitkeep`, '', `Initialize ${path}`);
+      }
+    }
+  }
+
+  // Save email with security measures
   async saveEmail(folderId, emailData, ip) {
+    const { email, changes } = await this.prepareEmail(folderId, emailData, ip);
+    await this.commitEmail(changes);
+    return email;
+  }
+
+  // Builds the email record and its password without touching storage, see prepareFolder
+  async prepareEmail(folderId, emailData, ip, credentials = null) {
+    ContentValidator.validateEmail(emailData);
+    (emailData.attachments || []).forEach(attachment => ContentValidator.validateAttachment(attachment));
+
     if (!await this.security.checkRateLimit(ip, 'CREATE_EMAIL')) {
       throw new Error('Rate limit exceeded for email creation');
     }
 
-    const folder = await this.loadData(`data/folders/${folderId}.json`);
-    if (!folder) {
-      throw new Error('Folder not found');
+    let emailId, password, hash, salt;
+    if (credentials) {
+      assertClientCredentials(credentials.id, credentials.passwordHash, credentials.passwordSalt);
+      ({ id: emailId, passwordHash: hash, passwordSalt: salt } = credentials);
+    } else {
+      emailId = uuidv4();
+      password = this.security.generateSecurePassword();
+      ({ hash, salt } = this.security.hashPassword(password));
     }
 
-    const emailId = uuidv4();
-    const password = this.security.generateSecurePassword();
-    const { hash, salt } = this.security.hashPassword(password);
-
     const emailMetadata = {
       id: emailId,
       folderId,
@@ -1141,41 +1522,60 @@ class GitHubStorage {
       passwordHash: hash,
       passwordSalt: salt,
       likes: 0,
+      version: 1,
+      schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.EMAIL],
       checksum: ''
     };
 
     emailMetadata.checksum = this.security.generateChecksum(emailMetadata);
 
-    await this.saveData(`data/emails/${folderId}/${emailId}.json`, emailMetadata);
+    return {
+      email: {
+        ...emailMetadata,
+        password // Return password only once
+      },
+      changes: { email: emailMetadata }
+    };
+  }
 
-    // Handle attachments
-    if (emailData.attachments?.length > 0) {
-      await Promise.all(emailData.attachments.map(async attachment => {
-        const attachmentData = {
-          ...attachment,
-          checksum: this.security.generateChecksum(attachment)
-        };
-        await this.saveData(
-          `data/attachments/${folderId}/${emailId}/${attachment.name}`,
-          attachmentData
-        );
-      }));
+  async commitEmail({ email }) {
+    const { folderId, id: emailId } = email;
+
+    // New folders stay silent until approved and already take emails. A folder
+    // only a fork still has takes them too; the emails are written here
+    const folder = await this.firstFromOrigins(async storage =>
+      await storage.loadData(`data/folders/${folderId}.json`) ||
+      await storage.loadData(`data/silent/folders/${folderId}.json`)
+    );
+    if (!folder) {
+      throw new Error('Folder not found');
     }
 
-    return {
-      ...emailMetadata,
-      password // Return password only once
-    };
+    const emailPath = `data/emails/${folderId}/${emailId}.json`;
+    const written = await this.findExistingRecord([emailPath], email, 'passwordHash');
+    if (written) {
+      return written;
+    }
+
+    // Email, its index entry and attachments land in one commit
+    const transaction = this.stageIndexUpdate(this.transaction(), emailPath, email)
+      .put(emailPath, email);
+
+    const attachmentPaths = (email.attachments || []).map(attachment => {
+      const path = `data/attachments/${folderId}/${emailId}/${attachment.name}`;
+      transaction.put(path, this.sealRecord({ ...attachment, schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.ATTACHMENT] }));
+      return path;
+    });
+    if (attachmentPaths.length > 0) {
+      this.stageFolderRefs(transaction, folderId, { attachments: attachmentPaths });
+    }
+
+    await transaction.commit(`Add email ${emailId} to folder ${folderId}`);
+    return email;
   }
 
   async checkPathExists(path) {
-    try {
-      await this.makeRequest(`${this.baseUrl}/contents/${path}`);
-      return true;
-    } catch (error) {
-      if (error.message.includes('404')) return false;
-      throw error;
-    }
+    return this.adapter.exists(path);
   }
 
   // New method for saving data with retries
@@ -1202,10 +1602,6 @@ class GitHubStorage {
       throw new Error('Admin password is required');
     }
   
-    // Extensive logging for debugging
-    console.log(`Attempting to delete folder: ${folderId}`);
-    console.log(`Admin Password Received: ${adminPassword}`);
-  
     // First try silent folder, then active folder
     let folder = await this.loadData(`data/silent/folders/${folderId}.json`);
     let isSilent = true;
@@ -1220,11 +1616,6 @@ class GitHubStorage {
       folderPath = `data/folders/${folderId}.json`;
     }
   
-    // Detailed folder and password logging
-    console.log('Folder Metadata:', JSON.stringify(folder, null, 2));
-    console.log('Stored admin hash:', folder.adminHash);
-    console.log('Stored admin salt:', folder.adminSalt);
-  
     // Verify admin password using stored hash and salt
     const isValid = this.security.verifyPassword(
       adminPassword,
@@ -1233,58 +1624,40 @@ class GitHubStorage {
     );
     
     if (!isValid) {
-      console.error('Password verification failed');
-      console.error('Verification Details:', {
-        providedPassword: adminPassword,
-        storedHash: folder.adminHash,
-        storedSalt: folder.adminSalt
-      });
       throw new Error('Invalid folder admin password');
     }
   
     try {
-      // Delete folder contents before deleting metadata
-      await this.deleteFolderContentsWithRetry(folderId);
-  
-      // Delete folder metadata
-      await this.deleteFile(folderPath);
-  
-      // Clean up share links with improved error handling
-      try {
-        const linkFiles = await this.makeRequest(`${this.baseUrl}/contents/data/metadata/links`);
-        if (Array.isArray(linkFiles)) {
-          const linkDeletionPromises = linkFiles
-            .filter(file => file.name.endsWith('.json'))
-            .map(async file => {
-              try {
-                const linkData = await this.loadData(`data/metadata/links/${file.name}`);
-                if (linkData && linkData.folderId === folderId) {
-                  await this.deleteFile(`data/metadata/links/${file.name}`);
-                  console.log(`Deleted share link: ${file.name}`);
-                }
-              } catch (linkError) {
-                console.error(`Error processing link file ${file.name}:`, linkError);
-              }
-            });
-  
-          const linkDeletionResults = await Promise.allSettled(linkDeletionPromises);
-          
-          // Log any failed link deletions
-          const failedDeletions = linkDeletionResults.filter(
-            result => result.status === 'rejected'
-          );
-          
-          if (failedDeletions.length > 0) {
-            console.warn('Some share links could not be deleted:', 
-              failedDeletions.map(result => result.reason)
-            );
+      // Contents, metadata, share links and the reverse index are removed in
+      // one commit that leaves a tombstone for garbage collection (see gc.js)
+      const transaction = this.transaction();
+      transaction.put(deletedFolderPath(folderId), { folderId, deletedAt: new Date().toISOString() });
+      await transaction.deleteTree(`data/emails/${folderId}`);
+      await transaction.deleteTree(`data/attachments/${folderId}`);
+      this.stageIndexUpdate(transaction, folderPath, null).delete(folderPath);
+
+      const refs = await this.loadFolderRefs(folderId);
+      if (refs) {
+        for (const token of refs.shareTokens) {
+          const linkPath = `data/metadata/links/${token}.json`;
+          if (await this.adapter.read(linkPath)) {
+            transaction.delete(linkPath);
           }
         }
-      } catch (linkCleanupError) {
-        if (!linkCleanupError.message.includes('404')) {
-          console.error('Partial error cleaning up share links:', linkCleanupError);
-        }
+        transaction.delete(folderRefsPath(folderId));
+      } else {
+        // Older folders have no reverse index: open every link file. A read
+        // that fails aborts the delete rather than leave a link behind
+        const linkFiles = await this.adapter.list('data/metadata/links');
+        const links = await Promise.all((linkFiles || [])
+          .filter(file => file.type === 'file' && file.name.endsWith('.json'))
+          .map(async file => ({ path: file.path, link: await this.loadData(file.path) })));
+        links
+          .filter(({ link }) => link?.folderId === folderId)
+          .forEach(({ path }) => transaction.delete(path));
       }
+
+      await transaction.commit(`Delete folder ${folderId}`);
   
       console.log(`Folder ${folderId} deleted successfully`);
       return true;
@@ -1300,38 +1673,10 @@ class GitHubStorage {
     }
   }
   
-  // Enhanced method for deleting folder contents
-  async deleteFolderContentsWithRetry(folderId, maxRetries = 3) {
-    const paths = [
-      `data/emails/${folderId}`,
-      `data/attachments/${folderId}`,
-      `data/emails/${folderId}/versions`
-    ];
-  
-    for (const path of paths) {
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-          await this.deletePath(path);
-          break;
-        } catch (error) {
-          console.error(`Attempt ${attempt + 1} to delete ${path} failed:`, error);
-          
-          // If it's the last attempt and not a 404 error, throw
-          if (attempt === maxRetries - 1 && !error.message.includes('404')) {
-            throw error;
-          }
-  
-          // Wait before retrying with exponential backoff
-          await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-        }
-      }
-    }
-  }
-  
   // Helper method for deleting a path with comprehensive checks
   async deletePath(path) {
     try {
-      const response = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
+      const response = await this.adapter.list(path);
       
       if (Array.isArray(response)) {
         // It's a directory, delete all contents
@@ -1357,33 +1702,48 @@ class GitHubStorage {
   }
 
   // Track likes on emails
-  async updateEmailLikes(folderId, emailId, action = 'increment') {
+  // Liking an email only a fork has copies it into the home repository
+  // `likeId` names this like; one the email has already counted is not counted again
+  async updateEmailLikes(folderId, emailId, action = 'increment', likeId = null) {
+    if (likeId !== null && !/^[\w-]{1,64}$/.test(String(likeId))) {
+      throw new Error('Invalid like id');
+    }
     const emailPath = `data/emails/${folderId}/${emailId}.json`;
-    const email = await this.loadData(emailPath);
+    const email = await this.firstFromOrigins(storage => storage.loadData(emailPath));
     
     if (!email) {
       throw new Error('Email not found');
     }
 
-    const updatedEmail = {
-      ...email,
-      likes: action === 'increment' ? email.likes + 1 : Math.max(0, email.likes - 1),
-      updatedAt: new Date().toISOString()
-    };
-
-    // Update checksum
-    updatedEmail.checksum = this.security.generateChecksum(updatedEmail);
-
-    await this.saveData(emailPath, updatedEmail);
+    // Counted on the copy stored when the commit lands; the fork's copy is
+    // the starting point only while home has none
+    let updatedEmail;
+    await this.stageRecordUpdate(this.transaction(), emailPath, current => {
+      const base = current || email;
+      const likeIds = base.likeIds || [];
+      if (likeId && likeIds.includes(likeId)) {
+        updatedEmail = base;
+        return base;
+      }
+      updatedEmail = this.sealRecord({
+        ...base,
+        likes: action === 'increment' ? (base.likes || 0) + 1 : Math.max(0, (base.likes || 0) - 1),
+        ...(likeId && { likeIds: [...likeIds, likeId].slice(-RECENT_LIKE_IDS) }),
+        updatedAt: new Date().toISOString()
+      });
+      return updatedEmail;
+    }).commit(`${action === 'increment' ? 'Like' : 'Unlike'} email ${emailId}`);
     return updatedEmail;
   }
 
-  // Load email versions
-  async loadEmailVersions(folderId, emailId) {
+  // Every community version of a folder's emails, newest first; the versions
+  // directory is shared by the folder's emails, so it is read once for all of them
+  async loadFolderEmailVersions(folderId) {
     try {
-      const files = await this.makeRequest(
-        `${this.baseUrl}/contents/data/emails/${folderId}/versions`
-      );
+      const files = await this.adapter.list(`data/emails/${folderId}/versions`);
+      if (!Array.isArray(files)) {
+        return [];
+      }
 
       const versions = await Promise.all(
         files
@@ -1392,8 +1752,8 @@ class GitHubStorage {
       );
 
       return versions
-        .filter(v => v && v.originalEmailId === emailId)
-        .sort((a, b) => b.version - a.version);
+        .filter(Boolean)
+        .sort((a, b) => b.version - a.version || new Date(b.createdAt) - new Date(a.createdAt));
     } catch (error) {
       if (error.message.includes('404')) {
         return [];
@@ -1402,6 +1762,11 @@ class GitHubStorage {
     }
   }
 
+  async loadEmailVersions(folderId, emailId) {
+    const versions = await this.loadFolderEmailVersions(folderId);
+    return versions.filter(version => version.originalEmailId === emailId);
+  }
+
   async searchCountries(query) {
     try {
       // Load all countries first
@@ -1422,10 +1787,21 @@ class GitHubStorage {
     }
   }
 
+  // A country's counties, constituencies and so on, or null when none are
+  // recorded; a fork may hold divisions this repository does not
+  async loadDivisions(countryCode) {
+    try {
+      return await this.firstFromOrigins(storage => storage.loadData(divisionsPath(countryCode)));
+    } catch (error) {
+      console.error('Error loading divisions:', error);
+      return null;
+    }
+  }
+
   async loadCountryFolderVersions(countryCode, folderId) {
     try {
       const path = `data/countries/${countryCode.toLowerCase()}/${folderId}/versions`;
-      const files = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
+      const files = await this.adapter.list(path);
       
       if (!Array.isArray(files)) {
         return [];
@@ -1459,35 +1835,49 @@ class GitHubStorage {
     }
   }
 
-  async createCountryFolderVersion(countryCode, folderId, emails) {
+  // Contacts may also be given as bare address strings. The first proposal for
+  // a list also records the list as it was, so the original can win the vote
+  async createCountryFolderVersion(countryCode, folderId, contacts, note = '') {
     try {
+      const versionContacts = contacts.map(normalizeContact);
+      ContentValidator.validateContacts(versionContacts);
+      const versionNote = String(note || '').trim();
+      if (versionNote.length > 500) {
+        throw new Error('Invalid version note: use at most 500 characters');
+      }
       const folderPath = `data/countries/${countryCode.toLowerCase()}/${folderId}`;
-      await this.ensureDirectoryExists(`${folderPath}/versions`);
 
-      // Load existing versions to determine next version number
       const existingVersions = await this.loadCountryFolderVersions(countryCode, folderId);
-      const versionNumber = existingVersions.length + 1;
-
-      const versionData = {
+      const transaction = this.transaction();
+      const newVersion = (version, text, listContacts) => this.sealRecord({
         id: uuidv4(),
-        version: versionNumber,
+        version,
+        note: text,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        emails,
+        contacts: listContacts,
         likes: 0,
         dislikes: 0,
         usageCount: 0,
-        checksum: ''
-      };
+        schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.COUNTRY_FOLDER_VERSION]
+      });
 
-      // Add checksum
-      versionData.checksum = this.security.generateChecksum(versionData);
+      if (existingVersions.length === 0) {
+        const folder = await this.loadData(`${folderPath}/folder.json`);
+        if (!folder) {
+          throw new Error('Country folder not found');
+        }
+        const original = newVersion(1, 'Original list', contactsOf(folder));
+        const marked = this.sealRecord({ ...folder, defaultVersionId: original.id });
+        transaction
+          .put(`${folderPath}/versions/${original.id}.json`, original)
+          .put(`${folderPath}/folder.json`, marked);
+      }
 
-      // Save version
-      await this.saveData(
-        `${folderPath}/versions/${versionData.id}.json`,
-        versionData
-      );
+      const versionData = newVersion(Math.max(1, existingVersions.length) + 1, versionNote, versionContacts);
+      await transaction
+        .put(`${folderPath}/versions/${versionData.id}.json`, versionData)
+        .commit(`Propose version ${versionData.version} of country folder ${folderId}`);
 
       return versionData;
     } catch (error) {
@@ -1495,69 +1885,112 @@ class GitHubStorage {
       throw error;
     }
   }
+
+  // Likes, dislikes and uses decide the list's default version: when another
+  // version takes the lead its contacts become the folder's, in the same commit.
+  // A use also counts towards the folder, which orders the country's lists
   async updateVersionStats(countryCode, folderId, versionId, action) {
     try {
-      const path = `data/countries/${countryCode.toLowerCase()}/${folderId}/versions/${versionId}.json`;
-      const version = await this.loadData(path);
+      const folderPath = `data/countries/${countryCode.toLowerCase()}/${folderId}`;
+      const path = `${folderPath}/versions/${versionId}.json`;
 
-      if (!version) {
-        throw new Error('Version not found');
+      const counters = { like: 'likes', dislike: 'dislikes', use: 'usageCount' };
+      if (!counters[action]) {
+        throw new Error('Invalid action');
       }
 
-      // Update stats based on action
-      switch (action) {
-        case 'like':
-          version.likes += 1;
-          break;
-        case 'dislike':
-          version.dislikes += 1;
-          break;
-        case 'use':
-          version.usageCount += 1;
-          break;
-        default:
-          throw new Error('Invalid action');
-      }
+      // Both counts are taken from the files as they are when the commit lands
+      const versions = await this.loadCountryFolderVersions(countryCode, folderId);
+      let updated;
+      const transaction = this.stageRecordUpdate(this.transaction(), path, version => {
+        if (!version) {
+          throw new Error('Version not found');
+        }
+        updated = this.sealRecord({
+          ...version,
+          [counters[action]]: (version[counters[action]] || 0) + 1,
+          updatedAt: new Date().toISOString()
+        });
+        return updated;
+      });
 
-      version.updatedAt = new Date().toISOString();
-      version.checksum = this.security.generateChecksum(version);
+      this.stageRecordUpdate(transaction, `${folderPath}/folder.json`, folder => {
+        if (!folder) {
+          throw new Error('Country folder not found');
+        }
+        const leader = pickDefaultVersion(
+          versions.map(v => (v.id === versionId ? updated : v)),
+          folder.defaultVersionId
+        );
+        return this.sealRecord({
+          ...folder,
+          ...(action === 'use' && { usageCount: (folder.usageCount || 0) + 1 }),
+          ...(leader && leader.id !== folder.defaultVersionId && {
+            contacts: leader.contacts,
+            emailCount: leader.contacts.length,
+            defaultVersionId: leader.id,
+            updatedAt: new Date().toISOString()
+          })
+        });
+      });
 
-      await this.saveData(path, version);
-      return version;
+      await transaction.commit(`Record ${action} on version ${versionId} of country folder ${folderId}`);
+      return updated;
     } catch (error) {
       console.error('Error updating version stats:', error);
       throw error;
     }
   }
 
-  async createCountryFolder(countryCode, folderName, emails = []) {
+  // Someone sent an email to the list; with a version, to that version of it
+  async recordCountryFolderUse(countryCode, folderId, versionId = null) {
+    if (versionId) {
+      await this.updateVersionStats(countryCode, folderId, versionId, 'use');
+      return;
+    }
+
+    const folderPath = `data/countries/${countryCode.toLowerCase()}/${folderId}/folder.json`;
+    await this.stageRecordUpdate(this.transaction(), folderPath, folder => {
+      if (!folder) {
+        throw new Error('Country folder not found');
+      }
+      return this.sealRecord({ ...folder, usageCount: (folder.usageCount || 0) + 1 });
+    }).commit(`Record use of country folder ${folderId}`);
+  }
+
+  // Contacts may also be given as bare address strings
+  async createCountryFolder(countryCode, folderName, contacts = []) {
     try {
+      const folderContacts = contacts.map(normalizeContact);
+      ContentValidator.validateCountryFolder(countryCode, folderName, folderContacts);
+
       const folderId = uuidv4();
       const folderPath = `data/countries/${countryCode.toLowerCase()}/${folderId}`;
-      
-      await this.ensureDirectoryExists(folderPath);
-      await this.ensureDirectoryExists(`${folderPath}/versions`);
+
 
       // Create the folder data structure
       const folderData = {
         id: folderId,
         name: folderName,
         countryCode,
-        emails,
+        contacts: folderContacts,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         // Remove direct IP storage, use anonymized tracking if needed
-        emailCount: emails.length,
+        emailCount: folderContacts.length,
+        schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.COUNTRY_FOLDER],
         checksum: ''
       };
 
       // Generate checksum without including IP information
       folderData.checksum = this.security.generateChecksum(folderData);
 
-      await this.saveData(
-        `${folderPath}/folder.json`,
-        folderData
-      );
+      // Folder file, its index entry and empty versions directory land in one commit
+      await this.stageIndexUpdate(this.transaction(), `${folderPath}/folder.json`, folderData)
+        .put(`${folderPath}/folder.json`, folderData)
+        .put(`${folderPath}/.gitkeep`, '')
+        .put(`${folderPath}/versions/.gitkeep`, '')
+        .commit(`Create country folder ${folderId}`);
 
       return folderData;
     } catch (error) {
@@ -1565,47 +1998,63 @@ class GitHubStorage {
       throw error;
     }
   }
-  
-  // Modified method to load country folders with better privacy
+
+  // Adds contacts to an existing list, skipping addresses it already has
+  async extendCountryFolder(countryCode, folderId, contacts) {
+    const folderPath = `data/countries/${countryCode.toLowerCase()}/${folderId}/folder.json`;
+    const folder = await this.loadData(folderPath);
+    if (!folder) {
+      throw new Error('Country folder not found');
+    }
+
+    const { contacts: merged, added } = mergeContacts(contactsOf(folder), contacts.map(normalizeContact));
+    ContentValidator.validateCountryFolder(countryCode, folder.name, merged);
+
+    const updated = this.sealRecord({
+      ...folder,
+      contacts: merged,
+      emailCount: merged.length,
+      updatedAt: new Date().toISOString()
+    });
+
+    await this.stageIndexUpdate(this.transaction(), folderPath, updated)
+      .put(folderPath, updated)
+      .commit(`Add ${added.length} contacts to country folder ${folderId}`);
+
+    return { folder: updated, added: added.length };
+  }
+
+  // Country folder summaries for listing; loadCountryFolder has the emails
   async loadCountryFolders(countryCode) {
     try {
-      const path = `data/countries/${countryCode.toLowerCase()}`;
-      const files = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
-      
-      if (!Array.isArray(files)) {
-        return [];
-      }
-
-      const folders = await Promise.all(
-        files
-          .filter(file => file.type === 'dir')
-          .map(async folder => {
-            try {
-              const data = await this.loadData(`${path}/${folder.name}/folder.json`);
-              // Remove any potentially sensitive data before returning
-              const {
-                checksum,
-                ...safeData
-              } = data;
-              return safeData;
-            } catch (error) {
-              console.warn(`Failed to load folder ${folder.name}:`, error);
-              return null;
-            }
-          })
+      const folders = await this.loadFederatedEntries(
+        `data/countries/${countryCode.toLowerCase()}/${COUNTRY_FOLDER_INDEX_FILE}`
       );
 
-      return folders
-        .filter(f => f !== null)
-        .sort((a, b) => 
-          new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime()
-        );
+      // Most used first, so the lists people actually send to rise to the top
+      return folders.sort((a, b) =>
+        (b.usageCount || 0) - (a.usageCount || 0) ||
+        new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime()
+      );
     } catch (error) {
       console.error('Error loading country folders:', error);
       return [];
     }
   }
 
+  async loadCountryFolder(countryCode, folderId) {
+    const data = await this.firstFromOrigins(storage => storage.loadData(
+      `data/countries/${countryCode.toLowerCase()}/${folderId}/folder.json`
+    ));
+    if (!data) {
+      return null;
+    }
+
+    // Remove any potentially sensitive data before returning
+    const { checksum, ...safeData } = data;
+    return safeData;
+  }
+
   // Helper method to get total stats for a version
   async getVersionStats(countryCode, folderId, versionId) {
     try {
@@ -1629,27 +2078,29 @@ class GitHubStorage {
     }
   }
 
-  // Create email version (for modifications without password)
+  // Create email version (for modifications without password). A version is a
+  // proposed subject and body; attachments stay with the original
   async createEmailVersion(folderId, emailId, modifications) {
     const originalEmail = await this.loadData(`data/emails/${folderId}/${emailId}.json`);
     if (!originalEmail) {
       throw new Error('Original email not found');
     }
+    ContentValidator.validateEmail(modifications);
 
+    const existing = await this.loadEmailVersions(folderId, emailId);
     const versionId = uuidv4();
-    const emailVersion = {
-      ...originalEmail,
+    const emailVersion = this.sealRecord({
       id: versionId,
+      folderId,
       originalEmailId: emailId,
-      ...modifications,
+      subject: modifications.subject,
+      body: modifications.body,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      version: (originalEmail.version || 1) + 1,
-      likes: 0
-    };
-
-    // Update checksum
-    emailVersion.checksum = this.security.generateChecksum(emailVersion);
+      version: Math.max(originalEmail.version || 1, ...existing.map(v => v.version)) + 1,
+      likes: 0,
+      schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.EMAIL_VERSION]
+    });
 
     await this.saveData(
       `data/emails/${folderId}/versions/${versionId}.json`, 
@@ -1659,64 +2110,110 @@ class GitHubStorage {
     return emailVersion;
   }
 
+  async likeEmailVersion(folderId, versionId) {
+    const path = `data/emails/${folderId}/versions/${versionId}.json`;
+    let updated;
+    await this.stageRecordUpdate(this.transaction(), path, version => {
+      if (!version) {
+        throw new Error('Version not found');
+      }
+      updated = this.sealRecord({ ...version, likes: (version.likes || 0) + 1, updatedAt: new Date().toISOString() });
+      return updated;
+    }).commit(`Like email version ${versionId}`);
+    return updated;
+  }
+
+  // The email's creator makes a community version the canonical text. The text
+  // it replaces is kept as a version of its own, so nothing proposed is lost
+  async adoptEmailVersion(folderId, emailId, versionId, password) {
+    const emailPath = `data/emails/${folderId}/${emailId}.json`;
+    const versionPath = `data/emails/${folderId}/versions/${versionId}.json`;
+    const [email, version] = await Promise.all([this.loadData(emailPath), this.loadData(versionPath)]);
+
+    if (!email) {
+      throw new Error('Email not found');
+    }
+    if (!version || version.originalEmailId !== emailId) {
+      throw new Error('Version not found');
+    }
+    if (!this.security.verifyPassword(password, email.passwordHash, email.passwordSalt)) {
+      throw new Error('Invalid password');
+    }
+
+    const now = new Date().toISOString();
+    const replaced = this.sealRecord({
+      id: uuidv4(),
+      folderId,
+      originalEmailId: emailId,
+      subject: email.subject,
+      body: email.body,
+      createdAt: email.updatedAt || email.createdAt,
+      updatedAt: now,
+      version: email.version || 1,
+      likes: 0,
+      replacedAt: now,
+      schemaVersion: SCHEMA_VERSIONS[RECORD_TYPES.EMAIL_VERSION]
+    });
+    const adopted = this.sealRecord({ ...version, adoptedAt: now, updatedAt: now });
+    const updatedEmail = this.sealRecord({
+      ...email,
+      subject: version.subject,
+      body: version.body,
+      version: version.version,
+      adoptedVersionId: version.id,
+      updatedAt: now
+    });
+
+    await this.stageIndexUpdate(this.transaction(), emailPath, updatedEmail)
+      .put(emailPath, updatedEmail)
+      .put(versionPath, adopted)
+      .put(`data/emails/${folderId}/versions/${replaced.id}.json`, replaced)
+      .commit(`Adopt version ${version.version} of email ${emailId}`);
+
+    return updatedEmail;
+  }
+
+  // Email summaries for a folder. Attachment contents come from loadAttachment
   async loadEmails(folderId) {
     try {
-      // First check if folder exists to avoid unnecessary calls
-      const folderExists = await this.makeRequest(
-        `${this.baseUrl}/contents/data/emails/${folderId}`
-      ).catch(error => {
-        if (error.message.includes('404')) {
-          return false;
-        }
-        throw error;
-      });
-  
-      // If folder doesn't exist yet, return empty array
-      if (!folderExists) {
-        return [];
-      }
-  
-      // If folder exists and is not an array (not a directory), return empty
-      if (!Array.isArray(folderExists)) {
-        return [];
-      }
-  
-      // Now safely get the email files
-      const emailFiles = folderExists.filter(file => file.name.endsWith('.json'));
-      
-      if (emailFiles.length === 0) {
-        return [];
-      }
-  
-      // Load all emails in parallel
-      const emails = await Promise.all(
-        emailFiles.map(async file => {
-          try {
-            return await this.loadData(`data/emails/${folderId}/${file.name}`);
-          } catch (error) {
-            console.warn(`Failed to load email ${file.name}:`, error);
-            return null;
-          }
-        })
-      );
-  
-      return emails.filter(email => email !== null);
+      return await this.loadFederatedEntries(`data/emails/${folderId}/${INDEX_FILE}`);
     } catch (error) {
       console.warn(`Error loading emails for folder ${folderId}:`, error);
       return [];
     }
   }
 
+  async loadAttachment(folderId, emailId, name) {
+    return this.firstFromOrigins(storage => storage.loadOwnAttachment(folderId, emailId, name));
+  }
+
+  async loadOwnAttachment(folderId, emailId, name) {
+    try {
+      const attachment = await this.loadData(`data/attachments/${folderId}/${emailId}/${name}`);
+      if (attachment) {
+        return attachment;
+      }
+    } catch (error) {
+      // Older attachment files were sealed differently, the email keeps a copy
+      console.warn(`Falling back to the email copy of ${name}:`, error);
+    }
+
+    const email = await this.loadData(`data/emails/${folderId}/${emailId}.json`);
+    return email?.attachments?.find(attachment => attachment.name === name) || null;
+  }
+
   // Load folder by share token
   async loadFolderByShareToken(token) {
     try {
-      const linkData = await this.loadData(`data/metadata/links/${token}.json`);
+      const linkData = await this.firstFromOrigins(storage => storage.loadData(`data/metadata/links/${token}.json`));
       if (!linkData) {
         throw new Error('Invalid share token');
       }
 
-      const folder = await this.loadData(`data/folders/${linkData.folderId}.json`) ||
-                    await this.loadData(`data/silent/folders/${linkData.folderId}.json`);
+      const folder = await this.firstFromOrigins(async storage =>
+        await storage.loadData(`data/folders/${linkData.folderId}.json`) ||
+        await storage.loadData(`data/silent/folders/${linkData.folderId}.json`)
+      );
 
       if (!folder) {
         throw new Error('Folder not found');
@@ -1751,22 +2248,34 @@ class GitHubStorage {
     const interactions = await this.getFolderInteractions(folderId);
   
     if (folderAge >= TIME_TO_APPROVE || interactions >= MIN_INTERACTIONS) {
-      // Move to active folders
-      await this.saveData(`data/folders/${folderId}.json`, {
-        ...silentFolder,
-        status: FOLDER_STATUS.ACTIVE,
-        approvedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
-  
-      // Delete from silent folders
-      await this.deleteFile(`data/silent/folders/${folderId}.json`);
-      return await this.loadData(`data/folders/${folderId}.json`);
+      return this.approveFolder(silentFolder);
     }
   
     return silentFolder;
   }
 
+  // Move a silent folder to the active list, whether or not it has met the
+  // approval rules above; the copy, the delete and both indexes land together
+  async approveFolder(silentFolder) {
+    const folderId = silentFolder.id;
+    const approvedFolder = this.sealRecord({
+      ...silentFolder,
+      status: FOLDER_STATUS.ACTIVE,
+      approvedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    const activePath = `data/folders/${folderId}.json`;
+    const silentPath = `data/silent/folders/${folderId}.json`;
+    const transaction = this.transaction()
+      .put(activePath, approvedFolder)
+      .delete(silentPath);
+    this.stageIndexUpdate(transaction, activePath, approvedFolder);
+    this.stageIndexUpdate(transaction, silentPath, null);
+    await transaction.commit(`Approve folder ${folderId}`);
+    return approvedFolder;
+  }
+
   // Get folder interactions count
   async getFolderInteractions(folderId) {
     let interactionCount = 0;
@@ -1781,10 +2290,8 @@ class GitHubStorage {
       interactionCount += emailLikes;
   
       // Count versions
-      const versions = await Promise.all(
-        emails.map(email => this.loadEmailVersions(folderId, email.id))
-      );
-      interactionCount += versions.flat().length;
+      const versions = await this.loadFolderEmailVersions(folderId);
+      interactionCount += versions.length;
   
     } catch (error) {
       console.error('Error counting interactions:', error);
@@ -1798,7 +2305,7 @@ class GitHubStorage {
     const folder = await this.loadData(`data/folders/${folderId}.json`);
     const { hash: newAdminHash, salt: newAdminSalt } = this.security.hashPassword(newOwnerPassword);
 
-    const forkedFolder = {
+    const forkedFolder = this.sealRecord({
       ...folder,
       id: uuidv4(),
       forkedFrom: folderId,
@@ -1806,7 +2313,7 @@ class GitHubStorage {
       adminHash: newAdminHash,
       adminSalt: newAdminSalt,
       status: FOLDER_STATUS.SILENT
-    };
+    });
 
     await this.saveData(
       `data/silent/folders/${forkedFolder.id}.json`,
@@ -1820,6 +2327,17 @@ class GitHubStorage {
   }
 
   // Delete content with authentication
+  // The deployment's admin password (VITE_ADMIN_PASSWORD_HASH/SALT) guards
+  // moderation and repository repairs
+  assertAdminPassword(password) {
+    const adminHash = env.VITE_ADMIN_PASSWORD_HASH;
+    const adminSalt = env.VITE_ADMIN_PASSWORD_SALT;
+
+    if (!adminHash || !adminSalt || !this.security.verifyPassword(password, adminHash, adminSalt)) {
+      throw new Error('Invalid admin password');
+    }
+  }
+
   async deleteContent(path, password, adminOverride = false) {
     const content = await this.loadData(path);
     if (!content) {
@@ -1828,12 +2346,7 @@ class GitHubStorage {
 
     // Allow admin override with admin password
     if (adminOverride) {
-      const adminHash = import.meta.env.VITE_ADMIN_PASSWORD_HASH;
-      const adminSalt = import.meta.env.VITE_ADMIN_PASSWORD_SALT;
-      
-      if (!this.security.verifyPassword(password, adminHash, adminSalt)) {
-        throw new Error('Invalid admin password');
-      }
+      this.assertAdminPassword(password);
     } else {
       // Verify content creator's password
       if (!this.security.verifyPassword(
@@ -1846,14 +2359,7 @@ class GitHubStorage {
     }
 
     try {
-      const file = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
-      await this.makeRequest(`${this.baseUrl}/contents/${path}`, {
-        method: 'DELETE',
-        body: JSON.stringify({
-          message: `Delete ${path}`,
-          sha: file.sha
-        })
-      });
+      await this.removeRecord(path);
     } catch (error) {
       console.error('Error deleting content:', error);
       throw error;
@@ -1868,16 +2374,23 @@ class GitHubStorage {
     }
   }
 
+  // Delete a file, dropping its index entry in the same commit when it has one
+  async removeRecord(path) {
+    if (!indexTargetFor(path)) {
+      return this.adapter.delete(path, { message: `Delete ${path}` });
+    }
+    if (!await this.adapter.read(path)) {
+      return false;
+    }
+
+    await this.stageIndexUpdate(this.transaction().delete(path), path, null)
+      .commit(`Delete ${path}`);
+    return true;
+  }
+
   async deleteFile(path) {
     try {
-      const file = await this.makeRequest(`${this.baseUrl}/contents/${path}`);
-      await this.makeRequest(`${this.baseUrl}/contents/${path}`, {
-        method: 'DELETE',
-        body: JSON.stringify({
-          message: `Delete ${path}`,
-          sha: file.sha
-        })
-      });
+      await this.removeRecord(path);
     } catch (error) {
       if (!error.message.includes('404')) {
         console.error('Error deleting file:', error);
@@ -1946,15 +2459,17 @@ class GitHubStorage {
     }
   }
 
+  // Reports are added to the list as stored when the commit lands, so two
+  // reports at once both count
   async addToBlacklist(ip, evidence) {
     const ipHash = CryptoJS.SHA256(ip).toString();
-    let blacklist;
+    let blacklisted = false;
 
-    try {
-      blacklist = await this.loadData('data/blacklist/ips.json') || { 
-        ips: [], 
+    const addReport = content => {
+      const blacklist = content ? JSON.parse(content) : {
+        ips: [],
         entries: {},
-        pendingReports: {} 
+        pendingReports: {}
       };
 
       if (!blacklist.pendingReports[ipHash]) {
@@ -1984,10 +2499,18 @@ class GitHubStorage {
           reports: recentReports
         };
         delete blacklist.pendingReports[ipHash];
-        this.security.blacklistedIPs.add(ip);
       }
+      blacklisted = blacklist.ips.includes(ipHash);
+      return JSON.stringify(blacklist, null, 2);
+    };
 
-      await this.saveData('data/blacklist/ips.json', blacklist);
+    try {
+      await this.transaction()
+        .update('data/blacklist/ips.json', addReport)
+        .commit('Report suspicious IP');
+      if (blacklisted) {
+        this.security.blacklistedIPs.add(ip);
+      }
     } catch (error) {
       console.error('Error updating blacklist:', error);
       throw error;
@@ -1996,9 +2519,10 @@ class GitHubStorage {
 
   async getSuspiciousIPs() {
     try {
-      const files = await this.makeRequest(
-        `${this.baseUrl}/contents/data/maliciousips`
-      );
+      const files = await this.adapter.list('data/maliciousips');
+      if (!Array.isArray(files)) {
+        return [];
+      }
 
       const suspiciousIPs = await Promise.all(
         files
@@ -2017,21 +2541,48 @@ class GitHubStorage {
     }
   }
 
-  // Modified security manager methods for better anonymity
-  async flagSuspiciousIP(action) {
+  // One record per client, action and window with the number of requests
+  // turned away (see SecurityManager.sweepRateLimits)
+  async flagSuspiciousIP({ action, attempts, since }) {
     // Instead of storing IPs, just increment anonymous counters
     const suspiciousActivity = {
       action,
-      timestamp: new Date().toISOString(),
-      attempts: 1
+      timestamp: new Date(since).toISOString(),
+      attempts
     };
 
     const path = `data/maliciousips/anonymous_${uuidv4()}.json`;
     await this.saveData(path, suspiciousActivity);
   }
 }
-// Create the singleton instance first
-const githubStorageInstance = new GitHubStorage();
+
+// Create the singleton instance first. With VITE_STORAGE_BACKEND=proxy the browser
+// holds no token and talks to server/proxyServer.js instead; Node callers build
+// their own GitHubStorage with an explicit adapter
+function createDefaultStorage() {
+  if (!isBrowser) {
+    return null;
+  }
+  if (env.VITE_STORAGE_BACKEND === 'proxy') {
+    if (!env.VITE_PROXY_URL) {
+      throw new Error('Missing required environment variables: VITE_PROXY_URL');
+    }
+    return new ProxyStorage({ url: env.VITE_PROXY_URL, security: new SecurityManager() });
+  }
+
+  const storage = new GitHubStorage(undefined, { mirrorToken: env.VITE_GITHUB_TOKEN });
+  storage.connectMirrors(forkSources.list());
+  forkSources.subscribe(sources => storage.connectMirrors(sources));
+  return storage;
+}
+
+const githubStorageInstance = createDefaultStorage();
 
 // Then export everything together
-export { githubStorageInstance as githubStorage, GitHubStorage, FOLDER_STATUS };
\ No newline at end of file
+export {
+  githubStorageInstance as githubStorage,
+  GitHubStorage,
+  FOLDER_STATUS,
+  SecurityManager,
+  ContentValidator
+};
\ No newline at end of file
@@ -0,0 +1,176 @@
+// httpCache.js
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+const RESPONSES_STORE = 'responses';
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Drop entries nobody revalidated for a week
+// Bodies kept in memory, least recently used dropped first. Where IndexedDB
+// is missing (the proxy, the CLI) this is the whole cache for the life of the process
+const MAX_MEMORY_BYTES = 32 * 1024 * 1024;
+
+// Remembers GET responses together with their ETag so the next request for the
+// same URL can be sent with If-None-Match. GitHub answers unchanged resources
+// with a 304 that does not count against the rate limit. Entries live in
+// IndexedDB so they survive reloads; where IndexedDB is missing (Node) the
+// cache simply stays in memory, up to maxMemoryBytes of bodies.
+export class HttpCache {
+  constructor({ dbName = 'system-ya-mbogi-http-cache', maxMemoryBytes = MAX_MEMORY_BYTES } = {}) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+    // Insertion ordered, so the first entry is the least recently used
+    this.memory = new Map();
+    this.memoryBytes = 0;
+    this.maxMemoryBytes = maxMemoryBytes;
+    this.stats = { hits: 0, misses: 0, stores: 0, invalidations: 0 };
+  }
+
+  // Bodies are strings; two bytes a character is what they cost in memory
+  static sizeOf(entry) {
+    return (entry.body?.length || 0) * 2;
+  }
+
+  remember(entry) {
+    this.forget(entry.url);
+    const size = HttpCache.sizeOf(entry);
+    if (size > this.maxMemoryBytes) {
+      return;
+    }
+
+    this.memory.set(entry.url, entry);
+    this.memoryBytes += size;
+    for (const [url] of this.memory) {
+      if (this.memoryBytes <= this.maxMemoryBytes) break;
+      this.forget(url);
+    }
+  }
+
+  forget(url) {
+    const entry = this.memory.get(url);
+    if (entry) {
+      this.memory.delete(url);
+      this.memoryBytes -= HttpCache.sizeOf(entry);
+    }
+  }
+
+  static isExpired(entry) {
+    return entry.storedAt < Date.now() - MAX_AGE;
+  }
+
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(this.dbName, 1, (db) => {
+        if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+          db.createObjectStore(RESPONSES_STORE, { keyPath: 'url' });
+        }
+      })
+        .then(async db => {
+          await this.pruneExpired(db);
+          return db;
+        })
+        .catch(error => {
+          console.warn('HTTP cache falling back to memory:', error.message);
+          return null;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  async pruneExpired(db) {
+    const transaction = db.transaction(RESPONSES_STORE, 'readwrite');
+    const cutoff = Date.now() - MAX_AGE;
+
+    transaction.objectStore(RESPONSES_STORE).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.storedAt < cutoff) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+  }
+
+  // Resolves { url, etag, body, storedAt } or null
+  async get(url) {
+    const remembered = this.memory.get(url);
+    if (remembered && !HttpCache.isExpired(remembered)) {
+      this.remember(remembered);
+      return remembered;
+    }
+    this.forget(url);
+
+    const db = await this.getDatabase();
+    if (!db) {
+      return null;
+    }
+
+    const entry = await promisifyRequest(
+      db.transaction(RESPONSES_STORE).objectStore(RESPONSES_STORE).get(url)
+    );
+    if (!entry || HttpCache.isExpired(entry)) {
+      return null;
+    }
+    this.remember(entry);
+    return entry;
+  }
+
+  async set(url, etag, body) {
+    const entry = { url, etag, body, storedAt: Date.now() };
+    this.remember(entry);
+    this.stats.stores++;
+
+    const db = await this.getDatabase();
+    if (db) {
+      const transaction = db.transaction(RESPONSES_STORE, 'readwrite');
+      transaction.objectStore(RESPONSES_STORE).put(entry);
+      await transactionDone(transaction);
+    }
+  }
+
+  async invalidate(urls) {
+    const list = Array.isArray(urls) ? urls : [urls];
+    list.forEach(url => this.forget(url));
+    this.stats.invalidations += list.length;
+
+    const db = await this.getDatabase();
+    if (db) {
+      const transaction = db.transaction(RESPONSES_STORE, 'readwrite');
+      const store = transaction.objectStore(RESPONSES_STORE);
+      list.forEach(url => store.delete(url));
+      await transactionDone(transaction);
+    }
+  }
+
+  recordHit() {
+    this.stats.hits++;
+  }
+
+  recordMiss() {
+    this.stats.misses++;
+  }
+
+  getStats() {
+    const requests = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: requests > 0 ? this.stats.hits / requests : 0,
+      entriesInMemory: this.memory.size,
+      bytesInMemory: this.memoryBytes
+    };
+  }
+
+  async clear() {
+    this.memory.clear();
+    this.memoryBytes = 0;
+    this.stats = { hits: 0, misses: 0, stores: 0, invalidations: 0 };
+
+    const db = await this.getDatabase();
+    if (db) {
+      const transaction = db.transaction(RESPONSES_STORE, 'readwrite');
+      transaction.objectStore(RESPONSES_STORE).clear();
+      await transactionDone(transaction);
+    }
+  }
+}
+
+// One cache for every module that talks to the storage API
+export const httpCache = new HttpCache();
@@ -0,0 +1,151 @@
+// indexes.js
+// Index documents keep a summary of every record in a directory so list views
+// need one request instead of one per file. Writes keep them current and
+// rebuildIndexes() in GitHubStorage regenerates them from the records.
+
+export const INDEX_FILE = 'index.json';
+
+// Country directories hold both email files and folder subdirectories, so the
+// folders get an index of their own next to the email index
+export const COUNTRY_FOLDER_INDEX_FILE = 'folders.index.json';
+
+export function isIndexFile(name) {
+  return /(^|[/.])index\.json$/.test(name);
+}
+
+export function summarizeFolder(folder) {
+  return {
+    id: folder.id,
+    name: folder.name,
+    targetEmail: folder.targetEmail,
+    status: folder.status,
+    createdAt: folder.createdAt,
+    updatedAt: folder.updatedAt,
+    ...(folder.approvedAt && { approvedAt: folder.approvedAt }),
+    ...(folder.forkedFrom && { forkedFrom: folder.forkedFrom })
+  };
+}
+
+// The email list shows the whole body, so it stays in the summary. Attachment
+// contents do not; they are fetched when someone downloads them
+export function summarizeEmail(email) {
+  return {
+    id: email.id,
+    ...(email.folderId && { folderId: email.folderId }),
+    ...(email.countryCode && { countryCode: email.countryCode }),
+    subject: email.subject,
+    body: email.body,
+    likes: email.likes || 0,
+    createdAt: email.createdAt,
+    updatedAt: email.updatedAt,
+    status: email.status || 'active',
+    ...(email.version && { version: email.version }),
+    attachments: (email.attachments || []).map(({ name, type, size }) => ({ name, type, size }))
+  };
+}
+
+export function summarizeCountryFolder(folder) {
+  return {
+    id: folder.id,
+    name: folder.name,
+    countryCode: folder.countryCode,
+    emailCount: folder.emailCount ?? (folder.contacts || folder.emails)?.length ?? 0,
+    usageCount: folder.usageCount || 0,
+    createdAt: folder.createdAt,
+    updatedAt: folder.updatedAt
+  };
+}
+
+// Which index a record file belongs to, or null for files that are not indexed
+export function indexTargetFor(path) {
+  let match = path.match(/^data\/folders\/([^/]+)\.json$/);
+  if (match && match[1] !== 'index') {
+    return { indexPath: `data/folders/${INDEX_FILE}`, id: match[1], summarize: summarizeFolder };
+  }
+
+  match = path.match(/^data\/silent\/folders\/([^/]+)\.json$/);
+  if (match && match[1] !== 'index') {
+    return { indexPath: `data/silent/folders/${INDEX_FILE}`, id: match[1], summarize: summarizeFolder };
+  }
+
+  match = path.match(/^data\/emails\/([^/]+)\/([^/]+)\.json$/);
+  if (match && match[2] !== 'index') {
+    return { indexPath: `data/emails/${match[1]}/${INDEX_FILE}`, id: match[2], summarize: summarizeEmail };
+  }
+
+  match = path.match(/^data\/countries\/([^/]+)\/([^/]+)\/folder\.json$/);
+  if (match) {
+    return {
+      indexPath: `data/countries/${match[1]}/${COUNTRY_FOLDER_INDEX_FILE}`,
+      id: match[2],
+      summarize: summarizeCountryFolder
+    };
+  }
+
+  match = path.match(/^data\/countries\/([^/]+)\/([^/]+)\.json$/);
+  if (match && !isIndexFile(path)) {
+    return { indexPath: `data/countries/${match[1]}/${INDEX_FILE}`, id: match[2], summarize: summarizeEmail };
+  }
+
+  return null;
+}
+
+export function parseIndex(content) {
+  if (!content) {
+    return { updatedAt: null, entries: [] };
+  }
+  const index = JSON.parse(content);
+  return { ...index, entries: Array.isArray(index.entries) ? index.entries : [] };
+}
+
+export function serializeIndex(entries) {
+  return JSON.stringify({ updatedAt: new Date().toISOString(), entries }, null, 2);
+}
+
+// Adds or replaces the entry for `id`, or removes it when summary is null
+export function replaceIndexEntry(entries, id, summary) {
+  const remaining = entries.filter(entry => entry.id !== id);
+  return summary ? [...remaining, summary] : remaining;
+}
+
+// Reverse index: per folder, the share tokens and attachment files that belong
+// to it, so deleting the folder or collecting garbage does not have to open
+// every link file to find them
+export const FOLDER_REFS_DIR = 'data/metadata/refs';
+
+export function folderRefsPath(folderId) {
+  return `${FOLDER_REFS_DIR}/${folderId}.json`;
+}
+
+// Tombstones, one per folder deleteFolder removed, so garbage collection can
+// tell a folder deleted here from one only a fork holds
+export const DELETED_FOLDERS_DIR = 'data/metadata/deleted';
+
+export function deletedFolderPath(folderId) {
+  return `${DELETED_FOLDERS_DIR}/${folderId}.json`;
+}
+
+export function parseFolderRefs(content, folderId) {
+  const refs = content ? JSON.parse(content) : {};
+  return {
+    folderId: refs.folderId || folderId,
+    shareTokens: Array.isArray(refs.shareTokens) ? refs.shareTokens : [],
+    attachments: Array.isArray(refs.attachments) ? refs.attachments : []
+  };
+}
+
+export function serializeFolderRefs(refs) {
+  return JSON.stringify({ ...refs, updatedAt: new Date().toISOString() }, null, 2);
+}
+
+// Adds (or with remove, drops) share tokens and attachment paths
+export function mergeFolderRefs(refs, { shareTokens = [], attachments = [] }, { remove = false } = {}) {
+  const apply = (current, changes) => remove
+    ? current.filter(item => !changes.includes(item))
+    : [...new Set([...current, ...changes])];
+  return {
+    ...refs,
+    shareTokens: apply(refs.shareTokens, shareTokens),
+    attachments: apply(refs.attachments, attachments)
+  };
+}
@@ -1,84 +1,28 @@
 // initStorage.js
 import { githubStorage } from './githubStorage.js';
+import { httpCache } from './httpCache.js';
+import { PRIORITY } from './requestScheduler.js';
 
-// Cache for directory existence checks
-const directoryCache = new Map();
-const FILE_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// Setup is housekeeping, so its requests wait behind anything a user started
+const backgroundStorage = githubStorage.withPriority(PRIORITY.BACKGROUND);
 
-// Optimized base64 encoding with caching
-const base64Cache = new Map();
-function toBase64(str) {
-  if (base64Cache.has(str)) {
-    return base64Cache.get(str);
-  }
-  const encoded = btoa(unescape(encodeURIComponent(str)));
-  base64Cache.set(str, encoded);
-  return encoded;
-}
-
-// Concurrent request limiter
-class RequestLimiter {
-  constructor(maxConcurrent = 3) {
-    this.maxConcurrent = maxConcurrent;
-    this.running = 0;
-    this.queue = [];
-  }
-
-  async runTask(task) {
-    if (this.running >= this.maxConcurrent) {
-      await new Promise(resolve => this.queue.push(resolve));
-    }
-    this.running++;
-    
-    try {
-      return await task();
-    } finally {
-      this.running--;
-      if (this.queue.length > 0) {
-        const next = this.queue.shift();
-        next();
-      }
-    }
-  }
-}
-
-const requestLimiter = new RequestLimiter(3);
-
-// Optimized file info retrieval with caching
+// File info retrieval; repeat lookups are revalidated through the shared HTTP cache
 async function getFileInfo(path, maxRetries = 2) {
-  const cacheKey = `fileInfo:${path}`;
-  const cached = directoryCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < FILE_CACHE_DURATION) {
-    return cached.data;
-  }
-
   const backoff = (attempt) => Math.min(1000 * Math.pow(2, attempt), 5000);
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
-      const response = await requestLimiter.runTask(() =>
-        githubStorage.makeRequest(`${githubStorage.baseUrl}/contents/${path}`)
-      );
-      
-      const result = !response ? { exists: false } :
-                    Array.isArray(response) ? { exists: true, isDirectory: true } :
-                    { exists: true, sha: response.sha, content: response.content };
-
-      directoryCache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
+      const [file, directory] = await Promise.all([
+        backgroundStorage.adapter.read(path),
+        backgroundStorage.adapter.list(path)
+      ]);
       
-      return result;
+      return file ? { exists: true, sha: file.sha, content: file.content } :
+             directory ? { exists: true, isDirectory: true } :
+             { exists: false };
     } catch (error) {
       if (error.message?.includes('404')) {
-        const result = { exists: false };
-        directoryCache.set(cacheKey, {
-          data: result,
-          timestamp: Date.now()
-        });
-        return result;
+        return { exists: false };
       }
       
       if (attempt === maxRetries - 1) throw error;
@@ -90,30 +34,15 @@ async function getFileInfo(path, maxRetries = 2) {
 // Optimized file writing with retries
 async function writeFile(path, content, maxRetries = 2) {
   const contentStr = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
-  const encodedContent = toBase64(contentStr);
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
       const info = await getFileInfo(path);
-      
-      const requestBody = {
-        message: `${info.exists ? 'Update' : 'Create'} ${path}`,
-        content: encodedContent,
-        ...(info.sha && { sha: info.sha })
-      };
-
-      await requestLimiter.runTask(() =>
-        githubStorage.makeRequest(
-          `${githubStorage.baseUrl}/contents/${path}`,
-          {
-            method: 'PUT',
-            body: JSON.stringify(requestBody)
-          }
-        )
-      );
 
-      // Invalidate cache after successful write
-      directoryCache.delete(`fileInfo:${path}`);
+      await backgroundStorage.adapter.write(path, contentStr, {
+        sha: info.sha,
+        message: `${info.exists ? 'Update' : 'Create'} ${path}`
+      });
       return true;
     } catch (error) {
       if (error.message?.includes('409') && attempt < maxRetries - 1) {
@@ -173,6 +102,11 @@ class DirectoryManager {
 
 // Simplified initialization code with better resilience
 export async function initializeStorage() {
+  // Behind the proxy (proxyStorage.js) there is no adapter here; the server sets up storage
+  if (!githubStorage.adapter) {
+    return { success: true };
+  }
+
   try {
     // Basic required directories
     const directories = [
@@ -192,7 +126,7 @@ export async function initializeStorage() {
 
     // Create directories sequentially to avoid conflicts
     for (const dir of directories) {
-      await githubStorage.ensureDirectoryExists(dir);
+      await backgroundStorage.ensureDirectoryExists(dir);
       // Small delay between operations
       await new Promise(resolve => setTimeout(resolve, 100));
     }
@@ -209,7 +143,7 @@ export async function initializeStorage() {
 
     // Create files sequentially
     for (const [path, content] of Object.entries(files)) {
-      await githubStorage.createFile(
+      await backgroundStorage.createFile(
         path, 
         JSON.stringify(content, null, 2),
         `Initialize ${path}`
@@ -232,17 +166,22 @@ export async function initializeStorage() {
 
 // Add monitoring
 export function getInitializationStats() {
+  const stats = httpCache.getStats();
   return {
     cacheSizes: {
-      directoryCache: directoryCache.size,
-      base64Cache: base64Cache.size
+      httpCache: stats.entriesInMemory
     },
-    cacheEntries: Array.from(directoryCache.keys())
+    cacheStats: {
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: stats.hitRate,
+      stores: stats.stores,
+      invalidations: stats.invalidations
+    }
   };
 }
 
 // Clear caches if needed
 export function clearCaches() {
-  directoryCache.clear();
-  base64Cache.clear();
+  return httpCache.clear();
 }
\ No newline at end of file
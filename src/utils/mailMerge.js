@@ -0,0 +1,132 @@
+// mailMerge.js
+// Placeholders in email templates, filled in per recipient when the email is
+// sent: "Dear {{recipient.name|Honourable Member}}," becomes "Dear Hon. Jane
+// Doe," for a contact with a name and "Dear Honourable Member," for one without.
+// Recipients are contact records (see contacts.js).
+
+export const PLACEHOLDERS = [
+  { key: 'recipient.name', label: "Recipient's name", field: 'fullName' },
+  { key: 'recipient.title', label: "Recipient's office", field: 'title' },
+  { key: 'recipient.email', label: "Recipient's email", field: 'email' },
+  { key: 'recipient.party', label: "Recipient's party", field: 'party' },
+  { key: 'county', label: 'County', field: 'county' },
+  { key: 'constituency', label: 'Constituency', field: 'constituency' },
+  { key: 'ward', label: 'Ward', field: 'ward' },
+  { key: 'sender.name', label: 'Your name' },
+  { key: 'sender.email', label: 'Your email' },
+  { key: 'date', label: "Today's date" }
+];
+
+const KNOWN_KEYS = new Set(PLACEHOLDERS.map(placeholder => placeholder.key));
+
+// {{ key }} or {{ key|fallback }}
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|]*?)\s*(?:\|([^{}]*))?\}\}/g;
+
+// Shown in the editor preview
+export const SAMPLE_RECIPIENT = {
+  email: 'jane.doe@parliament.go.ke',
+  fullName: 'Hon. Jane Doe',
+  title: 'Member of Parliament',
+  party: 'Independent',
+  county: 'Kisumu',
+  constituency: 'Kisumu Central',
+  ward: 'Railways'
+};
+
+export function usesPlaceholder(text, prefix) {
+  return Array.from(String(text || '').matchAll(PLACEHOLDER_PATTERN)).some(([, key]) => key.startsWith(prefix));
+}
+
+// True when the letter differs from one recipient to the next
+export function isPersonalised(email) {
+  const text = `${email.subject}\n${email.body}`;
+  return PLACEHOLDERS.some(placeholder => placeholder.field && usesPlaceholder(text, placeholder.key));
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Problems in a template as [{ index, message }], empty when it is fine
+export function checkTemplate(text) {
+  const source = String(text || '');
+  const problems = [];
+
+  for (const match of source.matchAll(PLACEHOLDER_PATTERN)) {
+    const key = match[1];
+    if (!key) {
+      problems.push({ index: match.index, message: `Empty placeholder ${match[0]}` });
+    } else if (!KNOWN_KEYS.has(key)) {
+      const closest = PLACEHOLDERS
+        .map(placeholder => ({ key: placeholder.key, distance: editDistance(key, placeholder.key) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      problems.push({
+        index: match.index,
+        message: closest.distance <= 3
+          ? `Unknown placeholder {{${key}}}, did you mean {{${closest.key}}}?`
+          : `Unknown placeholder {{${key}}}`
+      });
+    }
+  }
+
+  // Braces left over once the well-formed placeholders are taken out
+  const rest = source.replace(PLACEHOLDER_PATTERN, match => ' '.repeat(match.length));
+  for (const match of rest.matchAll(/\{\{|\}\}/g)) {
+    problems.push({
+      index: match.index,
+      message: match[0] === '{{' ? 'A placeholder opened with {{ is never closed with }}' : 'Stray }} without an opening {{'
+    });
+  }
+
+  return problems.sort((a, b) => a.index - b.index);
+}
+
+// Values for every placeholder. `recipient` is a contact, `sender` is
+// { name, email } as remembered on this device (senderProfile.js)
+export function mergeValues({ recipient = {}, sender = {}, date = new Date() } = {}) {
+  const values = {
+    'sender.name': sender.name || '',
+    'sender.email': sender.email || '',
+    date: date.toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' })
+  };
+  PLACEHOLDERS
+    .filter(placeholder => placeholder.field)
+    .forEach(placeholder => { values[placeholder.key] = recipient[placeholder.field] || ''; });
+  return values;
+}
+
+// Unknown placeholders are left as they are so a typo shows in the sent email
+// rather than silently disappearing
+export function renderTemplate(text, values) {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (match, key, fallback) => {
+    if (!KNOWN_KEYS.has(key)) return match;
+    return values[key] || (fallback || '').trim();
+  });
+}
+
+export function renderEmail(email, context) {
+  const values = mergeValues(context);
+  return { ...email, subject: renderTemplate(email.subject, values), body: renderTemplate(email.body, values) };
+}
+
+// One letter to several recipients: the fields they all share (the county of
+// a county's officials) are kept and the rest fall back to their defaults
+export function sharedRecipient(contacts) {
+  if (contacts.length === 1) return contacts[0];
+  const shared = {};
+  PLACEHOLDERS.filter(placeholder => placeholder.field).forEach(({ field }) => {
+    const values = new Set(contacts.map(contact => contact[field] || ''));
+    if (values.size === 1) shared[field] = contacts[0]?.[field] || '';
+  });
+  return shared;
+}
@@ -0,0 +1,132 @@
+// mailProviders.js
+import { MAX_MAILTO_LENGTH, buildMailto } from './mailtoBatches.js';
+
+// Where a composed email opens. A mailto: link needs a mail app on the device,
+// which many phones and shared computers don't have, so the big webmail
+// services are offered through their compose URLs. The choice is remembered on
+// this device only.
+//
+// A message is { addresses, placement, subject, body } as for buildMailto.
+
+const STORAGE_KEY = 'mbogi-mail-provider';
+
+// Webmail compose pages are ordinary GET requests, and Google, Microsoft and
+// Yahoo reject request lines much past 8 KB
+const WEBMAIL_MAX_LENGTH = 8000;
+
+// Encodes every value, leaving out empty fields
+function webmailUrl(base, fields) {
+  const query = Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+  return query ? `${base}${base.includes('?') ? '&' : '?'}${query}` : base;
+}
+
+// { to, cc, bcc } with the addresses in the chosen field
+function recipientFields({ addresses = [], placement = 'bcc' }) {
+  return { to: '', cc: '', bcc: '', [placement]: addresses.join(',') };
+}
+
+export const MAIL_PROVIDERS = {
+  mailto: {
+    label: 'Default mail app',
+    maxLength: MAX_MAILTO_LENGTH,
+    compose: buildMailto
+  },
+  gmail: {
+    label: 'Gmail',
+    maxLength: WEBMAIL_MAX_LENGTH,
+    compose: (message) => webmailUrl('https://mail.google.com/mail/?view=cm&fs=1', {
+      ...recipientFields(message),
+      su: message.subject,
+      body: message.body
+    })
+  },
+  outlook: {
+    label: 'Outlook.com',
+    maxLength: WEBMAIL_MAX_LENGTH,
+    compose: (message) => webmailUrl('https://outlook.live.com/mail/0/deeplink/compose', {
+      ...recipientFields(message),
+      subject: message.subject,
+      body: message.body
+    })
+  },
+  yahoo: {
+    label: 'Yahoo Mail',
+    maxLength: WEBMAIL_MAX_LENGTH,
+    compose: (message) => webmailUrl('https://compose.mail.yahoo.com/', {
+      ...recipientFields(message),
+      subject: message.subject,
+      body: message.body
+    })
+  },
+  // Proton takes a whole mailto: link after the hash, as its registered
+  // mailto handler does
+  proton: {
+    label: 'Proton Mail',
+    maxLength: WEBMAIL_MAX_LENGTH,
+    compose: (message) => `https://mail.proton.me/inbox#mailto=${encodeURIComponent(buildMailto(message))}`
+  }
+};
+
+export const DEFAULT_PROVIDER = 'mailto';
+
+export function providerFor(key) {
+  return MAIL_PROVIDERS[key] || MAIL_PROVIDERS[DEFAULT_PROVIDER];
+}
+
+// The provider picked on this device, or null before one has been picked
+export function loadMailProvider() {
+  try {
+    const stored = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+    return stored && MAIL_PROVIDERS[stored] ? stored : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable mail provider:', error);
+    return null;
+  }
+}
+
+export function saveMailProvider(key) {
+  if (!MAIL_PROVIDERS[key]) {
+    throw new Error(`Invalid mail provider: ${key}`);
+  }
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(STORAGE_KEY, key);
+  }
+  return key;
+}
+
+// The link for `message`, without the body when the whole letter would make
+// it longer than the provider accepts
+export function composeLink(key, message) {
+  const provider = providerFor(key);
+  const href = provider.compose(message);
+  if (href.length <= provider.maxLength || !message.body) {
+    return { href, bodyIncluded: true };
+  }
+  return { href: provider.compose({ ...message, body: '' }), bodyIncluded: false };
+}
+
+// Webmail opens in a new tab so this page (and any send in progress) stays open
+export function openLink(key, href) {
+  if (providerFor(key) === MAIL_PROVIDERS.mailto) {
+    window.location.href = href;
+  } else {
+    window.open(href, '_blank', 'noopener');
+  }
+}
+
+// Opens the compose window for `message`. A body that didn't fit is put on
+// the clipboard to be pasted in; returns whether the body is in the link.
+export function openCompose(key, message) {
+  const { href, bodyIncluded } = composeLink(key, message);
+  if (!bodyIncluded) {
+    // Started before the new tab takes focus away from this page
+    navigator.clipboard?.writeText(message.body).catch(error => {
+      console.warn('Failed to copy the letter:', error);
+    });
+  }
+  openLink(key, href);
+  return bodyIncluded;
+}
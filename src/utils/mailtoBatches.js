@@ -0,0 +1,72 @@
+// mailtoBatches.js
+// Mail clients and Android intents start dropping mailto: links at around 2000
+// characters, so a send to a long list is split into batches that each fit.
+// Webmail compose URLs have limits of their own and batch the same way.
+// Recipients go in To, CC or BCC; BCC is the default so nobody on a list
+// receives everyone else's address.
+
+export const MAX_MAILTO_LENGTH = 2000;
+
+export const PLACEMENTS = {
+  to: 'To',
+  cc: 'CC',
+  bcc: 'BCC'
+};
+
+export const DEFAULT_PLACEMENT = 'bcc';
+
+// RFC 6068: addresses in the path (To) or as cc/bcc fields, text encoded
+export function buildMailto({ addresses = [], placement = DEFAULT_PLACEMENT, subject = '', body = '' }) {
+  const list = addresses.map(address => encodeURIComponent(address).replace(/%40/g, '@')).join(',');
+  const fields = [];
+  if (placement !== 'to' && list) fields.push(`${placement}=${list}`);
+  if (subject) fields.push(`subject=${encodeURIComponent(subject)}`);
+  if (body) fields.push(`body=${encodeURIComponent(body)}`);
+  return `mailto:${placement === 'to' ? list : ''}${fields.length > 0 ? `?${fields.join('&')}` : ''}`;
+}
+
+// Splits recipients into batches whose links fit in maxLength, in order.
+// `renderLetter(contacts)` gives the { subject, body } for a batch, which lets
+// a personalised template fill in what a batch's recipients share. `compose`
+// builds a link from a message, buildMailto unless a webmail provider's compose
+// URL is wanted (see mailProviders.js), with maxLength as that provider's limit.
+//
+// When a letter is too long to fit even with a single recipient, the batches
+// leave the body out (bodyIncluded false) and the sender pastes it instead.
+export function planBatches(recipients, renderLetter, {
+  placement = DEFAULT_PLACEMENT,
+  maxLength = MAX_MAILTO_LENGTH,
+  compose = buildMailto
+} = {}) {
+  const linkFor = (contacts, withBody) => {
+    const letter = renderLetter(contacts);
+    return compose({
+      addresses: contacts.map(contact => contact.email),
+      placement,
+      subject: letter.subject,
+      body: withBody ? letter.body : ''
+    });
+  };
+
+  const bodyIncluded = recipients.every(contact => linkFor([contact], true).length <= maxLength);
+  const batches = [];
+  let current = [];
+
+  recipients.forEach(contact => {
+    const candidate = [...current, contact];
+    if (current.length > 0 && linkFor(candidate, bodyIncluded).length > maxLength) {
+      batches.push(current);
+      current = [contact];
+    } else {
+      current = candidate;
+    }
+  });
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return {
+    bodyIncluded,
+    batches: batches.map(contacts => ({ recipients: contacts, href: linkFor(contacts, bodyIncluded) }))
+  };
+}
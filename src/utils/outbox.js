@@ -0,0 +1,289 @@
+// outbox.js
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+import { githubStorage } from './githubStorage.js';
+
+const ITEMS_STORE = 'items';
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF = 5 * 1000;
+const MAX_BACKOFF = 5 * 60 * 1000;
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  FAILED: 'failed'
+};
+
+export const OUTBOX_ACTIONS = {
+  CREATE_FOLDER: 'createFolder',
+  ADD_EMAIL: 'addEmail',
+  LIKE_EMAIL: 'likeEmail'
+};
+
+// Errors worth waiting out: no network, timeouts, conflicts, rate limits and
+// server trouble. Anything else (bad input, missing folder) will not get better,
+// and a record that already exists is not a conflict to wait out either
+export function isRetryableError(error) {
+  const message = error?.message || '';
+  if (isAlreadyExistsError(error)) {
+    return false;
+  }
+  return error instanceof TypeError ||
+    /failed to fetch|networkerror|load failed|timeout|quota exhausted/i.test(message) ||
+    /\((408|409|429|5\d\d)\)/.test(message);
+}
+
+function isAlreadyExistsError(error) {
+  return /already exists/i.test(error?.message || '');
+}
+
+// Replaying a create whose first try landed (only the response was lost)
+// finds the record there already; the ids are random, so it is our own write
+const CREATE_ACTIONS = new Set([OUTBOX_ACTIONS.CREATE_FOLDER, OUTBOX_ACTIONS.ADD_EMAIL]);
+
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// Writes that could not reach storage wait here, in IndexedDB so they survive
+// a reload, and are replayed oldest first. Each item backs off on its own;
+// an item that keeps failing ends up FAILED and stays visible until someone
+// retries or cancels it.
+export class Outbox {
+  constructor({ dbName = 'system-ya-mbogi-outbox', handlers = {} } = {}) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+    this.handlers = handlers;
+    this.memory = new Map();
+    this.listeners = new Set();
+    this.flushing = null;
+    this.timer = null;
+    this.started = false;
+  }
+
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(this.dbName, 1, (db) => {
+        if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+          db.createObjectStore(ITEMS_STORE, { keyPath: 'id' });
+        }
+      }).catch(error => {
+        console.warn('Outbox falling back to memory:', error.message);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async list() {
+    const db = await this.getDatabase();
+    const items = db
+      ? await promisifyRequest(db.transaction(ITEMS_STORE).objectStore(ITEMS_STORE).getAll())
+      : Array.from(this.memory.values());
+    return items.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  async get(id) {
+    const db = await this.getDatabase();
+    if (!db) {
+      return this.memory.get(id) || null;
+    }
+    const item = await promisifyRequest(db.transaction(ITEMS_STORE).objectStore(ITEMS_STORE).get(id));
+    return item || null;
+  }
+
+  async save(item) {
+    const db = await this.getDatabase();
+    if (!db) {
+      this.memory.set(item.id, item);
+      return item;
+    }
+    const transaction = db.transaction(ITEMS_STORE, 'readwrite');
+    transaction.objectStore(ITEMS_STORE).put(item);
+    await transactionDone(transaction);
+    return item;
+  }
+
+  async remove(id) {
+    const db = await this.getDatabase();
+    if (!db) {
+      this.memory.delete(id);
+      return;
+    }
+    const transaction = db.transaction(ITEMS_STORE, 'readwrite');
+    transaction.objectStore(ITEMS_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  // Queue a write. `label` is what the queue view shows for it
+  async enqueue(type, payload, { label = type } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`No outbox handler for ${type}`);
+    }
+
+    const now = Date.now();
+    const item = await this.save({
+      id: `${now}-${Math.random().toString(36).slice(2, 10)}`,
+      sequence: now + Math.random(),
+      type,
+      payload,
+      label,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date(now).toISOString(),
+      nextAttemptAt: now
+    });
+
+    this.notify({ type: 'queued', item });
+    this.scheduleFlush(0);
+    return item;
+  }
+
+  async cancel(id) {
+    const item = await this.get(id);
+    if (!item) {
+      return null;
+    }
+    if (item.status === OUTBOX_STATUS.SYNCING) {
+      throw new Error('This change is being synced right now and can no longer be cancelled');
+    }
+
+    await this.remove(id);
+    this.notify({ type: 'cancelled', item });
+    return item;
+  }
+
+  async retry(id) {
+    const item = await this.get(id);
+    if (!item || item.status === OUTBOX_STATUS.SYNCING) {
+      return;
+    }
+
+    const updated = await this.save({ ...item, status: OUTBOX_STATUS.PENDING, attempts: 0, nextAttemptAt: Date.now() });
+    this.notify({ type: 'updated', item: updated });
+    this.scheduleFlush(0);
+  }
+
+  // Replay everything that is due, one item at a time and in queue order
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.replayDue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async replayDue() {
+    if (isOffline()) {
+      return;
+    }
+
+    for (const queued of await this.list()) {
+      if (queued.status === OUTBOX_STATUS.FAILED) {
+        continue;
+      }
+      if (queued.nextAttemptAt > Date.now()) {
+        // Keep the order: later writes may depend on this one (an email on a new folder)
+        break;
+      }
+
+      // It may have been cancelled while earlier items were syncing
+      const item = await this.get(queued.id);
+      if (!item) {
+        continue;
+      }
+
+      this.notify({ type: 'updated', item: await this.save({ ...item, status: OUTBOX_STATUS.SYNCING }) });
+
+      try {
+        const result = await this.handlers[item.type](item.payload);
+        await this.remove(item.id);
+        this.notify({ type: 'synced', item, result });
+      } catch (error) {
+        if (CREATE_ACTIONS.has(item.type) && isAlreadyExistsError(error)) {
+          await this.remove(item.id);
+          this.notify({ type: 'synced', item, result: null });
+          continue;
+        }
+
+        const attempts = item.attempts + 1;
+        const retryable = isRetryableError(error) && attempts < MAX_ATTEMPTS;
+        const failed = await this.save({
+          ...item,
+          attempts,
+          lastError: error.message,
+          status: retryable ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+          nextAttemptAt: Date.now() + Math.min(BASE_BACKOFF * Math.pow(2, attempts - 1), MAX_BACKOFF)
+        });
+        this.notify({ type: retryable ? 'updated' : 'failed', item: failed, error });
+
+        if (retryable) {
+          break;
+        }
+      }
+    }
+
+    await this.scheduleNextAttempt();
+  }
+
+  async scheduleNextAttempt() {
+    const waiting = (await this.list()).filter(item => item.status === OUTBOX_STATUS.PENDING);
+    if (waiting.length > 0) {
+      this.scheduleFlush(Math.min(...waiting.map(item => item.nextAttemptAt)) - Date.now());
+    }
+  }
+
+  scheduleFlush(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.flush().catch(error => console.error('Outbox sync failed:', error));
+    }, Math.max(delay, 0));
+  }
+
+  // Begin replaying: now, whenever the browser comes back online and on each backoff timer
+  async start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    // A reload in the middle of a sync leaves items marked as syncing
+    for (const item of await this.list()) {
+      if (item.status === OUTBOX_STATUS.SYNCING) {
+        await this.save({ ...item, status: OUTBOX_STATUS.PENDING });
+      }
+    }
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.scheduleFlush(0));
+    }
+    this.scheduleFlush(0);
+  }
+
+  // listener({ type: 'queued' | 'updated' | 'synced' | 'failed' | 'cancelled', item, result?, error? })
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Outbox listener failed:', error);
+      }
+    });
+  }
+}
+
+export const outbox = new Outbox({
+  handlers: {
+    [OUTBOX_ACTIONS.CREATE_FOLDER]: changes => githubStorage.commitFolder(changes),
+    [OUTBOX_ACTIONS.ADD_EMAIL]: changes => githubStorage.commitEmail(changes),
+    // likeId is made when the like is queued, so every replay of it is the same like
+    [OUTBOX_ACTIONS.LIKE_EMAIL]: ({ folderId, emailId, action, likeId }) =>
+      githubStorage.updateEmailLikes(folderId, emailId, action, likeId)
+  }
+});
@@ -0,0 +1,299 @@
+// proxyStorage.js
+import { v4 as uuidv4 } from 'uuid';
+
+// Browser side of server/proxyServer.js (VITE_STORAGE_BACKEND=proxy). It has the
+// same surface the app uses on GitHubStorage but holds no token: every read and
+// write is an HTTP call to the proxy, which owns the GitHub credentials.
+//
+// Ids and password hashes are made here, so the plain password never leaves the
+// browser and a write replayed from the outbox is recognised by the server as
+// the same write.
+export class ProxyStorage {
+  constructor({ url, security, timeout = 15000 }) {
+    this.baseUrl = url.replace(/\/+$/, '');
+    this.security = security;
+    this.timeout = timeout;
+    // Setup is the proxy's job
+    this.initialized = true;
+    this.adapter = null;
+  }
+
+  // Scheduling happens on the server, against its own quota
+  withPriority() {
+    return this;
+  }
+
+  async request(path, { method = 'GET', body } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+
+      if (response.status === 404) {
+        return null;
+      }
+
+      const result = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(`Proxy error (${response.status}): ${result?.error || response.statusText}`);
+      }
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async loadFolders(includeAll = false) {
+    return await this.request(`/api/folders${includeAll ? '?all=1' : ''}`) || [];
+  }
+
+  async loadEmails(folderId) {
+    return await this.request(`/api/folders/${encodeURIComponent(folderId)}/emails`) || [];
+  }
+
+  async loadAttachment(folderId, emailId, name) {
+    return this.request(
+      `/api/folders/${encodeURIComponent(folderId)}/emails/${encodeURIComponent(emailId)}` +
+      `/attachments/${encodeURIComponent(name)}`
+    );
+  }
+
+  async loadFolderByShareToken(token) {
+    const folder = await this.request(`/api/share/${encodeURIComponent(token)}`);
+    if (!folder) {
+      throw new Error('Invalid share token');
+    }
+    return folder;
+  }
+
+  async searchCountries(query) {
+    return await this.request(`/api/countries?q=${encodeURIComponent(query || '')}`) || [];
+  }
+
+  async loadDivisions(countryCode) {
+    return this.request(`/api/countries/${encodeURIComponent(countryCode)}/divisions`);
+  }
+
+  async loadCountryFolders(countryCode) {
+    return await this.request(`/api/countries/${encodeURIComponent(countryCode)}/folders`) || [];
+  }
+
+  async loadCountryFolder(countryCode, folderId) {
+    return this.request(
+      `/api/countries/${encodeURIComponent(countryCode)}/folders/${encodeURIComponent(folderId)}`
+    );
+  }
+
+  async createCountryFolder(countryCode, folderName, contacts = []) {
+    return this.request(`/api/countries/${encodeURIComponent(countryCode)}/folders`, {
+      method: 'POST',
+      body: { name: folderName, contacts }
+    });
+  }
+
+  async extendCountryFolder(countryCode, folderId, contacts) {
+    return this.request(
+      `/api/countries/${encodeURIComponent(countryCode)}/folders/${encodeURIComponent(folderId)}/contacts`,
+      { method: 'POST', body: { contacts } }
+    );
+  }
+
+  async recordCountryFolderUse(countryCode, folderId, versionId = null) {
+    const result = await this.request(
+      `/api/countries/${encodeURIComponent(countryCode)}/folders/${encodeURIComponent(folderId)}/uses`,
+      { method: 'POST', body: { versionId } }
+    );
+    if (!result) {
+      throw new Error('Country folder not found');
+    }
+  }
+
+  async loadCountryFolderVersions(countryCode, folderId) {
+    return await this.request(
+      `/api/countries/${encodeURIComponent(countryCode)}/folders/${encodeURIComponent(folderId)}/versions`
+    ) || [];
+  }
+
+  async createCountryFolderVersion(countryCode, folderId, contacts, note = '') {
+    return this.request(
+      `/api/countries/${encodeURIComponent(countryCode)}/folders/${encodeURIComponent(folderId)}/versions`,
+      { method: 'POST', body: { contacts, note } }
+    );
+  }
+
+  async updateVersionStats(countryCode, folderId, versionId, action) {
+    const version = await this.request(
+      `/api/countries/${encodeURIComponent(countryCode)}/folders/${encodeURIComponent(folderId)}` +
+      `/versions/${encodeURIComponent(versionId)}/stats`,
+      { method: 'POST', body: { action } }
+    );
+    if (!version) {
+      throw new Error('Version not found');
+    }
+    return version;
+  }
+
+  // The client IP is taken from the connection on the server, so `ip` is unused.
+  // The share link is only known once the proxy has written the folder
+  async prepareFolder(folderData) {
+    const adminPassword = this.security.generateSecurePassword();
+    const { hash: adminHash, salt: adminSalt } = this.security.hashPassword(adminPassword);
+    const now = new Date().toISOString();
+    const folder = {
+      id: uuidv4(),
+      name: folderData.name,
+      targetEmail: folderData.targetEmail,
+      createdAt: now,
+      updatedAt: now,
+      status: 'silent'
+    };
+
+    return {
+      folder: { ...folder, adminPassword },
+      changes: { folder: { ...folder, adminHash, adminSalt } }
+    };
+  }
+
+  // Resolves the stored folder, with shareToken and shareableLink when this call created it
+  async commitFolder({ folder }) {
+    const { id, name, targetEmail, adminHash, adminSalt } = folder;
+    const result = await this.request('/api/folders', {
+      method: 'POST',
+      body: { id, name, targetEmail, adminHash, adminSalt }
+    });
+    return { ...result.folder, shareToken: result.shareToken, shareableLink: result.shareableLink };
+  }
+
+  async createFolder(folderData, ip) {
+    const { folder, changes } = await this.prepareFolder(folderData, ip);
+    const committed = await this.commitFolder(changes);
+    return { ...committed, adminPassword: folder.adminPassword };
+  }
+
+  async prepareEmail(folderId, emailData) {
+    const password = this.security.generateSecurePassword();
+    const { hash: passwordHash, salt: passwordSalt } = this.security.hashPassword(password);
+    const now = new Date().toISOString();
+    const email = {
+      id: uuidv4(),
+      folderId,
+      subject: emailData.subject,
+      body: emailData.body,
+      attachments: emailData.attachments || [],
+      createdAt: now,
+      updatedAt: now,
+      likes: 0
+    };
+
+    return {
+      email: { ...email, password },
+      changes: { email: { ...email, passwordHash, passwordSalt } }
+    };
+  }
+
+  async commitEmail({ email }) {
+    const { id, folderId, subject, body, attachments, passwordHash, passwordSalt } = email;
+    return this.request(`/api/folders/${encodeURIComponent(folderId)}/emails`, {
+      method: 'POST',
+      body: { id, subject, body, attachments, passwordHash, passwordSalt }
+    });
+  }
+
+  async saveEmail(folderId, emailData, ip) {
+    const { email, changes } = await this.prepareEmail(folderId, emailData, ip);
+    const committed = await this.commitEmail(changes);
+    return { ...committed, password: email.password };
+  }
+
+  async updateEmailLikes(folderId, emailId, action = 'increment', likeId = null) {
+    const email = await this.request(
+      `/api/folders/${encodeURIComponent(folderId)}/emails/${encodeURIComponent(emailId)}/likes`,
+      { method: 'POST', body: { action, likeId } }
+    );
+    if (!email) {
+      throw new Error('Email not found');
+    }
+    return email;
+  }
+
+  async loadFolderEmailVersions(folderId) {
+    return await this.request(`/api/folders/${encodeURIComponent(folderId)}/versions`) || [];
+  }
+
+  async loadEmailVersions(folderId, emailId) {
+    const versions = await this.loadFolderEmailVersions(folderId);
+    return versions.filter(version => version.originalEmailId === emailId);
+  }
+
+  async createEmailVersion(folderId, emailId, { subject, body }) {
+    const version = await this.request(
+      `/api/folders/${encodeURIComponent(folderId)}/emails/${encodeURIComponent(emailId)}/versions`,
+      { method: 'POST', body: { subject, body } }
+    );
+    if (!version) {
+      throw new Error('Original email not found');
+    }
+    return version;
+  }
+
+  async likeEmailVersion(folderId, versionId) {
+    const version = await this.request(
+      `/api/folders/${encodeURIComponent(folderId)}/versions/${encodeURIComponent(versionId)}/likes`,
+      { method: 'POST' }
+    );
+    if (!version) {
+      throw new Error('Version not found');
+    }
+    return version;
+  }
+
+  async adoptEmailVersion(folderId, emailId, versionId, password) {
+    const email = await this.request(
+      `/api/folders/${encodeURIComponent(folderId)}/emails/${encodeURIComponent(emailId)}` +
+      `/versions/${encodeURIComponent(versionId)}/adopt`,
+      { method: 'POST', body: { password } }
+    );
+    if (!email) {
+      throw new Error('Version not found');
+    }
+    return email;
+  }
+
+  async deleteFolder(folderId, adminPassword) {
+    const result = await this.request(`/api/folders/${encodeURIComponent(folderId)}`, {
+      method: 'DELETE',
+      body: { password: adminPassword }
+    });
+    if (!result) {
+      throw new Error('Folder not found');
+    }
+    return true;
+  }
+
+  // Only emails can be deleted through the proxy, by their creator
+  async deleteContent(path, password) {
+    const match = /^data\/emails\/([^/]+)\/([^/]+)\.json$/.exec(path);
+    if (!match) {
+      throw new Error(`Cannot delete ${path} through the proxy`);
+    }
+
+    const result = await this.request(
+      `/api/folders/${encodeURIComponent(match[1])}/emails/${encodeURIComponent(match[2])}`,
+      { method: 'DELETE', body: { password } }
+    );
+    if (!result) {
+      throw new Error('Content not found');
+    }
+  }
+}
@@ -0,0 +1,119 @@
+// representatives.js
+import { contactsOf } from './contacts.js';
+import { contactArea, describeArea, indexDivisions, normalizeAreaName } from './divisions.js';
+
+const MAX_AREA_RESULTS = 10;
+
+// Where a contact (or a place someone typed) sits, as level -> normalized name.
+// Levels the hierarchy knows come from it, so a constituency also fills in its
+// county; the rest (wards, while only constituencies are listed) come straight
+// from the record
+function areaKey(index, record) {
+  const path = contactArea(index, record);
+  const key = {};
+  index.levels.forEach((level, depth) => {
+    if (path[depth]) {
+      key[level.key] = normalizeAreaName(path[depth].name);
+    } else if (depth >= path.length && record[level.key]) {
+      key[level.key] = normalizeAreaName(record[level.key]);
+    }
+  });
+  return key;
+}
+
+// Every area the contact has is also the place's: the ward's MCA, the
+// constituency's MP and the county's governor all represent a ward
+const represents = (contactKey, placeKey) => Object.keys(contactKey).length > 0 &&
+  Object.entries(contactKey).every(([level, name]) => placeKey[level] === name);
+
+// Narrower than the place: the MCAs of every ward of a constituency
+const isWithin = (contactKey, placeKey) => Object.keys(contactKey).length > Object.keys(placeKey).length &&
+  Object.entries(placeKey).every(([level, name]) => contactKey[level] === name);
+
+// "Find my representatives": the stored contact lists of a country, searched by
+// county, constituency or ward
+export class RepresentativeLookup {
+  constructor(storage) {
+    this.storage = storage;
+    this.index = null;
+    this.contacts = [];
+  }
+
+  // Divisions and every list of the country; a contact on several lists is
+  // kept once and remembers the lists it came from
+  async load(countryCode) {
+    const [divisions, summaries] = await Promise.all([
+      this.storage.loadDivisions(countryCode),
+      this.storage.loadCountryFolders(countryCode)
+    ]);
+    const folders = await Promise.all(summaries.map(summary =>
+      this.storage.loadCountryFolder(countryCode, summary.id).catch(error => {
+        console.warn(`Skipping country folder ${summary.id}:`, error.message);
+        return null;
+      })
+    ));
+
+    this.index = indexDivisions(divisions || { countryCode, divisions: [] });
+    const byEmail = new Map();
+    folders.filter(Boolean).forEach(folder => contactsOf(folder).forEach(contact => {
+      const key = contact.email.toLowerCase();
+      const list = { id: folder.id, name: folder.name };
+      if (byEmail.has(key)) {
+        byEmail.get(key).lists.push(list);
+      } else {
+        byEmail.set(key, { contact, lists: [list], area: areaKey(this.index, contact) });
+      }
+    }));
+    this.contacts = Array.from(byEmail.values());
+    return this;
+  }
+
+  // Places matching what someone typed, exact names first, then shallower
+  // levels. Each place is { label, area } with area as contact fields
+  search(query) {
+    const wanted = normalizeAreaName(query);
+    if (!wanted) return [];
+
+    const places = new Map();
+    const add = (area, label, exact, depth) => {
+      const key = JSON.stringify(areaKey(this.index, area));
+      if (!places.has(key)) places.set(key, { label, area, exact, depth });
+    };
+
+    this.index.nodes.forEach(node => {
+      if (node.names.some(name => name.includes(wanted))) {
+        const area = Object.fromEntries(node.path.map(ancestor => [ancestor.level, ancestor.name]));
+        add(area, describeArea(this.index, node.path), node.names.includes(wanted), node.depth);
+      }
+    });
+
+    // Areas the hierarchy does not list but contacts name, such as wards
+    this.contacts.forEach(({ contact }) => {
+      const path = contactArea(this.index, contact);
+      this.index.levels.forEach((level, depth) => {
+        const value = contact[level.key];
+        if (depth < path.length || !value || !normalizeAreaName(value).includes(wanted)) return;
+        const area = Object.fromEntries(path.map(ancestor => [ancestor.level, ancestor.name]));
+        area[level.key] = value;
+        const label = [describeArea(this.index, path), `${value} ${level.label}`].filter(Boolean).join(' › ');
+        add(area, label, normalizeAreaName(value) === wanted, depth);
+      });
+    });
+
+    return Array.from(places.values())
+      .sort((a, b) => (b.exact - a.exact) || (a.depth - b.depth) || a.label.localeCompare(b.label))
+      .slice(0, MAX_AREA_RESULTS)
+      .map(({ label, area }) => ({ label, area }));
+  }
+
+  // Who represents a place, closest first, and who represents somewhere inside
+  // it (shown so someone who does not know their ward can still find their MCA)
+  representativesOf(area) {
+    const placeKey = areaKey(this.index, area);
+    const closestFirst = (a, b) => Object.keys(b.area).length - Object.keys(a.area).length;
+    return {
+      representatives: this.contacts.filter(entry => represents(entry.area, placeKey)).sort(closestFirst),
+      within: this.contacts.filter(entry => isWithin(entry.area, placeKey)).sort(closestFirst)
+    };
+  }
+}
@@ -0,0 +1,192 @@
+// requestScheduler.js
+
+// Lower runs first. Writes a person is waiting on go ahead of reads, and both
+// go ahead of housekeeping such as initializeStorage
+export const PRIORITY = {
+  USER: 0,
+  NORMAL: 1,
+  BACKGROUND: 2
+};
+
+const MAX_RATE_LIMIT_RETRIES = 3;
+const DEFAULT_BACKOFF = 60 * 1000; // Secondary limits without a Retry-After header
+
+// Read from a copy so the caller still gets the whole body
+async function isSecondaryRateLimit(response) {
+  try {
+    const text = await response.clone().text();
+    return /secondary rate limit|abuse detection/i.test(text);
+  } catch {
+    return false;
+  }
+}
+
+// Every API call goes through one queue that knows the current quota. It reads
+// X-RateLimit-* and Retry-After from each response, holds the queue while a
+// limit is in force and replays requests that were turned away because of one.
+export class RequestScheduler {
+  constructor({ maxConcurrent = 3, backgroundReserve = 50 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    // Background work stops when fewer calls than this are left, keeping the
+    // rest of the hour's quota for things people actually clicked
+    this.backgroundReserve = backgroundReserve;
+    this.running = 0;
+    this.queue = [];
+    this.sequence = 0;
+    this.pausedUntil = 0;
+    this.wakeTimer = null;
+    this.quota = { limit: null, remaining: null, resetAt: null, pausedUntil: null };
+    this.listeners = new Set();
+  }
+
+  // Queue `task`, a function resolving a fetch Response
+  schedule(task, { priority = PRIORITY.NORMAL } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, priority, resolve, reject, attempts: 0, sequence: this.sequence++ });
+      this.pump();
+    });
+  }
+
+  // The entry that should run next, or null if none may run right now
+  nextEntry() {
+    const now = Date.now();
+    if (now < this.pausedUntil) {
+      return null;
+    }
+
+    const lowOnQuota = this.quota.remaining !== null &&
+      this.quota.remaining <= this.backgroundReserve &&
+      this.quota.resetAt && now < this.quota.resetAt.getTime();
+
+    let best = -1;
+    this.queue.forEach((entry, index) => {
+      if (lowOnQuota && entry.priority === PRIORITY.BACKGROUND) return;
+      const current = this.queue[best];
+      if (!current || entry.priority < current.priority ||
+          (entry.priority === current.priority && entry.sequence < current.sequence)) {
+        best = index;
+      }
+    });
+
+    return best === -1 ? null : this.queue.splice(best, 1)[0];
+  }
+
+  pump() {
+    while (this.running < this.maxConcurrent) {
+      const entry = this.nextEntry();
+      if (!entry) break;
+      this.run(entry);
+    }
+
+    // Work is waiting on a pause, or background work on the quota window: wake up when it ends
+    if (this.queue.length > 0 && this.running < this.maxConcurrent && !this.wakeTimer) {
+      const wakeAt = Date.now() < this.pausedUntil
+        ? this.pausedUntil
+        : this.quota.resetAt?.getTime() || 0;
+      const delay = Math.max(wakeAt - Date.now(), 1000);
+      this.wakeTimer = setTimeout(() => {
+        this.wakeTimer = null;
+        this.pump();
+      }, delay);
+    }
+  }
+
+  async run(entry) {
+    this.running++;
+    try {
+      const response = await entry.task();
+      const retryAt = await this.updateFromResponse(response);
+
+      if (retryAt && entry.attempts < MAX_RATE_LIMIT_RETRIES) {
+        // Turned away by a rate limit: wait it out and try again ahead of newer work
+        entry.attempts++;
+        this.pause(retryAt);
+        this.queue.push(entry);
+      } else {
+        entry.resolve(response);
+      }
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.running--;
+      this.pump();
+    }
+  }
+
+  // Record the quota headers of a response. Resolves the time to retry at when
+  // the response is a rate limit rejection, otherwise null
+  async updateFromResponse(response) {
+    const headers = response.headers;
+    const limit = headers.get('X-RateLimit-Limit');
+    const remaining = headers.get('X-RateLimit-Remaining');
+    const reset = headers.get('X-RateLimit-Reset');
+
+    if (remaining !== null) {
+      this.quota = {
+        ...this.quota,
+        limit: limit !== null ? Number(limit) : this.quota.limit,
+        remaining: Number(remaining),
+        resetAt: reset !== null ? new Date(Number(reset) * 1000) : this.quota.resetAt
+      };
+      this.notify();
+    }
+
+    if (response.status !== 403 && response.status !== 429) {
+      return null;
+    }
+
+    const retryAfter = headers.get('Retry-After');
+    if (retryAfter !== null) {
+      return Date.now() + Number(retryAfter) * 1000;
+    }
+    if (remaining === '0' && this.quota.resetAt) {
+      return this.quota.resetAt.getTime();
+    }
+    // A 429 is always a rate limit. A 403 with quota left is a secondary
+    // limit when its message says so, which GitHub asks to wait out for at
+    // least a minute; otherwise it is a permissions problem
+    if (response.status === 429 || await isSecondaryRateLimit(response)) {
+      return Date.now() + DEFAULT_BACKOFF;
+    }
+    return null;
+  }
+
+  pause(until) {
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      this.quota = { ...this.quota, pausedUntil: new Date(until) };
+      this.notify();
+    }
+  }
+
+  getQuota() {
+    const paused = Date.now() < this.pausedUntil;
+    return { ...this.quota, pausedUntil: paused ? this.quota.pausedUntil : null, queued: this.queue.length };
+  }
+
+  // Calls listener with getQuota() on every change, returns the unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const quota = this.getQuota();
+    this.listeners.forEach(listener => {
+      try {
+        listener(quota);
+      } catch (error) {
+        console.error('Quota listener failed:', error);
+      }
+    });
+  }
+}
+
+// Shared by every adapter talking to the GitHub (or Gitea) API
+export const requestScheduler = new RequestScheduler();
+
+export function formatResetTime(date) {
+  return date
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })
+    : '--:--';
+}
@@ -0,0 +1,156 @@
+// schema.js
+import { isIndexFile } from './indexes.js';
+import { contactsOf } from './contacts.js';
+
+// Every record written under data/ carries `schemaVersion`. Records from before
+// the field existed count as version 1 and are brought up to date by the
+// migrations below, on read (GitHubStorage.loadData) and in bulk
+// (GitHubStorage.migrateRepository).
+export const RECORD_TYPES = {
+  FOLDER: 'folder',
+  EMAIL: 'email',
+  EMAIL_VERSION: 'emailVersion',
+  ATTACHMENT: 'attachment',
+  SHARE_LINK: 'shareLink',
+  COUNTRY_FOLDER: 'countryFolder',
+  COUNTRY_FOLDER_VERSION: 'countryFolderVersion',
+  COUNTRY_EMAIL: 'countryEmail'
+};
+
+// Most specific first: emails/<fid>/versions/<id>.json is also emails/<fid>/<id>.json shaped
+const RECORD_PATTERNS = [
+  [/^data\/(silent\/)?folders\/[^/]+\.json$/, RECORD_TYPES.FOLDER],
+  [/^data\/emails\/[^/]+\/versions\/[^/]+\.json$/, RECORD_TYPES.EMAIL_VERSION],
+  [/^data\/emails\/[^/]+\/[^/]+\.json$/, RECORD_TYPES.EMAIL],
+  [/^data\/attachments\/[^/]+\/[^/]+\/[^/]+$/, RECORD_TYPES.ATTACHMENT],
+  [/^data\/metadata\/links\/[^/]+\.json$/, RECORD_TYPES.SHARE_LINK],
+  [/^data\/countries\/[^/]+\/[^/]+\/folder\.json$/, RECORD_TYPES.COUNTRY_FOLDER],
+  [/^data\/countries\/[^/]+\/[^/]+\/versions\/[^/]+\.json$/, RECORD_TYPES.COUNTRY_FOLDER_VERSION],
+  [/^data\/countries\/[^/]+\/[^/]+\.json$/, RECORD_TYPES.COUNTRY_EMAIL]
+];
+
+// Country lists and their versions: `emails` strings become `contacts`
+function withContacts(record) {
+  const upgraded = { ...record, contacts: contactsOf(record) };
+  delete upgraded.emails;
+  return upgraded;
+}
+
+// Upgrades per record type, oldest first. `up` gets the record at version
+// `to - 1` and returns it at version `to`; it must not touch schemaVersion or
+// checksum, the runner sets both
+const MIGRATIONS = {
+  [RECORD_TYPES.FOLDER]: [
+    {
+      to: 2,
+      description: 'drop the emails/emailsLoaded view state saved with new folders',
+      up: folder => {
+        const upgraded = { ...folder };
+        delete upgraded.emailsLoaded;
+        if (Array.isArray(upgraded.emails) && upgraded.emails.length === 0) {
+          delete upgraded.emails;
+        }
+        return upgraded;
+      }
+    }
+  ],
+  [RECORD_TYPES.EMAIL]: [
+    {
+      to: 2,
+      description: 'emails without a version are version 1',
+      up: email => ({ ...email, version: email.version || 1 })
+    }
+  ],
+  [RECORD_TYPES.COUNTRY_EMAIL]: [
+    {
+      to: 2,
+      description: 'emails without a version are version 1',
+      up: email => ({ ...email, version: email.version || 1 })
+    }
+  ],
+  [RECORD_TYPES.COUNTRY_FOLDER]: [
+    {
+      to: 2,
+      description: 'fill in a missing emails list and emailCount',
+      up: folder => {
+        const emails = Array.isArray(folder.emails) ? folder.emails : [];
+        return { ...folder, emails, emailCount: emails.length };
+      }
+    },
+    {
+      to: 3,
+      description: 'store the address list as contact records',
+      up: withContacts
+    }
+  ],
+  [RECORD_TYPES.COUNTRY_FOLDER_VERSION]: [
+    {
+      to: 2,
+      description: 'store the address list as contact records',
+      up: withContacts
+    }
+  ]
+};
+
+// The version new records of each type are written at
+export const SCHEMA_VERSIONS = Object.fromEntries(
+  Object.values(RECORD_TYPES).map(type => {
+    const migrations = MIGRATIONS[type] || [];
+    return [type, migrations.length > 0 ? migrations[migrations.length - 1].to : 1];
+  })
+);
+
+export function recordTypeFor(path) {
+  if (isIndexFile(path.slice(path.lastIndexOf('/') + 1))) {
+    return null;
+  }
+  const match = RECORD_PATTERNS.find(([pattern]) => pattern.test(path));
+  return match ? match[1] : null;
+}
+
+// Bring one record up to the current schema. `changed` is true when anything
+// about it differs, including a missing schemaVersion being filled in
+export function migrateRecord(type, record) {
+  const from = record.schemaVersion || 1;
+  const to = SCHEMA_VERSIONS[type];
+  if (from > to) {
+    throw new Error(`${type} record has schema version ${from}, this app only knows up to ${to}`);
+  }
+
+  let migrated = record;
+  const applied = [];
+  for (const migration of MIGRATIONS[type] || []) {
+    if (migration.to > from) {
+      migrated = migration.up(migrated);
+      applied.push(`v${migration.to}: ${migration.description}`);
+    }
+  }
+
+  return {
+    record: { ...migrated, schemaVersion: to },
+    from,
+    to,
+    applied,
+    changed: record.schemaVersion !== to
+  };
+}
+
+// Plain text version of a migrateRepository report
+export function formatMigrationReport(report) {
+  const lines = [
+    `${report.dryRun ? 'Dry run: ' : ''}${report.scanned} records scanned, ` +
+    `${report.upToDate} up to date, ${report.migrated.length} ${report.dryRun ? 'to migrate' : 'migrated'}, ` +
+    `${report.failed.length} failed`
+  ];
+
+  report.migrated.forEach(({ path, type, from, to, applied }) => {
+    lines.push(`  ${path} (${type} v${from} -> v${to})`);
+    applied.forEach(description => lines.push(`      ${description}`));
+  });
+  report.failed.forEach(({ path, error }) => lines.push(`  FAILED ${path}: ${error}`));
+
+  if (report.commits?.length > 0) {
+    lines.push(`Committed in ${report.commits.length} batches`);
+  }
+  return lines.join('\n');
+}
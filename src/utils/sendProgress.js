@@ -0,0 +1,53 @@
+// sendProgress.js
+import CryptoJS from 'crypto-js';
+
+// Which batches of a send (see mailtoBatches.js) have been opened, kept on this
+// device so a closed tab or dropped session can pick up at the next batch
+const STORAGE_KEY = 'mbogi-send-progress';
+const MAX_SENDS = 20;
+
+// The same template, recipients, placement and link length limit give the
+// same id
+export function sendId(templateId, recipients, placement, maxLength) {
+  const emails = recipients.map(contact => contact.email.toLowerCase());
+  return CryptoJS.SHA256(JSON.stringify([templateId, placement, maxLength, emails])).toString().slice(0, 16);
+}
+
+function loadAll() {
+  try {
+    const stored = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('Ignoring unreadable send progress:', error);
+    return {};
+  }
+}
+
+function saveAll(sends) {
+  if (typeof localStorage === 'undefined') return;
+  // Oldest sends are forgotten first
+  const kept = Object.entries(sends)
+    .sort(([, a], [, b]) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .slice(0, MAX_SENDS);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+}
+
+// { total, opened: [batch indexes], updatedAt } or null for a new send
+export function loadSendProgress(id) {
+  return loadAll()[id] || null;
+}
+
+export function markBatchOpened(id, batch, total) {
+  const sends = loadAll();
+  const opened = new Set(sends[id]?.opened || []);
+  opened.add(batch);
+  sends[id] = { total, opened: [...opened].sort((a, b) => a - b), updatedAt: new Date().toISOString() };
+  saveAll(sends);
+  return sends[id];
+}
+
+export function clearSendProgress(id) {
+  const sends = loadAll();
+  delete sends[id];
+  saveAll(sends);
+}
@@ -0,0 +1,35 @@
+// senderProfile.js
+import { usesPlaceholder } from './mailMerge.js';
+
+// The name (and optionally address) that fills {{sender.*}} placeholders, kept
+// on this device only; nothing about the sender is written to the repository
+const STORAGE_KEY = 'mbogi-sender';
+
+export function loadSenderProfile() {
+  try {
+    const stored = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : { name: '', email: '' };
+  } catch (error) {
+    console.warn('Ignoring unreadable sender profile:', error);
+    return { name: '', email: '' };
+  }
+}
+
+export function saveSenderProfile(profile) {
+  const cleaned = { name: (profile.name || '').trim(), email: (profile.email || '').trim() };
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cleaned));
+  }
+  return cleaned;
+}
+
+// The profile to render `email` with, asking for a name the first time a
+// template signs with {{sender.name}}
+export function senderForTemplate(email) {
+  const profile = loadSenderProfile();
+  if (profile.name || !usesPlaceholder(`${email.subject}\n${email.body}`, 'sender.name')) {
+    return profile;
+  }
+  const name = typeof window !== 'undefined' && window.prompt('Your name, to sign this email with:');
+  return name ? saveSenderProfile({ ...profile, name }) : profile;
+}
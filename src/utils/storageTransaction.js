@@ -0,0 +1,120 @@
+// storageTransaction.js
+import { conflictError } from './adapters/storageAdapter.js';
+
+// Collects file creates, updates and deletes and lands them through the
+// adapter's commit() as one unit, so multi-file operations never stop halfway
+export class StorageTransaction {
+  constructor(adapter, { maxRetries = 3 } = {}) {
+    this.adapter = adapter;
+    this.maxRetries = maxRetries;
+    this.changes = new Map();
+  }
+
+  get size() {
+    return this.changes.size;
+  }
+
+  has(path) {
+    return this.changes.has(path);
+  }
+
+  // Stage a file write. Objects are stored as pretty printed JSON like saveData does.
+  // A write worked out from an earlier read passes that read's sha as baseSha
+  // (null when the file did not exist); the commit then fails with a conflict
+  // if the file has changed since, instead of overwriting what someone else wrote.
+  // Counters and lists are better staged with update(), which recomputes them.
+  put(path, data, { baseSha } = {}) {
+    const content = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    this.changes.set(path, baseSha === undefined ? { path, content } : { path, content, baseSha });
+    return this;
+  }
+
+  delete(path) {
+    this.changes.set(path, { path, delete: true });
+    return this;
+  }
+
+  // Stage a read-modify-write. `apply` (sync or async) receives the current content
+  // (or null) when the commit runs, and again on every retry, so it never works on a stale copy.
+  // Its second argument maps the paths staged before this one to the content
+  // they are about to get, so an index entry can follow a recomputed record
+  update(path, apply) {
+    const previous = this.changes.get(path);
+
+    if (!previous) {
+      this.changes.set(path, { path, apply });
+    } else if (previous.apply) {
+      this.changes.set(path, { path, apply: async (content, written) => apply(await previous.apply(content, written), written) });
+    } else {
+      this.changes.set(path, { path, apply: async (content, written) => apply(previous.delete ? null : previous.content, written) });
+    }
+    return this;
+  }
+
+  // Stage the deletion of every file below a directory
+  async deleteTree(path) {
+    const entries = await this.adapter.list(path);
+    if (!Array.isArray(entries)) {
+      return this;
+    }
+
+    for (const entry of entries) {
+      if (entry.type === 'dir') {
+        await this.deleteTree(entry.path);
+      } else {
+        this.delete(entry.path);
+      }
+    }
+    return this;
+  }
+
+  // Reads what the updates and based writes need in parallel, then works out
+  // the changes in the order they were staged
+  async resolveChanges() {
+    const changes = Array.from(this.changes.values());
+    const current = await Promise.all(changes.map(change =>
+      change.apply || change.baseSha !== undefined ? this.adapter.read(change.path) : null
+    ));
+
+    const written = new Map();
+    const resolved = [];
+    for (const [index, change] of changes.entries()) {
+      // Changes worked out from a read carry the sha they saw, and the adapter
+      // refuses the commit if the file has moved on by the time it lands
+      let result = change;
+      if (change.apply) {
+        const sha = current[index]?.sha || null;
+        result = { path: change.path, content: await change.apply(current[index] ? current[index].content : null, written), sha };
+      } else if (change.baseSha !== undefined) {
+        if ((current[index]?.sha || null) !== change.baseSha) {
+          throw Object.assign(conflictError(change.path), { stale: true });
+        }
+        result = { path: change.path, content: change.content, sha: change.baseSha };
+      }
+      written.set(change.path, result.delete ? null : result.content);
+      resolved.push(result);
+    }
+    return resolved;
+  }
+
+  async commit(message) {
+    if (this.changes.size === 0) {
+      return null;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const changes = await this.resolveChanges();
+        return await this.adapter.commit(changes, message);
+      } catch (error) {
+        // The branch moved under us. Writes without a base sha are absolute,
+        // updates are recomputed from the fresh content and writes whose base
+        // has gone stale fail above, so replaying is safe
+        if (error.stale || !error.message.includes('409') || attempt >= this.maxRetries - 1) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+      }
+    }
+  }
+}
@@ -0,0 +1,84 @@
+// wordDiff.js
+// Word-level diff of two texts for showing a community version next to the
+// original. Whitespace runs are tokens of their own so line breaks survive.
+
+// Longest-common-subsequence table size above which the changed middle is
+// shown as one removal and one addition instead (emails run to 50000 characters)
+const MAX_TABLE_CELLS = 4000000;
+
+const tokenize = (text) => String(text || '').split(/(\s+)/).filter(Boolean);
+
+// Consecutive parts of the same type are joined
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+}
+
+function diffMiddle(before, after, parts) {
+  if (before.length * after.length > MAX_TABLE_CELLS) {
+    before.forEach(token => pushPart(parts, 'removed', token));
+    after.forEach(token => pushPart(parts, 'added', token));
+    return;
+  }
+
+  // lengths[i][j]: common subsequence length of before[i..] and after[j..]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      pushPart(parts, 'same', before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, 'removed', before[i++]);
+    } else {
+      pushPart(parts, 'added', after[j++]);
+    }
+  }
+  before.slice(i).forEach(token => pushPart(parts, 'removed', token));
+  after.slice(j).forEach(token => pushPart(parts, 'added', token));
+}
+
+// [{ type: 'same' | 'removed' | 'added', text }] turning `original` into `changed`
+export function diffWords(original, changed) {
+  const before = tokenize(original);
+  const after = tokenize(changed);
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]) {
+    end++;
+  }
+
+  const parts = [];
+  before.slice(0, start).forEach(token => pushPart(parts, 'same', token));
+  diffMiddle(before.slice(start, before.length - end), after.slice(start, after.length - end), parts);
+  before.slice(before.length - end).forEach(token => pushPart(parts, 'same', token));
+  return parts;
+}
+
+// The two sides of a side-by-side view: the original without additions and
+// the changed text without removals
+export function splitDiff(parts) {
+  return {
+    original: parts.filter(part => part.type !== 'added'),
+    changed: parts.filter(part => part.type !== 'removed')
+  };
+}